@@ -0,0 +1,52 @@
+/**
+ * Types of the offline analysis, see artoolkitX.analysis.js.
+ */
+
+/** The pose of one trackable in one frame */
+export interface PoseTrackEntry {
+  /** Index of the frame */
+  frame: number
+  /** Time of the frame in milliseconds */
+  timestamp: number
+  trackableId: number
+  visible: boolean
+  /** The 16 element transformation, null if the trackable wasn't visible */
+  matrix: number[] | null
+}
+
+/** An entry of PoseTrack.diff */
+export interface PoseTrackDifference {
+  frame: number
+  trackableId: number
+  /** The entry of the other track, undefined if it is shorter */
+  expected: PoseTrackEntry | undefined
+  /** The entry of this track, undefined if it is shorter */
+  actual: PoseTrackEntry | undefined
+}
+
+/** Per-frame pose track as produced by ARController.analyze */
+export class PoseTrack {
+  constructor (entries?: PoseTrackEntry[])
+  entries: PoseTrackEntry[]
+  add (frame: number, timestamp: number, trackableId: number, visible: boolean, matrix?: ArrayLike<number>): void
+  forTrackable (trackableId: number): PoseTrackEntry[]
+  toJSON (): { version: number, entries: PoseTrackEntry[] }
+  /** One row per frame and trackable: frame,timestamp,trackableId,visible,m0,...,m15 */
+  toCSV (): string
+  /** @param tolerance Maximum allowed difference per matrix element, defaults to 0 */
+  diff (other: PoseTrack, tolerance?: number): PoseTrackDifference[]
+  static fromJSON (json: string | { entries: PoseTrackEntry[] }): PoseTrack
+}
+
+/** A frame of the footage given to ARController.analyze */
+export interface AnalysisFrame<T = unknown> {
+  image: T
+  /** Time of the frame in milliseconds, derived from its position */
+  timestamp: number
+  /** Number of frames, undefined for iterables */
+  count: number | undefined
+}
+
+export function isVideoInput (input: unknown): input is string | HTMLVideoElement
+export function videoFrames (video: HTMLVideoElement | string, options?: { fps?: number, start?: number, end?: number }): AsyncGenerator<AnalysisFrame<HTMLVideoElement>>
+export function sequenceFrames<T> (images: Iterable<T> | AsyncIterable<T>, options?: { fps?: number }): AsyncGenerator<AnalysisFrame<T>>
@@ -0,0 +1,180 @@
+/*
+ * Offline analysis of recorded footage, see ARController.analyze.
+ *
+ * A PoseTrack holds the per-frame result: for every processed frame and registered trackable
+ * the frame timestamp, the visibility and the transformation matrix. It can be exported as
+ * JSON or CSV and compared against a previous run for regression testing.
+ */
+
+/**
+ * Per-frame pose track as produced by ARController.analyze.
+ *
+ * Each entry is {frame, timestamp, trackableId, visible, matrix} where matrix is the 16 element
+ * transformation as plain Array, or null if the trackable wasn't visible.
+ */
+export class PoseTrack {
+  constructor (entries = []) {
+    this.entries = entries
+  }
+
+  /**
+   * @param {number} frame Index of the frame
+   * @param {number} timestamp Time of the frame in milliseconds
+   * @param {number} trackableId
+   * @param {boolean} visible
+   * @param {Float32Array} [matrix] The transformation of the trackable if visible
+   */
+  add (frame, timestamp, trackableId, visible, matrix) {
+    this.entries.push({
+      frame: frame,
+      timestamp: timestamp,
+      trackableId: trackableId,
+      visible: visible,
+      matrix: visible && matrix ? Array.from(matrix) : null
+    })
+  }
+
+  /**
+   * Returns all entries of the given trackable.
+   * @param {number} trackableId
+   * @returns {Array}
+   */
+  forTrackable (trackableId) {
+    return this.entries.filter(entry => entry.trackableId === trackableId)
+  }
+
+  toJSON () {
+    return { version: 1, entries: this.entries }
+  }
+
+  /**
+   * Exports the track as CSV with one row per frame and trackable:
+   * frame,timestamp,trackableId,visible,m0,...,m15
+   * The matrix columns are empty for invisible trackables.
+   *
+   * @returns {string}
+   */
+  toCSV () {
+    const header = ['frame', 'timestamp', 'trackableId', 'visible']
+    for (let i = 0; i < 16; i++) header.push('m' + i)
+    const rows = this.entries.map(entry => {
+      const matrix = entry.matrix || new Array(16).fill('')
+      return [entry.frame, entry.timestamp, entry.trackableId, entry.visible ? 1 : 0].concat(matrix).join(',')
+    })
+    return [header.join(',')].concat(rows).join('\n') + '\n'
+  }
+
+  /**
+   * Compares this track with another one, e.g. a stored reference run.
+   *
+   * @param {PoseTrack} other The track to compare with
+   * @param {number} [tolerance] Maximum allowed difference per matrix element, defaults to 0 (identical)
+   * @returns {Array} The differing entries as {frame, trackableId, expected, actual}. Empty if the tracks match.
+   */
+  diff (other, tolerance = 0) {
+    const differences = []
+    const length = Math.max(this.entries.length, other.entries.length)
+    for (let i = 0; i < length; i++) {
+      const expected = other.entries[i]
+      const actual = this.entries[i]
+      if (!expected || !actual || !entriesMatch(expected, actual, tolerance)) {
+        const entry = actual || expected
+        differences.push({ frame: entry.frame, trackableId: entry.trackableId, expected: expected, actual: actual })
+      }
+    }
+    return differences
+  }
+
+  /**
+   * @param {object|string} json The result of toJSON or its string form
+   * @returns {PoseTrack}
+   */
+  static fromJSON (json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error('Invalid pose track')
+    }
+    return new PoseTrack(data.entries)
+  }
+}
+
+const entriesMatch = (a, b, tolerance) => {
+  if (a.frame !== b.frame || a.trackableId !== b.trackableId || a.visible !== b.visible) {
+    return false
+  }
+  if (!a.matrix || !b.matrix) {
+    return a.matrix === b.matrix
+  }
+  return a.matrix.every((value, i) => Math.abs(value - b.matrix[i]) <= tolerance)
+}
+
+const waitForEvent = (target, name) => {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      target.removeEventListener('error', onError)
+      resolve()
+    }
+    const onError = () => {
+      target.removeEventListener(name, onEvent)
+      reject(new Error('Unable to load video: ' + (target.error ? target.error.message : target.src)))
+    }
+    target.addEventListener(name, onEvent, { once: true })
+    target.addEventListener('error', onError, { once: true })
+  })
+}
+
+/**
+ * Checks whether the input of ARController.analyze is a video to step through.
+ * @param {*} input
+ * @returns {boolean}
+ */
+export const isVideoInput = (input) => {
+  return typeof input === 'string' || (typeof HTMLVideoElement !== 'undefined' && input instanceof HTMLVideoElement)
+}
+
+/**
+ * Steps through a video by seeking from frame to frame, independent of the playback speed.
+ * Yields {image, timestamp} with the timestamp as media time in milliseconds.
+ *
+ * @param {HTMLVideoElement|string} video The video element or the URL of the video
+ * @param {object} options {fps, start, end} start and end in seconds
+ */
+export async function * videoFrames (video, { fps = 30, start = 0, end } = {}) {
+  if (typeof video === 'string') {
+    const url = video
+    video = document.createElement('video')
+    video.muted = true
+    video.preload = 'auto'
+    video.src = url
+  }
+  video.pause()
+  if (video.readyState < 1) {
+    await waitForEvent(video, 'loadedmetadata')
+  }
+  if (end === undefined || end > video.duration) {
+    end = video.duration
+  }
+  const count = Math.floor((end - start) * fps)
+  for (let i = 0; i < count; i++) {
+    // Seek into the middle of the frame so rounding doesn't land on the previous one
+    video.currentTime = start + (i + 0.5) / fps
+    await waitForEvent(video, 'seeked')
+    yield { image: video, timestamp: Math.round((start + i / fps) * 1000), count: count }
+  }
+}
+
+/**
+ * Wraps an image sequence (Array, iterable or async iterable) into {image, timestamp} items
+ * with timestamps derived from the frame rate.
+ *
+ * @param {Iterable|AsyncIterable} images
+ * @param {object} options {fps}
+ */
+export async function * sequenceFrames (images, { fps = 30 } = {}) {
+  const count = Array.isArray(images) ? images.length : undefined
+  let i = 0
+  for await (const image of images) {
+    yield { image: image, timestamp: Math.round(i * 1000 / fps), count: count }
+    i++
+  }
+}
@@ -0,0 +1,384 @@
+/**
+ * Types of artoolkitX.js, see artoolkitX.api.js. The types of the other modules are declared next to them.
+ */
+import { ARControllerEventTarget, OrientationChangeEventData, FrameStatsEventData } from './artoolkitX.events.js'
+import { FrameSource, Region } from './artoolkitX.framesource.js'
+import { PoseFilterLike, PoseFilterOptions } from './artoolkitX.filters.js'
+import { PoseTrack, PoseTrackDifference } from './artoolkitX.analysis.js'
+import { AssetLoader } from './artoolkitX.loader.js'
+import { MultiMarkerEntry } from './artoolkitX.multimarker.js'
+import { CameraParam, CameraDescription } from './artoolkitX.cameraparam.js'
+import { RunOptions } from './artoolkitX.scheduler.js'
+import { AutoThresholdOptions, LightingDiagnostics } from './artoolkitX.threshold.js'
+import { DebugOverlay, DebugOverlayOptions, OverlayLayer } from './artoolkitX.overlay.js'
+
+export {
+  ARControllerEvent, TrackableEvent, MultiMarkerSubEvent, OrientationChangeEvent, FrameStatsEvent, LoadProgressEvent,
+  LightingEvent, ThresholdChangeEvent, RecordingErrorEvent, ListenerErrorEvent, ARControllerEventMap, TrackableEventData,
+  MultiMarkerSubEventData, OrientationChangeEventData, FrameStatsEventData, LoadProgressEventData, LightingEventData,
+  ThresholdChangeEventData, RecordingErrorEventData, ListenerErrorEventData
+} from './artoolkitX.events.js'
+export {
+  FrameSource, CanvasFrameSource, ImageBitmapFrameSource, OffscreenCanvasFrameSource, VideoFrameSource,
+  BufferFrameSource, WebcamFrameSource, Frame, Region, PixelFormat, PixelBuffer
+} from './artoolkitX.framesource.js'
+export { PoseFilter, OneEuroFilter, ExponentialFilter, PoseFilterLike, PoseFilterOptions } from './artoolkitX.filters.js'
+export { PoseTrack, PoseTrackEntry, PoseTrackDifference } from './artoolkitX.analysis.js'
+export { AssetLoader, AssetLoadError } from './artoolkitX.loader.js'
+export {
+  parseMultiMarker, serializeMultiMarker, validateMultiMarker, createMultiMarker, createGridLayout, MultiMarkerError,
+  MultiMarkerEntry, MultiMarkerConfig, GridLayoutOptions
+} from './artoolkitX.multimarker.js'
+export { CameraParam, CameraDescription } from './artoolkitX.cameraparam.js'
+export { CameraCalibration, detectChessboard, calibrateCamera } from './artoolkitX.calibration.js'
+export { FrameScheduler, RunOptions } from './artoolkitX.scheduler.js'
+export {
+  ThresholdTuner, lumaHistogram, histogramStats, diagnoseLighting, AutoThresholdOptions, LightingDiagnostics, Lighting,
+  HistogramStats
+} from './artoolkitX.threshold.js'
+export { DebugOverlay, DebugOverlayOptions, OverlayLayer } from './artoolkitX.overlay.js'
+
+/** A value of an Emscripten enum, e.g. artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_OTSU */
+export interface EmscriptenEnumValue {
+  readonly value: number
+}
+
+/** The artoolkitX WASM module (artoolkitx.js) */
+export interface ArtoolkitXModule {
+  readonly LabelingThresholdMode: {
+    readonly AR_LABELING_THRESH_MODE_MANUAL: EmscriptenEnumValue
+    readonly AR_LABELING_THRESH_MODE_AUTO_MEDIAN: EmscriptenEnumValue
+    readonly AR_LABELING_THRESH_MODE_AUTO_OTSU: EmscriptenEnumValue
+    readonly AR_LABELING_THRESH_MODE_AUTO_ADAPTIVE: EmscriptenEnumValue
+    readonly AR_LABELING_THRESH_MODE_AUTO_BRACKETING: EmscriptenEnumValue
+  }
+  readonly ARMatrixCodeType: {
+    readonly AR_MATRIX_CODE_3x3: EmscriptenEnumValue
+    readonly AR_MATRIX_CODE_3x3_HAMMING63: EmscriptenEnumValue
+    readonly AR_MATRIX_CODE_3x3_PARITY65: EmscriptenEnumValue
+    readonly AR_MATRIX_CODE_4x4: EmscriptenEnumValue
+    readonly AR_MATRIX_CODE_4x4_BCH_13_9_3: EmscriptenEnumValue
+    readonly AR_MATRIX_CODE_4x4_BCH_13_5_5: EmscriptenEnumValue
+  }
+  readonly ARLogLevel: Readonly<Record<string, EmscriptenEnumValue>>
+  readonly TrackableOptions: Readonly<Record<string, EmscriptenEnumValue>>
+  readonly AR_TEMPLATE_MATCHING_COLOR: number
+  readonly AR_TEMPLATE_MATCHING_MONO: number
+  readonly AR_MATRIX_CODE_DETECTION: number
+  readonly AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX: number
+  readonly AR_TEMPLATE_MATCHING_MONO_AND_MATRIX: number
+  readonly AR_LABELING_WHITE_REGION: number
+  readonly AR_LABELING_BLACK_REGION: number
+  readonly AR_IMAGE_PROC_FRAME_IMAGE: number
+  readonly AR_IMAGE_PROC_FIELD_IMAGE: number
+  readonly AR_PATT_RATIO: number
+  readonly HEAPU8: Uint8Array
+  /** The Emscripten filesystem */
+  readonly FS: any
+  [name: string]: any
+}
+
+export const artoolkitXjs: ArtoolkitXModule
+
+export type ThresholdModeName = 'manual' | 'median' | 'otsu' | 'adaptive' | 'bracketing'
+export type PatternDetectionModeName = 'color' | 'mono' | 'matrix' | 'color_and_matrix' | 'mono_and_matrix'
+export type MatrixCodeTypeName = '3x3' | '3x3_hamming63' | '3x3_parity65' | '4x4' | '4x4_bch_13_9_3' | '4x4_bch_13_5_5'
+export type LabelingModeName = 'white' | 'black'
+export type ImageProcModeName = 'frame' | 'field'
+
+/** A tracker option given as artoolkitXjs constant, Emscripten enum value or string alias */
+export type TrackerOptionValue<Name extends string> = number | EmscriptenEnumValue | Name
+
+/** String aliases of the tracker option setters and the artoolkitXjs constants they stand for */
+export const TRACKER_OPTION_ALIASES: {
+  readonly ThresholdMode: { readonly enum: 'LabelingThresholdMode', readonly values: Readonly<Record<ThresholdModeName, string>> }
+  readonly PatternDetectionMode: { readonly values: Readonly<Record<PatternDetectionModeName, string>> }
+  readonly MatrixCodeType: { readonly enum: 'ARMatrixCodeType', readonly values: Readonly<Record<MatrixCodeTypeName, string>> }
+  readonly LabelingMode: { readonly values: Readonly<Record<LabelingModeName, string>> }
+  readonly ImageProcMode: { readonly values: Readonly<Record<ImageProcModeName, string>> }
+}
+
+/** Tracker options as accepted by ARController.setTrackerOptions */
+export interface TrackerOptions {
+  thresholdMode?: TrackerOptionValue<ThresholdModeName>
+  /** An integer between 0 and 255 */
+  threshold?: number
+  patternDetectionMode?: TrackerOptionValue<PatternDetectionModeName>
+  matrixCodeType?: TrackerOptionValue<MatrixCodeTypeName>
+  labelingMode?: TrackerOptionValue<LabelingModeName>
+  /** Between 0 and 1 (exclusive) */
+  pattRatio?: number
+  imageProcMode?: TrackerOptionValue<ImageProcModeName>
+}
+
+/** Tracker options as returned by ARController.getTrackerOptions, the modes are given by their aliases */
+export interface TrackerOptionsState {
+  thresholdMode?: ThresholdModeName | number
+  threshold?: number
+  patternDetectionMode?: PatternDetectionModeName | number
+  matrixCodeType?: MatrixCodeTypeName | number
+  labelingMode?: LabelingModeName | number
+  pattRatio?: number
+  imageProcMode?: ImageProcModeName | number
+}
+
+export type TrackableType = 'single' | 'single_barcode' | 'multi' | '2d'
+
+/** The content of a file given instead of its URL */
+export type FileContent = ArrayBuffer | Uint8Array | Blob
+
+interface TrackableBase {
+  /** Optional pose filter smoothing the transformation */
+  filter?: PoseFilterOptions
+}
+
+/** A square pattern marker loaded from a .patt file */
+export interface PatternTrackable extends TrackableBase {
+  trackableType: 'single'
+  url: string | URL | FileContent
+  /** Defaults to ARController.defaultMarkerWidth */
+  width?: number
+}
+
+/** A square barcode marker */
+export interface BarcodeTrackable extends TrackableBase {
+  trackableType: 'single' | 'single_barcode'
+  barcodeId: number
+  /** Defaults to ARController.defaultMarkerWidth */
+  width?: number
+}
+
+/** A multimarker board, from a configuration file or defined in code */
+export interface MultiTrackable extends TrackableBase {
+  trackableType: 'multi'
+  /** The configuration file, required without layout */
+  url?: string | FileContent
+  /** The board defined in code, see createMultiMarker and createGridLayout */
+  layout?: MultiMarkerEntry[] | { markers: MultiMarkerEntry[] }
+  /** The pattern files referenced by the configuration as file name -> content or URL */
+  dependencies?: Map<string, string | URL | FileContent> | Record<string, string | URL | FileContent>
+}
+
+/** A 2D image trackable */
+export interface ImageTrackable extends TrackableBase {
+  trackableType: '2d'
+  url: string | URL | FileContent
+  /** Height of the image, defaults to ARController.default2dHeight */
+  height?: number
+}
+
+/** The trackable descriptor of ARController.addTrackable */
+export type TrackableDescriptor = PatternTrackable | BarcodeTrackable | MultiTrackable | ImageTrackable
+
+/** A registered trackable as kept in ARController.trackables */
+export interface Trackable {
+  trackableId: number
+  trackableType: TrackableType
+  /** The configuration given to artoolkitX */
+  config: string
+  enabled: boolean
+  /** Whether the trackable is visible in the last processed frame */
+  visible: boolean
+  /** Whether the trackable is found, i.e. visible or missing for less than the lost grace period */
+  found: boolean
+  /** The filtered transformation */
+  transformation: Float32Array | number[]
+  rawTransformation: Float32Array
+  arCameraViewRH?: Float32Array
+  width?: number
+  /** Confidence of the last match of a square trackable between 0 and 1, null where it isn't available */
+  confidence?: number | null
+  filter: PoseFilterLike | null
+  [name: string]: unknown
+}
+
+/** A fixed region of interest in video pixels */
+export type FixedRegionOfInterest = Region
+
+/** A region of interest following the trackables */
+export interface FollowingRegionOfInterest {
+  /** true to follow all trackables or the id of the trackable to follow */
+  follow: true | number
+  /** Added to each side of the followed outline, relative to its size. Defaults to 0.5 */
+  margin?: number
+  /** Search the full frame every n frames while following, defaults to 30. 0 never searches the full frame */
+  fullFrameInterval?: number
+}
+
+export type RegionOfInterest = FixedRegionOfInterest | FollowingRegionOfInterest
+
+/** The last argument of the ARController constructor */
+export interface ARControllerOptions {
+  /** Scale of the processed frames relative to the video, between 0 (exclusive) and 1. Defaults to 1 */
+  processingScale?: number
+  /** Maximum width and height of the processed frames */
+  maxProcessingSize?: number
+  regionOfInterest?: RegionOfInterest | null
+  /** Applied when the ARController is started */
+  trackerOptions?: TrackerOptions
+}
+
+/** The camera parameters as URL, file content, CameraParam or camera description */
+export type AssetFileReader = (url: string) => ArrayBuffer | Uint8Array | null | Promise<ArrayBuffer | Uint8Array | null>
+
+export type CameraParamSource = string | URL | FileContent | CameraParam | CameraDescription
+
+/** The configuration of ARController.getUserMedia */
+export interface UserMediaConfig {
+  width?: number | ConstrainULong
+  height?: number | ConstrainULong
+  facingMode?: 'environment' | 'user' | 'left' | 'right' | ConstrainDOMString
+  deviceId?: string | ConstrainDOMString
+  fps?: number
+}
+
+/** The configuration of ARController.getUserMediaARController */
+export interface UserMediaARControllerConfig extends UserMediaConfig {
+  cameraParam: CameraParamSource
+  /** Maximum max(width, height) of the processed frames */
+  maxARVideoSize?: number
+  processingScale?: number
+  regionOfInterest?: RegionOfInterest | null
+  trackerOptions?: TrackerOptions
+}
+
+/** The device camera as returned by ARController.getUserMedia, started by ARController.start */
+export interface Webcam {
+  video: HTMLVideoElement
+  constraints: MediaStreamConstraints
+  isPlaying: boolean
+  stream: MediaStream | null
+  setupStream (video: HTMLVideoElement, constraints: UserMediaConfig): void
+  startStream (arController: ARController): Promise<void>
+  stopStream (): void
+}
+
+/** The result of ARController.replay */
+export interface ReplayResult {
+  /** The controller used for the replay, still running. Dispose it when done */
+  arController: ARController
+  track: PoseTrack
+  recordedTrack: PoseTrack
+  differences: PoseTrackDifference[]
+}
+
+export interface HeapUsage {
+  heapSize: number
+  heapGrowths: number
+  allocatedBytes: number
+}
+
+/** The image given to the ARController constructor */
+export type ARControllerImage = HTMLImageElement | HTMLVideoElement | Webcam | FrameSource
+
+/** The image given to ARController.process, a frame source input for ARControllers with a FrameSource */
+export type ProcessImage = HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | ImageBitmap | ImageData | unknown
+
+/** The main object for doing augmented reality with artoolkitX.js */
+export default class ARController extends ARControllerEventTarget {
+  constructor (image: ARControllerImage | null | undefined, cameraPara: CameraParamSource, confWidth?: number, confHeight?: number, options?: ARControllerOptions)
+
+  image: HTMLImageElement | HTMLVideoElement | undefined
+  frameSource?: FrameSource
+  webcam?: Webcam
+  canvas: HTMLCanvasElement | OffscreenCanvas | null
+  /** Size of the video */
+  videoWidth: number
+  videoHeight: number
+  /** Size of the processed frames */
+  processingWidth: number
+  processingHeight: number
+  processingScale: number
+  maxProcessingSize: number
+  /** 'portrait' or 'landscape', the orientation of the displayed frames */
+  orientation: 'portrait' | 'landscape'
+  defaultMarkerWidth: number
+  default2dHeight: number
+  trackables: Trackable[]
+  /** The luma of the last processed frame */
+  videoLuma?: Uint8Array | Uint8ClampedArray
+
+  start (options?: { signal?: AbortSignal }): Promise<void>
+  dispose (): void
+  process (image?: ProcessImage): Promise<void>
+  run (options?: RunOptions): void
+  stop (): void
+  isRunning (): boolean
+  getFrameStats (): FrameStatsEventData | null
+  analyze (input?: HTMLVideoElement | string | Iterable<unknown> | AsyncIterable<unknown>, options?: {
+    fps?: number
+    start?: number
+    end?: number
+    onProgress?: (frameIndex: number, frameCount: number | undefined) => void
+  }): Promise<PoseTrack>
+  startRecording (options?: { color?: boolean, maxFrames?: number }): void
+  stopRecording (options?: { compress?: boolean }): Promise<Uint8Array>
+  isRecording (): boolean
+  /** The debug overlay, see setDebugOverlay */
+  debugOverlay: DebugOverlay | null
+  /** @deprecated Use setDebugOverlay */
+  debugSetup (): void
+  debugDraw (): void
+  /** null removes the overlay */
+  setDebugOverlay (canvas: HTMLCanvasElement | OffscreenCanvas | null, options?: DebugOverlayOptions): void
+  setDebugOverlayLayer (layer: OverlayLayer, enabled: boolean): void
+
+  addTrackable (trackable: TrackableDescriptor, options?: { signal?: AbortSignal }): Promise<number>
+  removeTrackable (trackableId: number): boolean
+  removeAllTrackables (): void
+  setTrackableEnabled (trackableId: number, enabled: boolean): void
+  isTrackableEnabled (trackableId: number): boolean
+  getTransMatSquare (trackableId: number): Float32Array | undefined
+  getCameraMatrix (nearPlane?: number, farPlane?: number): Float32Array | undefined
+  setRegionOfInterest (region: RegionOfInterest | null): void
+  getRegionOfInterest (): Region | null
+  getOrientation (): OrientationChangeEventData
+  setOrientation (angle: number): void
+  getCameraParam (): CameraParam | null
+  getHeapUsage (): HeapUsage
+
+  enableDebugMode (enable: boolean): void
+  isDebugMode (): boolean
+  /** The frame binarized by the tracker in debug mode, a view overwritten by the next frame */
+  getDebugImage (): Uint8Array | null
+  /** @deprecated Use isDebugMode and enableDebugMode, or setDebugOverlay */
+  debug: boolean
+  setLogLevel (mode: number): void
+  getLogLevel (): number
+  setLostGracePeriod (period: number, unit?: 'frames' | 'ms'): void
+  getLostGracePeriod (): { period: number, unit: 'frames' | 'ms' }
+  setThresholdMode (mode: TrackerOptionValue<ThresholdModeName>): void
+  getThresholdMode (): number
+  setThreshold (threshold: number): void
+  getThreshold (): number
+  /** @deprecated Use getThreshold and setThreshold, or setTrackerOptions */
+  threshold: number | undefined
+  setPatternDetectionMode (mode: TrackerOptionValue<PatternDetectionModeName>): void
+  getPatternDetectionMode (): number
+  setMatrixCodeType (type: TrackerOptionValue<MatrixCodeTypeName>): void
+  getMatrixCodeType (): number
+  setLabelingMode (mode: TrackerOptionValue<LabelingModeName>): void
+  getLabelingMode (): number
+  setPattRatio (pattRatio: number): void
+  getPattRatio (): number
+  setImageProcMode (mode: TrackerOptionValue<ImageProcModeName>): void
+  getImageProcMode (): number
+  setTrackerOptions (options: TrackerOptions): void
+  getTrackerOptions (): TrackerOptionsState
+  /** true for the default options, false or null to stop tuning */
+  setAutoThreshold (options: AutoThresholdOptions | boolean | null): void
+  isAutoThreshold (): boolean
+  /** null before the first interval of frames was evaluated */
+  getLightingDiagnostics (): LightingDiagnostics | null
+
+  static getUserMedia (configuration: UserMediaConfig): Promise<Webcam>
+  static getUserMediaARController (configuration: UserMediaARControllerConfig): Promise<ARController>
+  /** The reader returns null to load the URL with the AssetLoader */
+  static setFileReader (reader: AssetFileReader | null): void
+  static getFileReader (): AssetFileReader | null
+  static setAssetLoader (loader: AssetLoader): void
+  static replay (archive: Uint8Array | ArrayBuffer | Blob, options?: { onFrame?: (arController: ARController, frameIndex: number) => void }): Promise<ReplayResult>
+  static transMatToGLMat<T extends { [index: number]: number } = Float64Array> (transMat: ArrayLike<number>, glMat?: T, scale?: number): T
+  static multiplyGLMat (a: ArrayLike<number>, b: ArrayLike<number>): Float32Array
+  static arglCameraViewRHf<T extends { [index: number]: number } = Float32Array> (glMatrix: ArrayLike<number>, glRhMatrix?: T, scale?: number): T
+}
@@ -1,10 +1,71 @@
 import artoolkitXjs from './artoolkitx.js'
-export { artoolkitXjs }
+import { createPoseFilter, OneEuroFilter, ExponentialFilter, PoseFilter } from './artoolkitX.filters.js'
+import {
+  createCanvas, rgbaToLuma, regionToLuma, isFrame, rotateFrame, scaleFrame, FrameSource, CanvasFrameSource, ImageBitmapFrameSource,
+  OffscreenCanvasFrameSource, VideoFrameSource, BufferFrameSource, WebcamFrameSource
+} from './artoolkitX.framesource.js'
+import { PoseTrack, isVideoInput, videoFrames, sequenceFrames } from './artoolkitX.analysis.js'
+import { SessionRecorder, decodeSession } from './artoolkitX.recorder.js'
+import { AssetLoader, AssetLoadError } from './artoolkitX.loader.js'
+import {
+  parseMultiMarker, serializeMultiMarker, validateMultiMarker, getPatternFiles, createMultiMarker, createGridLayout, MultiMarkerError
+} from './artoolkitX.multimarker.js'
+import { CameraParam } from './artoolkitX.cameraparam.js'
+import { CameraCalibration, detectChessboard, calibrateCamera } from './artoolkitX.calibration.js'
+import { FrameScheduler } from './artoolkitX.scheduler.js'
+import { ThresholdTuner, lumaHistogram, histogramStats, diagnoseLighting } from './artoolkitX.threshold.js'
+import { DebugOverlay } from './artoolkitX.overlay.js'
+import { now, multiplyGLMat } from './artoolkitX.utils.js'
+import {
+  ARControllerEvent, ARControllerEventTarget, TrackableEvent, MultiMarkerSubEvent, OrientationChangeEvent, FrameStatsEvent,
+  LoadProgressEvent, LightingEvent, ThresholdChangeEvent, RecordingErrorEvent, ListenerErrorEvent
+} from './artoolkitX.events.js'
+export { artoolkitXjs, OneEuroFilter, ExponentialFilter, PoseFilter, PoseTrack, AssetLoader, AssetLoadError }
+export { parseMultiMarker, serializeMultiMarker, validateMultiMarker, createMultiMarker, createGridLayout, MultiMarkerError }
+export { CameraParam, CameraCalibration, detectChessboard, calibrateCamera, FrameScheduler }
+export { ThresholdTuner, lumaHistogram, histogramStats, diagnoseLighting, DebugOverlay }
+export {
+  ARControllerEvent, TrackableEvent, MultiMarkerSubEvent, OrientationChangeEvent, FrameStatsEvent, LoadProgressEvent,
+  LightingEvent, ThresholdChangeEvent, RecordingErrorEvent, ListenerErrorEvent
+}
+export {
+  FrameSource, CanvasFrameSource, ImageBitmapFrameSource, OffscreenCanvasFrameSource, VideoFrameSource,
+  BufferFrameSource, WebcamFrameSource
+}
 'use strict'
-const ua = window.navigator.userAgent
+const ua = typeof navigator !== 'undefined' ? navigator.userAgent : ''
 const isIOS = (ua.indexOf('iPad') > 0 || ua.indexOf('iPhone') > 0) > 0
 let stoppedOnIOS = 0
 
+/**
+ * The angle of the screen orientation in degrees counter-clockwise from the natural orientation of the device,
+ * from screen.orientation or the deprecated window.orientation. null if neither is available, e.g. in a worker.
+ */
+const getScreenAngle = () => {
+  if (typeof screen !== 'undefined' && screen.orientation && typeof screen.orientation.angle === 'number') {
+    return screen.orientation.angle
+  }
+  if (typeof window !== 'undefined' && 'orientation' in window) {
+    return (window.orientation + 360) % 360
+  }
+  return null
+}
+
+/**
+ * Rounds a region {x, y, width, height} outwards to whole pixels and clips it to an image of the given size.
+ * null if nothing of the region lies inside the image.
+ */
+const clipRegion = (region, width, height) => {
+  const left = Math.max(0, Math.floor(region.x))
+  const top = Math.max(0, Math.floor(region.y))
+  const right = Math.min(width, Math.ceil(region.x + region.width))
+  const bottom = Math.min(height, Math.ceil(region.y + region.height))
+  if (right <= left || bottom <= top) {
+    return null
+  }
+  return { x: left, y: top, width: right - left, height: bottom - top }
+}
+
 class Webcam {
   constructor () {
     this.constraints = {}
@@ -32,8 +93,11 @@ class Webcam {
         await this.onMediaStreamDimensionsAvailable()
         arController.videoWidth = this.video.videoWidth
         arController.videoHeight = this.video.videoHeight
-        arController.canvas.width = arController.videoWidth
-        arController.canvas.height = arController.videoHeight
+        // The ARControllerProxy has no canvas
+        if (arController.canvas) {
+          arController.canvas.width = arController.videoWidth
+          arController.canvas.height = arController.videoHeight
+        }
         arController.videoSize = arController.videoWidth * arController.videoHeight
         this.ctx = arController.ctx
       }
@@ -87,6 +151,203 @@ const _queryTrackableVisibility = Symbol('_queryTrackableVisibility')
 const _setPatternDetectionMode = Symbol('_setPatternDetectionMode')
 const _updateDetectionMode = Symbol('_updateDetectionMode')
 const _teardownVideo = Symbol('_tearDownVideo')
+const _dispatchTrackableEvent = Symbol('_dispatchTrackableEvent')
+const _trackableMissed = Symbol('_trackableMissed')
+const _queryPatternConfigs = Symbol('_queryPatternConfigs')
+const _dispatchMultiMarkerEvents = Symbol('_dispatchMultiMarkerEvents')
+const _isPatternInView = Symbol('_isPatternInView')
+const _scratchMatrix = Symbol('_scratchMatrix')
+const _heapAlloc = Symbol('_heapAlloc')
+const _heapFree = Symbol('_heapFree')
+const _drawImage = Symbol('_drawImage')
+const _addTrackableConfig = Symbol('_addTrackableConfig')
+const _trackerOptionState = Symbol('_trackerOptionState')
+const _applyTrackerOptions = Symbol('_applyTrackerOptions')
+const _recordTrackable = Symbol('_recordTrackable')
+const _recordFrame = Symbol('_recordFrame')
+const _loadOptions = Symbol('_loadOptions')
+const _releaseTrackable = Symbol('_releaseTrackable')
+const _loseTrackable = Symbol('_loseTrackable')
+const _checkCameraParam = Symbol('_checkCameraParam')
+const _describeCamera = Symbol('_describeCamera')
+const _frameRotation = Symbol('_frameRotation')
+const _updateOrientation = Symbol('_updateOrientation')
+const _updateProcessingSize = Symbol('_updateProcessingSize')
+const _trackableSnapshot = Symbol('_trackableSnapshot')
+const _processingRegion = Symbol('_processingRegion')
+const _updateRegionOfInterest = Symbol('_updateRegionOfInterest')
+const _trackableBounds = Symbol('_trackableBounds')
+const _projectOutline = Symbol('_projectOutline')
+const _projectionMatrix = Symbol('_projectionMatrix')
+const _tuneThreshold = Symbol('_tuneThreshold')
+const _trackableConfidence = Symbol('_trackableConfidence')
+const _detect = Symbol('_detect')
+const _updateDebugMode = Symbol('_updateDebugMode')
+
+/**
+ * Tracker options stored with a recorded session, each with a get<Name> and set<Name> method on the ARController
+ */
+const TRACKER_OPTIONS = ['ThresholdMode', 'Threshold', 'PatternDetectionMode', 'MatrixCodeType', 'LabelingMode', 'PattRatio', 'ImageProcMode']
+
+/**
+ * String aliases accepted by the tracker option setters besides the artoolkitXjs constants, e.g. setThresholdMode('otsu').
+ * Each alias names the artoolkitXjs constant it stands for, looked up in the Emscripten enum of the option if it has one.
+ */
+export const TRACKER_OPTION_ALIASES = {
+  ThresholdMode: {
+    enum: 'LabelingThresholdMode',
+    values: {
+      manual: 'AR_LABELING_THRESH_MODE_MANUAL',
+      median: 'AR_LABELING_THRESH_MODE_AUTO_MEDIAN',
+      otsu: 'AR_LABELING_THRESH_MODE_AUTO_OTSU',
+      adaptive: 'AR_LABELING_THRESH_MODE_AUTO_ADAPTIVE',
+      bracketing: 'AR_LABELING_THRESH_MODE_AUTO_BRACKETING'
+    }
+  },
+  PatternDetectionMode: {
+    values: {
+      color: 'AR_TEMPLATE_MATCHING_COLOR',
+      mono: 'AR_TEMPLATE_MATCHING_MONO',
+      matrix: 'AR_MATRIX_CODE_DETECTION',
+      color_and_matrix: 'AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX',
+      mono_and_matrix: 'AR_TEMPLATE_MATCHING_MONO_AND_MATRIX'
+    }
+  },
+  MatrixCodeType: {
+    enum: 'ARMatrixCodeType',
+    values: {
+      '3x3': 'AR_MATRIX_CODE_3x3',
+      '3x3_hamming63': 'AR_MATRIX_CODE_3x3_HAMMING63',
+      '3x3_parity65': 'AR_MATRIX_CODE_3x3_PARITY65',
+      '4x4': 'AR_MATRIX_CODE_4x4',
+      '4x4_bch_13_9_3': 'AR_MATRIX_CODE_4x4_BCH_13_9_3',
+      '4x4_bch_13_5_5': 'AR_MATRIX_CODE_4x4_BCH_13_5_5'
+    }
+  },
+  LabelingMode: {
+    values: {
+      white: 'AR_LABELING_WHITE_REGION',
+      black: 'AR_LABELING_BLACK_REGION'
+    }
+  },
+  ImageProcMode: {
+    values: {
+      frame: 'AR_IMAGE_PROC_FRAME_IMAGE',
+      field: 'AR_IMAGE_PROC_FIELD_IMAGE'
+    }
+  }
+}
+
+/**
+ * Converts the value given to a tracker option setter into the integer passed to artoolkitX.
+ *
+ * @param {string} option The option, a key of TRACKER_OPTION_ALIASES
+ * @param {number|string|object} value A constant, one of the string aliases of the option or an Emscripten enum value
+ * @returns {number}
+ */
+const resolveTrackerOption = (option, value) => {
+  if (typeof value === 'string') {
+    const aliases = TRACKER_OPTION_ALIASES[option]
+    const constant = aliases.values[value.toLowerCase()]
+    if (!constant) {
+      throw new Error(`Unknown ${option} '${value}', expected one of ${Object.keys(aliases.values).join(', ')} or a constant of artoolkitXjs`)
+    }
+    const enumeration = aliases.enum && artoolkitXjs[aliases.enum]
+    value = enumeration && enumeration[constant] !== undefined ? enumeration[constant] : artoolkitXjs[constant]
+    if (value === undefined) {
+      throw new Error(`${constant} isn't available in this build of artoolkitX`)
+    }
+  }
+  // The values of Emscripten enums are objects
+  return value !== null && typeof value === 'object' ? value.value : value
+}
+
+/**
+ * @param {string} option The option, a key of TRACKER_OPTION_ALIASES
+ * @param {number} value The value as passed to artoolkitX
+ * @returns {string} The alias of the value, undefined if it has none
+ */
+const trackerOptionAlias = (option, value) => {
+  return Object.keys(TRACKER_OPTION_ALIASES[option].values).find(alias => {
+    try {
+      return resolveTrackerOption(option, alias) === value
+    } catch (e) {
+      // Not available in this build
+      return false
+    }
+  })
+}
+
+/**
+ * @param {string} option The option, a key of TRACKER_OPTION_ALIASES
+ * @param {number} value The value as passed to artoolkitX
+ * @returns {boolean} Whether value is valid for the option. Options of an Emscripten enum take all of its values,
+ *     also those without alias, the others only the constants of their aliases.
+ */
+const isTrackerOptionValue = (option, value) => {
+  const aliases = TRACKER_OPTION_ALIASES[option]
+  const enumeration = aliases.enum && artoolkitXjs[aliases.enum]
+  if (enumeration) {
+    return Object.keys(enumeration).some(name => enumeration[name] !== null && typeof enumeration[name] === 'object' && enumeration[name].value === value)
+  }
+  return trackerOptionAlias(option, value) !== undefined
+}
+
+/**
+ * Validates the value of a single tracker option, see ARController.setTrackerOptions. The setters of the
+ * options validate their value with it as well.
+ *
+ * @param {string} key The option, e.g. 'threshold'
+ * @param {number|string|object} value
+ * @returns {number} The value passed to artoolkitX, aliases resolved
+ */
+const validateTrackerOption = (key, value) => {
+  const name = key[0].toUpperCase() + key.slice(1)
+  if (name === 'Threshold') {
+    if (!Number.isInteger(value) || value < 0 || value > 255) {
+      throw new Error('threshold has to be an integer between 0 and 255, not ' + value)
+    }
+    return value
+  }
+  if (name === 'PattRatio') {
+    if (typeof value !== 'number' || !(value > 0 && value < 1)) {
+      throw new Error('pattRatio has to be between 0 and 1 (exclusive), not ' + value)
+    }
+    return value
+  }
+  const resolved = resolveTrackerOption(name, value)
+  if (!isTrackerOptionValue(name, resolved)) {
+    throw new Error(`Invalid ${key} ${value}, expected one of ${Object.keys(TRACKER_OPTION_ALIASES[name].values).join(', ')} or a constant of artoolkitXjs`)
+  }
+  return resolved
+}
+
+/**
+ * Validates tracker options, see ARController.setTrackerOptions.
+ *
+ * @param {object} options Some or all of the options {thresholdMode, threshold, patternDetectionMode, matrixCodeType,
+ *     labelingMode, pattRatio, imageProcMode}
+ * @returns {object} The options with the aliases resolved into the values passed to artoolkitX
+ */
+const validateTrackerOptions = (options) => {
+  if (!options || typeof options !== 'object') {
+    throw new Error('The tracker options have to be an object, not ' + options)
+  }
+  const result = {}
+  Object.keys(options).forEach(key => {
+    if (!TRACKER_OPTIONS.includes(key[0].toUpperCase() + key.slice(1))) {
+      throw new Error('Unknown tracker option: ' + key)
+    }
+    if (options[key] !== undefined) {
+      result[key] = validateTrackerOption(key, options[key])
+    }
+  })
+  return result
+}
+
+// Frames between two searches of the full frame while a region of interest follows the trackables, see
+// setRegionOfInterest
+const FULL_FRAME_INTERVAL = 30
 
 const ORIENTATION = {
   0: 'portrait',
@@ -109,22 +370,47 @@ const ORIENTATION = {
         @exports ARController
         @constructor
 
-        @param {HTMLImageElement | HTMLVideoElement | Webcam} image The ARController treats it as an image and it tries to find a marker in that image
-        @param {string}  cameraPara A string to the camera para to use for image processing.
+        @param {HTMLImageElement | HTMLVideoElement | Webcam | FrameSource} image The ARController treats it as an image and it tries to find a marker in that image.
+            A FrameSource (see artoolkitX.framesource.js) supplies RGBA or luma buffers without a DOM element.
+        @param {string|ArrayBuffer|Uint8Array|Blob|File|CameraParam|object}  cameraPara The URL or the content of the camera para
+            to use for image processing. Without calibration file the camera can be described by its field of view as
+            {fovY | fovX, width, height} or a device profile {focalLength35mm}, see CameraParam.fromDescription.
+            The resulting parameters are scaled to the size of the frames.
+        @param {number} [confWidth] Width of the frames if it can't be read from image.
+        @param {number} [confHeight] Height of the frames if it can't be read from image.
+        @param {object} [options]
+            processingScale: {number} scale of the processed frames relative to the video, between 0 (exclusive) and 1.
+                Markers are detected in the downscaled frames, which is much faster on low-end devices; poses and
+                the camera matrix don't depend on the processing size. Defaults to 1.
+            maxProcessingSize: {number} maximum width and height of the processed frames, lowers processingScale
+                for larger videos.
+            regionOfInterest: {object} the part of the frames searched for markers, see setRegionOfInterest.
+            trackerOptions: {object} the tracker options, e.g. a stored preset, applied when the ARController is started.
+                See setTrackerOptions.
     */
-export default class ARController {
-  constructor (image, cameraPara, confWidth, confHeight) {
+export default class ARController extends ARControllerEventTarget {
+  constructor (image, cameraPara, confWidth, confHeight, options = {}) {
+    super()
     this.orientation = ORIENTATION[90]
-    this.listeners = {}
     this._patternDetection = {}
     this.count = 1
     this.has2DTrackable = false
 
-    this.canvas = document.createElement('canvas')
+    // There is no canvas in Node.js, images then have to be supplied through a FrameSource
+    this.canvas = createCanvas()
+    this.ctx = null
     this.image = image
     if (this.image) {
-      // image is a video
-      if (this.image.srcObject) {
+      if (image instanceof FrameSource) {
+        this.frameSource = image
+        this.image = undefined
+        if (image.webcam) { // frame source of a Webcam
+          this.webcam = image.webcam
+          this.image = this.webcam.video
+        }
+        this.videoWidth = image.width
+        this.videoHeight = image.height
+      } else if (this.image.srcObject) { // image is a video
         const videoTrack = image.srcObject.getVideoTracks()[0]
         if (videoTrack) {
           const videoTrackSettings = videoTrack.getSettings()
@@ -144,54 +430,122 @@ export default class ARController {
       this.videoWidth = confWidth
       this.videoHeight = confHeight
     }
-    this.canvas.width = this.videoWidth
-    this.canvas.height = this.videoHeight
+    // Frames are downscaled to the processing size before marker detection, see [_updateProcessingSize]
+    this.processingScale = options.processingScale === undefined ? 1 : options.processingScale
+    if (!(this.processingScale > 0 && this.processingScale <= 1)) {
+      throw new Error('processingScale has to be between 0 and 1, not ' + options.processingScale)
+    }
+    this.maxProcessingSize = options.maxProcessingSize || 0
+    // Tracker options applied in start(), see setTrackerOptions
+    this._trackerOptions = options.trackerOptions ? validateTrackerOptions(options.trackerOptions) : {}
+    if (this.canvas) {
+      this.ctx = this.canvas.getContext('2d')
+    }
+    this[_updateProcessingSize]()
     this.videoSize = this.videoWidth * this.videoHeight
     this.defaultMarkerWidth = 80
     this.default2dHeight = 0.001
 
     this.trackables = []
+    this.lostGracePeriod = 0
+    this.lostGracePeriodUnit = 'frames'
     this.transform_mat = new Float64Array(16)
     this.cameraParaFileURL = cameraPara
-    this.ctx = this.canvas.getContext('2d')
-    if ('orientation' in window) {
-      this.orientation = ORIENTATION[Math.abs(window.orientation)]
-    } else {
-      this.orientation = ORIENTATION[90]
+    // Scratch buffers in the Emscripten heap, allocated once and reused for every query. See [_scratchMatrix]
+    this._transMatPtr = null
+    this._projectionMatPtr = null
+    this._heapBuffer = null
+    this._heapViews = {}
+    this._heapGrowths = 0
+    // Live allocations in the Emscripten heap, pointer -> bytes. See [_heapAlloc] and getHeapUsage
+    this._allocations = new Map()
+    // Session recording, see startRecording
+    this.recorder = null
+    this._frameRecorded = false
+    this._cameraParamFile = ''
+    // The decoded camera parameters, see getCameraParam
+    this.cameraParam = null
+    // Region of interest, see setRegionOfInterest. _roi is the region in video pixels the next frame is searched in,
+    // null for the full frame
+    this.regionOfInterest = null
+    this._roi = null
+    this._roiLuma = null
+    this._framesSinceFullSearch = 0
+    // The render loop of run()
+    this.scheduler = null
+    // Automatic threshold tuning, see setAutoThreshold
+    this.thresholdTuner = null
+    this.lightingDiagnostics = null
+    // Screen orientation, see getOrientation. The tracker keeps processing frames in the orientation it was
+    // started in, _trackerAngle, frames of other orientations are rotated back into it.
+    this.orientationAngle = getScreenAngle() || 0
+    this._trackerAngle = null
+    this[_updateOrientation](this.orientationAngle)
+    this._onScreenOrientationChange = () => this.setOrientation(getScreenAngle())
+    if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.addEventListener) {
+      screen.orientation.addEventListener('change', this._onScreenOrientationChange)
+    } else if (typeof window !== 'undefined' && 'onorientationchange' in window) {
+      window.addEventListener('orientationchange', this._onScreenOrientationChange)
     }
 
-    // debugging
-    this._lumaCtx = undefined
-    this.debug = false
-    this.threshold = 100;
+    // The debug overlay drawn after every processed frame, see setDebugOverlay
+    this.debugOverlay = null
+    // Whether the debug mode of the tracker was enabled for the binarized layer of the overlay, see [_updateDebugMode]
+    this._overlayDebugMode = false
+
+    if (options.regionOfInterest) {
+      this.setRegionOfInterest(options.regionOfInterest)
+    }
   };
 
-  async start () {
+  /**
+        Starts the video stream if the ARController was created with a Webcam, loads the camera parameters
+        and initialises artoolkitX. Called by process() if the ARController isn't started yet.
+
+        @param {object} [options]
+            signal: {AbortSignal} aborts loading the camera parameters
+    */
+  async start (options = {}) {
     // start video stream
     if (this.webcam) {
       // TODO this might be possible to run in parallel with initialiseAR
       await this.webcam.startStream(this)
     }
+    this._trackerAngle = this.orientationAngle
+    this[_updateOrientation](this.orientationAngle)
+    this[_updateProcessingSize]()
 
     let success = artoolkitXjs.initialiseAR()
     if (success) {
       console.debug('Version: ' + artoolkitXjs.getARToolKitVersion())
       // Only try to load the camera parameter file if an URL was provided
       let arCameraURL = ''
-      if (this.cameraParaFileURL !== '') {
+      if (this.cameraParaFileURL) {
         try {
-          arCameraURL = await ARController[_loadCameraParam](this.cameraParaFileURL)
+          let cameraPara = this.cameraParaFileURL
+          if (CameraParam.isDescription(cameraPara)) {
+            cameraPara = this[_describeCamera](cameraPara).encode()
+          }
+          arCameraURL = await ARController[_loadCameraParam](cameraPara, this[_loadOptions](options.signal))
         } catch (e) {
+          if (e instanceof AssetLoadError || e.name === 'AbortError') throw e
           throw new Error('Error loading camera param: ' + e)
         }
       }
-      success = artoolkitXjs.arwStartRunningJS(arCameraURL, this.videoWidth, this.videoHeight)
+      this._cameraParamFile = arCameraURL
+      if (arCameraURL) {
+        this[_checkCameraParam](artoolkitXjs.FS.readFile(arCameraURL))
+      }
+      // artoolkitX scales the camera parameters to the processing size
+      success = artoolkitXjs.arwStartRunningJS(arCameraURL, this.processingWidth, this.processingHeight)
       if (success >= 0) {
         console.info(' artoolkitXjs started')
-        success = artoolkitXjs.pushVideoInit(0, this.videoWidth, this.videoHeight, 'RGBA', 0, 0)
+        success = artoolkitXjs.pushVideoInit(0, this.processingWidth, this.processingHeight, 'RGBA', 0, 0)
         if (success < 0) {
           throw new Error('Error while starting')
         }
+        this[_applyTrackerOptions](this._trackerOptions)
+        this[_updateDebugMode]()
       } else { throw new Error('Error while starting') }
     } else {
       throw new Error('Error while starting')
@@ -205,10 +559,18 @@ export default class ARController {
         Calling this avoids leaking Emscripten memory.
     */
   dispose () {
-    artoolkitXjs._free(this._transMatPtr)
+    this.stop()
+    if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.removeEventListener) {
+      screen.orientation.removeEventListener('change', this._onScreenOrientationChange)
+    } else if (typeof window !== 'undefined' && 'onorientationchange' in window) {
+      window.removeEventListener('orientationchange', this._onScreenOrientationChange)
+    }
+    if (this._transMatPtr) this[_heapFree](this._transMatPtr)
+    if (this._projectionMatPtr) this[_heapFree](this._projectionMatPtr)
     if (this.image && this.image.srcObject) {
       this[_teardownVideo]()
     }
+    if (this.debugOverlay) this.debugOverlay.dispose()
     artoolkitXjs.stopRunning()
     artoolkitXjs.shutdownAR()
     for (var t in this) {
@@ -216,7 +578,6 @@ export default class ARController {
     }
   };
 
-  // TODO: MultiMarker and events
   /**
         Detects markers in the given image. The process method dispatches marker detection events during its run.
 
@@ -226,7 +587,8 @@ export default class ARController {
         dispatched for each of the markers in the multimarker.
 
         If no image is given, defaults to this.image.
-        @param {HTMLImageElement|HTMLVideoElement} [image] The image to process [optional].
+        If the ARController was created with a FrameSource, image is passed on to its getFrame method.
+        @param {HTMLImageElement|HTMLVideoElement|ImageBitmap|ImageData|*} [image] The image to process [optional].
     */
   async process (image) {
     if (!image) { image = this.image }
@@ -239,6 +601,10 @@ export default class ARController {
       }
     }
 
+    if (this.frameSource) {
+      image = await this.frameSource.getFrame(image)
+    }
+
     if (this.webcam) {
       if (isIOS && stoppedOnIOS === 1) {
       // Process image once. This is done because the first image process loads the 2DTrackables and can be done before the video stream is active
@@ -260,102 +626,295 @@ export default class ARController {
     }
   };
 
-  _processImage (image) {
+  _processImage (image, timestamp) {
     try {
-      this[_prepareImage](image)
-      const success = artoolkitXjs._arwUpdateAR()
+      this[_detect](image, timestamp)
+    } catch (e) {
+      console.error('Unable to detect marker: ' + e)
+    }
+  }
 
-      if (success >= 0) {
-        this.trackables.forEach(function (trackable) {
-          const transformation = this[_queryTrackableVisibility](trackable.trackableId)
-          if (transformation) {
-            trackable.transformation = transformation
-            trackable.arCameraViewRH = ARController.arglCameraViewRHf(transformation)
-            trackable.visible = true
-            trackable.scale = this.canvas.height / this.canvas.width
-            try {
-              this.dispatchEvent({
-                name: 'getMarker',
-                target: this,
-                data: trackable
-              })
-            } catch (e) {
-              console.error('Error during trackable found event processing ' + e)
-            }
-          } else {
-            trackable.visible = false
+  /**
+     * Detects the trackables in the image and dispatches the events, see process. Throws if the image can't be processed.
+     * @private
+     */
+  [_detect] (image, timestamp) {
+    const start = now()
+    this[_prepareImage](image, timestamp)
+    const success = artoolkitXjs._arwUpdateAR()
+    if (success < 0) {
+      throw new Error('artoolkitX failed to process the frame')
+    }
+    const frameTime = this._frameTime
+    this.trackables.forEach(function (trackable) {
+      if (!trackable.enabled) {
+        return
+      }
+      const transformation = this[_queryTrackableVisibility](trackable.trackableId)
+      if (transformation) {
+        // transformation is a view into the reused scratch buffer, keep a copy with the trackable
+        trackable.rawTransformation.set(transformation)
+        trackable.transformation = trackable.filter ? trackable.filter.filter(trackable.rawTransformation, frameTime) : trackable.rawTransformation.slice()
+        trackable.arCameraViewRH = ARController.arglCameraViewRHf(trackable.transformation)
+        trackable.visible = true
+        trackable.confidence = this[_trackableConfidence](trackable)
+        trackable.scale = this.videoHeight / this.videoWidth
+        trackable.lastSeen = frameTime
+        trackable.missedFrames = 0
+        if (!trackable.found) {
+          trackable.found = true
+          this[_dispatchTrackableEvent]('trackableFound', trackable, frameTime)
+        }
+        this[_dispatchTrackableEvent]('getMarker', trackable, frameTime)
+        this[_dispatchTrackableEvent]('trackableUpdate', trackable, frameTime)
+        if (trackable.trackableType === 'multi') {
+          this[_dispatchMultiMarkerEvents](trackable, frameTime)
+        }
+      } else {
+        trackable.visible = false
+        if (trackable.found) {
+          trackable.missedFrames++
+          if (this[_trackableMissed](trackable, frameTime)) {
+            this[_loseTrackable](trackable, frameTime)
           }
-        }, this)
+        }
       }
-    } catch (e) {
-      console.error('Unable to detect marker: ' + e)
+    }, this)
+    if (this.thresholdTuner) {
+      this[_tuneThreshold]()
+    }
+    this[_updateRegionOfInterest]()
+    if (this._frameRecorded) {
+      this.recorder.addPoses(this.trackables)
+    }
+    if (this.debugOverlay) {
+      this.debugOverlay.draw(this, { duration: now() - start })
     }
   }
 
-  // TODO: implement MultiMarkerEvents
   /**
-        Add an event listener on this ARController for the named event, calling the callback function
-        whenever that event is dispatched.
+        Processes the frames of the video continuously until stop() is called, instead of calling process()
+        from a timer or requestAnimationFrame.
 
-        Possible events are:
-        * getMarker - dispatched whenever process() finds a square marker
-        * getMultiMarker - dispatched whenever process() finds a visible registered multimarker
-        * getMultiMarkerSub - dispatched by process() for each marker in a visible multimarker
+        Frames are requested with requestVideoFrameCallback where the video supports it, otherwise with
+        requestAnimationFrame, and frames without new video data are skipped. If processing a frame takes longer than
+        the budget on average, the following frames are skipped, so tracking never falls behind the camera. After every
+        processed frame a frameStats event is dispatched, see getFrameStats.
 
-        @param {string} name Name of the event to listen to.
-        @param {function} callback Callback function to call when an event with the given name is dispatched.
+            arController.run({ budget: 15, idleInterval: 3 })
+
+        @param {object} [options]
+            budget: {number} average time in milliseconds processing may take per video frame. Defaults to 20.
+            idleInterval: {number} while no trackable is found only every n-th frame is processed to save power.
+                Defaults to 1, every frame.
+            fps: {number} frame rate without requestAnimationFrame, e.g. in Node.js. Defaults to 30.
+    */
+  run (options = {}) {
+    this.stop()
+    const video = typeof HTMLVideoElement !== 'undefined' && this.image instanceof HTMLVideoElement ? this.image : null
+    this.scheduler = new FrameScheduler(() => this.process(), Object.assign({}, options, {
+      video: video,
+      isIdle: () => !this.trackables.some(trackable => trackable.found),
+      onStats: stats => this.dispatchEvent(new FrameStatsEvent('frameStats', stats))
+    }))
+    this.scheduler.start()
+  };
+
+  /**
+        Stops processing the frames continuously, see run().
     */
-  addEventListener (name, callback) {
-    if (!this.listeners[name]) {
-      this.listeners[name] = []
+  stop () {
+    if (this.scheduler) {
+      this.scheduler.stop()
+      this.scheduler = null
     }
-    this.listeners[name].push(callback)
   };
 
   /**
-        Remove an event listener from the named event.
+        @return {boolean} true between run() and stop()
+    */
+  isRunning () {
+    return !!this.scheduler
+  };
+
+  /**
+        Returns the timing of the last frame processed by run().
+
+        @return {object} The stats or null if run() hasn't processed a frame yet:
+            {
+                timestamp: {number} time processing started in milliseconds, see performance.now
+                duration: {number} milliseconds processing took
+                averageDuration: {number} moving average of duration
+                interval: {number} milliseconds since the previous processed frame, null for the first one
+                fps: {number} moving average of the processed frames per second
+                skippedFrames: {number} new frames skipped since the previous processed frame, for the budget or while idle
+                idle: {boolean} whether no trackable was found before the frame
+            }
+    */
+  getFrameStats () {
+    return this.scheduler ? this.scheduler.stats : null
+  };
 
-        @param {string} name Name of the event to stop listening to.
-        @param {function} callback Callback function to remove from the listeners of the named event.
+  /**
+        Analyses recorded footage frame by frame and returns the pose track of all registered trackables.
+
+        Unlike playing a video and calling process() in real time, every frame is processed exactly once and
+        as fast as possible: videos are stepped through by seeking, image sequences are processed in order.
+        The timestamps are derived from the frame position (media time or index / fps), so repeated runs
+        over the same footage produce the same result. Events are dispatched as during process().
+
+            const track = await arController.analyze('Data/output_4.mp4', { fps: 30 })
+            const csv = track.toCSV()
+
+        @param {HTMLVideoElement|string|Array|Iterable|AsyncIterable} [input] A video element, the URL of a video or
+            a sequence of images. With a FrameSource the sequence items are passed to its getFrame method, so it can be
+            a sequence of buffers. Defaults to this.image.
+        @param {object} [options]
+            fps: {number} frame rate to step through a video with or to compute the timestamps of a sequence. Defaults to 30.
+            start: {number} position in seconds to start a video at. Defaults to 0.
+            end: {number} position in seconds to stop a video at. Defaults to its duration.
+            onProgress: {function} called with (frameIndex, frameCount) after each frame. frameCount is undefined for iterables.
+        @return {Promise<PoseTrack>} The pose track, see artoolkitX.analysis.js. Rejects if a frame can't be processed,
+            so a failed frame is never recorded with the pose of the previous one.
     */
-  removeEventListener (name, callback) {
-    if (this.listeners[name]) {
-      var index = this.listeners[name].indexOf(callback)
-      if (index > -1) {
-        this.listeners[name].splice(index, 1)
+  async analyze (input, options = {}) {
+    if (!input) { input = this.image }
+    if (!artoolkitXjs.isInitialized()) {
+      await this.start()
+    }
+    const frames = isVideoInput(input) ? videoFrames(input, options) : sequenceFrames(input, options)
+    const track = new PoseTrack()
+    let index = 0
+    for await (const { image, timestamp, count } of frames) {
+      const frame = this.frameSource ? await this.frameSource.getFrame(image) : image
+      try {
+        this[_detect](frame, timestamp)
+      } catch (e) {
+        throw new Error('Unable to process frame ' + index + ' at ' + timestamp + ' ms: ' + (e.message || e))
+      }
+      this.trackables.forEach(trackable => {
+        track.add(index, timestamp, trackable.trackableId, trackable.visible, trackable.transformation)
+      })
+      if (options.onProgress) {
+        options.onProgress(index, count)
       }
+      index++
+    }
+    return track
+  };
+
+  /**
+        Starts recording the session for deterministic debugging, e.g. to reproduce a tracking problem seen on a user's device.
+
+        Records the camera parameters, the registered trackables with their files, the tracker options
+        (threshold, threshold mode, pattern detection mode, matrix code type, labeling mode, pattern ratio and image
+        processing mode) and the pixels, timestamps and regions of interest of all frames processed until stopRecording
+        is called.
+        Trackables added and options changed during the recording are recorded as well. Use ARController.replay
+        to process the recorded session again.
+
+        @param {object} [options]
+            color: {boolean} record the RGBA frames instead of the luma. Colour template matching
+                (AR_TEMPLATE_MATCHING_COLOR, the default for pattern trackables) reads the colour pixels, record them
+                to get identical matches on replay. The frames then need to be supplied as RGBA. Defaults to false.
+            maxFrames: {number} maximum number of frames to record, later frames are ignored. Defaults to no limit.
+
+        A frame that can't be recorded, e.g. a frame without colour while recording colour, stops the recording and is
+        dispatched as recordingerror event. It is still tracked.
+    */
+  startRecording (options = {}) {
+    if (!artoolkitXjs.isInitialized()) {
+      throw new Error('The ARController has to be started before recording')
+    }
+    const source = this.frameSource
+    if (options.color && source instanceof BufferFrameSource && !['RGBA', 'BGRA', 'RGB'].includes(source.pixelFormat)) {
+      throw new Error('The frames of a ' + source.pixelFormat + ' frame source have no colour to record')
     }
+    let cameraParam = null
+    if (this._cameraParamFile) {
+      cameraParam = artoolkitXjs.FS.readFile(this._cameraParamFile)
+    }
+    this.recorder = new SessionRecorder({
+      width: this.processingWidth,
+      height: this.processingHeight,
+      pixelFormat: options.color ? 'RGBA' : 'MONO',
+      cameraParam: cameraParam,
+      trackerOptions: this[_trackerOptionState](),
+      maxFrames: options.maxFrames
+    })
+    this.trackables.forEach(trackable => this[_recordTrackable](trackable))
   };
 
   /**
-        Dispatches the given event to all registered listeners on event.name.
+        Stops recording the session.
 
-        @param {Object} event Event to dispatch.
+        @param {object} [options]
+            compress: {boolean} gzip the archive, defaults to true where CompressionStream is available
+        @return {Promise<Uint8Array>} The session archive, see artoolkitX.recorder.js for the format.
     */
-  dispatchEvent (event) {
-    var listeners = this.listeners[event.name]
-    if (listeners) {
-      for (var i = 0; i < listeners.length; i++) {
-        listeners[i].call(this, event)
-      }
+  async stopRecording (options = {}) {
+    if (!this.recorder) {
+      throw new Error('The ARController is not recording')
     }
+    const recorder = this.recorder
+    this.recorder = null
+    this._frameRecorded = false
+    return recorder.encode(options)
+  };
+
+  /**
+        @return {boolean} true if the session is being recorded
+    */
+  isRecording () {
+    return !!this.recorder
   };
 
-  // /**
-  // Sets up a debug canvas for the AR detection. Draws a red marker on top of each detected square in the image.
+  /**
+        Add an event listener on this ARController for the named event, calling the callback function
+        whenever that event is dispatched. The ARController is an EventTarget, so the options once and signal are
+        supported and listeners are removed with removeEventListener.
+
+        The events are CustomEvent subclasses (see artoolkitX.events.js and artoolkitX.events.d.ts) whose payload,
+        event.data or event.detail, is frozen:
+        * getMarker - TrackableEvent dispatched whenever process() finds a visible trackable
+        * trackableFound - TrackableEvent dispatched once when a trackable becomes visible
+        * trackableUpdate - TrackableEvent dispatched by process() for each visible trackable
+        * trackableLost - TrackableEvent dispatched once when a trackable has been missing for longer than the lost grace period (see {@link #setLostGracePeriod})
+        * getMultiMarker - TrackableEvent dispatched whenever process() finds a visible registered multimarker
+        * getMultiMarkerSub - MultiMarkerSubEvent dispatched by process() for each marker in a visible multimarker. The event
+          data contains the index of the sub-marker, its pattern or barcode id, its transformation and inView, whether its
+          outline placed with the multimarker pose lies inside the frame. inView isn't a detection of the sub-marker.
+        * orientationchange - OrientationChangeEvent dispatched when the screen orientation changes, the event data is the
+          same as returned by {@link #getOrientation}
+        * frameStats - FrameStatsEvent dispatched after every frame processed by run(), the event data are the timing stats
+          returned by {@link #getFrameStats}
+        * loadProgress - LoadProgressEvent dispatched while camera parameter and trackable files are downloaded
+        * lightingChange - LightingEvent dispatched by the automatic threshold tuning when the lighting diagnosis changes, e.g.
+          to 'too_dark'. The event data is the same as returned by {@link #getLightingDiagnostics}
+        * thresholdChange - ThresholdChangeEvent dispatched when the automatic threshold tuning changes the threshold mode
+          or the manual threshold, see {@link #setAutoThreshold}
+        * recordingerror - RecordingErrorEvent dispatched when a frame can't be added to the session recording, which is then
+          stopped, see {@link #startRecording}
+        * listenererror - ListenerErrorEvent dispatched when a listener throws, instead of aborting the other listeners.
+          The error is logged unless a listener calls preventDefault().
 
-  // The debug canvas is added to document.body.
-  // */
-  debugSetup () {
-    document.body.appendChild(this.canvas)
+        @param {string} name Name of the event to listen to.
+        @param {function} callback Callback function to call when an event with the given name is dispatched.
+        @param {object} [options] {once, signal}, see EventTarget.addEventListener
+    */
+  addEventListener (name, callback, options) {
+    super.addEventListener(name, callback, options)
+  };
 
-    var lumaCanvas = document.createElement('canvas')
-    lumaCanvas.width = this.canvas.width
-    lumaCanvas.height = this.canvas.height
-    this._lumaCtx = lumaCanvas.getContext('2d')
-    document.body.appendChild(lumaCanvas)
+  /**
+        Sets up a debug overlay in a canvas of the video size appended to document.body.
 
-    this.enableDebugMode(true)
+        @deprecated Use setDebugOverlay, which renders into a canvas of your choice
+    */
+  debugSetup () {
+    const canvas = createCanvas(this.videoWidth, this.videoHeight)
+    document.body.appendChild(canvas)
+    this.setDebugOverlay(canvas)
   };
 
   /**
@@ -364,62 +923,194 @@ export default class ARController {
      * @param {object} trackableObj -
      *              {
      *                  trackableType:  {string} 'single_barcode' / 'multi' / 'single' / '2d'
-     *                  url: {string} '<URL to the trackable file in case of multi, single or 2d>'
+     *                  url: {string|ArrayBuffer|Uint8Array|Blob|File} '<URL to the trackable file in case of multi, single or 2d>'
+     *                       or its content, e.g. a File from a file picker.
+     *                  layout: {Array|object} multi only: the board defined in code instead of url, see createMultiMarker and
+     *                       createGridLayout in artoolkitX.multimarker.js
+     *                  dependencies: {Map|object} multi only: the pattern files referenced by the configuration as
+     *                       file name -> content (ArrayBuffer, Uint8Array, Blob, File or URL). Required if url is not an URL,
+     *                       without the pattern files are loaded relative to url.
      *                  barcodeId: {number}
      *                  width: {number} defaults to this.markerWidth if not set
      *                  height: {number} if 2D trackable reflects height of trackable. If not set defaults to default2dHeight
+     *                  filter: {string|object} optional pose filter to smooth the transformation: 'oneEuro', 'exponential',
+     *                          {type: 'oneEuro', minCutoff, beta, dCutoff}, {type: 'exponential', alpha} or a custom
+     *                          object implementing filter(matrix, timestamp) and reset(). See artoolkitX.filters.js
+     *              }
+     *
+     * The transformation of a filtered trackable is the filtered matrix, the unfiltered one is available as rawTransformation.
+     *
+     * The download progress of the trackable files is dispatched as loadProgress events.
+     * @param {object} [options]
+     *              {
+     *                  signal: {AbortSignal} aborts loading the trackable files
      *              }
-     * @returns {Promise} which resolves into a {number} trackable id if successfull or thorws an error
+     * @returns {Promise} which resolves into a {number} trackable id if successfull or thorws an error.
+     *          If a file can't be loaded it rejects with an AssetLoadError (see artoolkitX.loader.js) referencing the trackableObj.
      */
-  async addTrackable (trackableObj) {
+  async addTrackable (trackableObj, options = {}) {
+    const loadOptions = this[_loadOptions](options.signal, trackableObj)
+    // Create the filter first to reject an invalid configuration before anything is loaded
+    const filter = trackableObj.filter ? createPoseFilter(trackableObj.filter) : null
     if (!trackableObj.width) { trackableObj.width = this.defaultMarkerWidth }
     if (!trackableObj.height) trackableObj.height = this.default2dHeight
-    let fileName, trackableId
+    let fileName, config
+    let files = []
+    let patternTypes = []
     if (trackableObj.trackableType.includes('single') || trackableObj.trackableType.includes('2d')) {
       if (trackableObj.barcodeId !== undefined) {
         fileName = trackableObj.barcodeId
-        if (!this._patternDetection.barcode) {
-          this._patternDetection.barcode = true
-        }
+        patternTypes = ['barcode']
       } else {
-        try {
-          fileName = await ARController[_loadTrackable](trackableObj.url)
-        } catch (error) {
-          throw new Error('Error to load trackable: ' + error)
-        }
-        if (!this._patternDetection.template) {
-          this._patternDetection.template = true
-        }
+        fileName = await ARController[_loadTrackable](trackableObj.url, loadOptions)
+        files = [fileName]
+        patternTypes = ['template']
       }
       if (trackableObj.trackableType.includes('2d')) {
-        this.has2DTrackable = true
-        trackableId = artoolkitXjs.addTrackable(trackableObj.trackableType + ';' + fileName + ';' + trackableObj.height)
+        config = trackableObj.trackableType + ';' + fileName + ';' + trackableObj.height
       } else {
-        trackableId = artoolkitXjs.addTrackable(trackableObj.trackableType + ';' + fileName + ';' + trackableObj.width)
+        config = trackableObj.trackableType + ';' + fileName + ';' + trackableObj.width
       }
     } else if (trackableObj.trackableType === 'multi') {
-      fileName = await ARController[_loadMultiTrackable](trackableObj.url)
-      // fileName = await ARController[_loadTrackable](trackableObj.url);
-      trackableId = artoolkitXjs.addTrackable(`${trackableObj.trackableType};${fileName}`)
+      let url = trackableObj.url
+      if (trackableObj.layout) {
+        url = new TextEncoder().encode(serializeMultiMarker(createMultiMarker(trackableObj.layout)))
+      }
+      const multi = await ARController[_loadMultiTrackable](url, trackableObj.dependencies, loadOptions)
+      fileName = multi.fileName
+      files = [fileName].concat(multi.dependencies)
+      config = `${trackableObj.trackableType};${fileName}`
     }
 
+    let trackable
+    try {
+      trackable = this[_addTrackableConfig](config, trackableObj.trackableType, filter, patternTypes)
+    } catch (error) {
+      ARController[_unlinkFiles](files)
+      throw error
+    }
+    trackable.files = files
+    trackable.filterOptions = trackableObj.filter
+    if (this.recorder) {
+      this[_recordTrackable](trackable)
+    }
+    return trackable.trackableId
+  }
+
+  /**
+     * Adds the trackable with the given configuration string to artoolkitX, all files it references
+     * have to be in the Emscripten filesystem.
+     *
+     * @param {string} config The configuration given to artoolkitXjs.addTrackable, e.g. 'single;/trackable_0;80'
+     * @param {string} trackableType
+     * @param {object} [filter] The pose filter of the trackable
+     * @param {Array} [patternTypes] 'barcode' and/or 'template', the kinds of square patterns the trackable uses.
+     *                Determined from its patterns for multi trackables.
+     * @returns {object} The trackable as stored in this.trackables
+     * @private
+     */
+  [_addTrackableConfig] (config, trackableType, filter, patternTypes = []) {
+    const trackableId = artoolkitXjs.addTrackable(config)
     if (trackableId >= 0) {
-      this.trackables.push({ trackableId: trackableId, transformation: [], visible: false })
-      if (!this.userSetPatternDetection) { this[_updateDetectionMode]() }
-      return trackableId
+      const trackable = { trackableId: trackableId, trackableType: trackableType, config: config, patternTypes: patternTypes, files: [], enabled: true, transformation: [], rawTransformation: new Float32Array(16), visible: false, found: false, missedFrames: 0, lastSeen: 0, filter: filter || null }
+      if (trackableType.includes('single')) {
+        // The width of square markers is the last part of their configuration
+        trackable.width = parseFloat(config.split(';').pop())
+      }
+      if (trackableType === 'multi') {
+        trackable.patterns = this[_queryPatternConfigs](trackableId)
+        trackable.patternTypes = []
+        if (trackable.patterns.some(pattern => pattern.barcodeId >= 0)) trackable.patternTypes.push('barcode')
+        if (trackable.patterns.some(pattern => pattern.barcodeId < 0)) trackable.patternTypes.push('template')
+      }
+      this.trackables.push(trackable)
+      this[_updateDetectionMode]()
+      return trackable
     }
     throw new Error('Faild to add Trackable: ' + trackableId)
   }
 
+  /**
+     * Removes a trackable from artoolkitX and deletes its files from the Emscripten filesystem.
+     * The pattern detection mode is updated for the remaining trackables. A found trackable dispatches trackableLost.
+     *
+     * @param {number} trackableId The id returned by addTrackable
+     * @returns {boolean} true if the trackable was removed, false if there is no such trackable
+     */
+  removeTrackable (trackableId) {
+    const index = this.trackables.findIndex(trackable => trackable.trackableId === trackableId)
+    if (index < 0) {
+      return false
+    }
+    if (!artoolkitXjs.removeTrackable(trackableId)) {
+      throw new Error('Failed to remove trackable: ' + trackableId)
+    }
+    const trackable = this.trackables.splice(index, 1)[0]
+    this[_releaseTrackable](trackable)
+    this[_updateDetectionMode]()
+    this[_loseTrackable](trackable, this._frameTime)
+    return true
+  }
+
+  /**
+     * Removes all trackables, e.g. before registering the trackables of the next scene.
+     * See removeTrackable.
+     */
+  removeAllTrackables () {
+    if (!artoolkitXjs.removeAllTrackables()) {
+      throw new Error('Failed to remove the trackables')
+    }
+    const trackables = this.trackables
+    this.trackables = []
+    trackables.forEach(trackable => this[_releaseTrackable](trackable))
+    this[_updateDetectionMode]()
+    trackables.forEach(trackable => this[_loseTrackable](trackable, this._frameTime))
+  }
+
+  /**
+     * Enables or disables a trackable without removing it. Disabled trackables aren't queried after
+     * processing a frame and dispatch no events. A found trackable dispatches trackableLost when disabled.
+     *
+     * @param {number} trackableId The id returned by addTrackable
+     * @param {boolean} enabled
+     */
+  setTrackableEnabled (trackableId, enabled) {
+    const trackable = this.trackables.find(trackable => trackable.trackableId === trackableId)
+    if (!trackable) {
+      throw new Error('Unknown trackable: ' + trackableId)
+    }
+    enabled = !!enabled
+    if (trackable.enabled === enabled) {
+      return
+    }
+    trackable.enabled = enabled
+    if (this.recorder) {
+      this.recorder.changeTrackable(trackableId, { enabled: enabled })
+    }
+    if (!enabled) {
+      this[_loseTrackable](trackable, this._frameTime)
+    }
+  }
+
+  /**
+     * @param {number} trackableId The id returned by addTrackable
+     * @returns {boolean} true if the trackable is enabled, see setTrackableEnabled
+     */
+  isTrackableEnabled (trackableId) {
+    const trackable = this.trackables.find(trackable => trackable.trackableId === trackableId)
+    return !!trackable && trackable.enabled
+  }
+
   /**
      * Populates the provided float array with the current transformation for the specified marker. After
      * a call to process, all marker information will be current. Marker transformations can then be
      * checked.
      * @param {number} trackableUID The unique identifier (UID) of the marker to query
-     * @return {Float32Array} The dst array.
+     * @return {Float32Array} The dst array or undefined if the marker isn't visible.
      */
   getTransMatSquare (trackableUID) {
-    return this[_queryTrackableVisibility](trackableUID)
+    const transformation = this[_queryTrackableVisibility](trackableUID)
+    return transformation ? transformation.slice() : undefined
   };
 
   /**
@@ -428,20 +1119,148 @@ export default class ARController {
   * @return {Float32Array} The 16-element WebGL camera matrix for the ARController camera parameters.
   */
   getCameraMatrix (nearPlane = 0.1, farPlane = 1000) {
-    // return artoolkitXjs._arwGetProjectionMatrix(nearPlane, farPlane)
-    const cameraMatrixElements = 16
-    const numBytes = cameraMatrixElements * Float32Array.BYTES_PER_ELEMENT
-    this._projectionMatPtr = artoolkitXjs._malloc(numBytes)
-    // Call compiled C-function directly using '_' notation
-    // https://kripken.github.io/emscripten-site/docs/porting/connecting_cpp_and_javascript/Interacting-with-code.html#interacting-with-code-direct-function-calls
-    const cameraMatrix = artoolkitXjs._arwGetProjectionMatrix(nearPlane, farPlane, this._projectionMatPtr)
-    const matrix = new Float32Array(artoolkitXjs.HEAPU8.buffer, this._projectionMatPtr, cameraMatrixElements)
-    if (cameraMatrix) {
-      return matrix
+    const result = this[_projectionMatrix](nearPlane, farPlane)
+    if (result) {
+      const rotation = this.getOrientation().rotation
+      if (rotation) {
+        // The displayed frames are the processed ones rotated counter-clockwise, rotate the clip space the same way
+        const cos = Math.round(Math.cos(rotation * Math.PI / 180))
+        const sin = Math.round(Math.sin(rotation * Math.PI / 180))
+        for (let column = 0; column < 4; column++) {
+          const x = result[column * 4]
+          const y = result[column * 4 + 1]
+          result[column * 4] = cos * x - sin * y
+          result[column * 4 + 1] = sin * x + cos * y
+        }
+      }
+      return result
     }
     return undefined
   };
 
+  /**
+   * Restricts marker detection to a part of the frames, the rest of the frame isn't searched. This is much
+   * faster when the markers only cover a small part of the frames.
+   *
+   * The region is either fixed, in pixels of the video in the orientation the tracker was started in, or
+   * follows the trackables:
+   *
+   *     arController.setRegionOfInterest({ x: 160, y: 120, width: 320, height: 240 })
+   *     arController.setRegionOfInterest({ follow: true, margin: 0.5 })
+   *
+   * When following, the next frame is searched around the outline of the visible trackables, enlarged by the margin.
+   * The full frame is searched while the trackable is lost and for trackables whose outline isn't known (2D trackables).
+   *
+   * @param {object} [region] null to search the full frame, or
+   *     x, y, width, height: {number} the fixed region in video pixels
+   *     follow: {boolean|number} true to follow all trackables or the id of the trackable to follow
+   *     margin: {number} added to each side of the followed outline, relative to its size. Defaults to 0.5
+   *     fullFrameInterval: {number} search the full frame every n frames while following, so trackables entering
+   *         the frame elsewhere are found as well. Defaults to 30, 0 never searches the full frame while following.
+   */
+  setRegionOfInterest (region) {
+    this._roi = null
+    this._framesSinceFullSearch = 0
+    if (!region) {
+      this.regionOfInterest = null
+      return
+    }
+    if (region.follow !== undefined) {
+      const margin = region.margin === undefined ? 0.5 : region.margin
+      const fullFrameInterval = region.fullFrameInterval === undefined ? FULL_FRAME_INTERVAL : region.fullFrameInterval
+      if (region.follow !== true && !Number.isInteger(region.follow)) {
+        throw new Error('follow has to be true or a trackable id, not ' + region.follow)
+      }
+      if (!(margin >= 0) || !(fullFrameInterval >= 0)) {
+        throw new Error('margin and fullFrameInterval of the region of interest must not be negative')
+      }
+      this.regionOfInterest = { follow: region.follow, margin: margin, fullFrameInterval: fullFrameInterval }
+      return
+    }
+    const { x, y, width, height } = region
+    if (![x, y, width, height].every(Number.isFinite) || !(width > 0 && height > 0)) {
+      throw new Error('A region of interest needs x, y and a positive width and height, got ' + JSON.stringify(region))
+    }
+    this.regionOfInterest = { x: x, y: y, width: width, height: height }
+    this._roi = this.regionOfInterest
+  };
+
+  /**
+   * Returns the region the next frame is searched in, see setRegionOfInterest.
+   *
+   * @return {object} The region {x, y, width, height} in video pixels, clipped to the frame, or null if the full
+   *     frame is searched.
+   */
+  getRegionOfInterest () {
+    return this._roi ? clipRegion(this._roi, this.videoWidth, this.videoHeight) : null
+  };
+
+  /**
+   * Returns the screen orientation.
+   *
+   * The tracker keeps processing frames in the orientation it was started in: frames of the rotated stream are
+   * rotated back by rotation degrees clockwise and getCameraMatrix returns a projection matching the displayed
+   * frames, so the tracker doesn't need to be restarted.
+   *
+   * @return {object} {
+   *     orientation: {string} 'portrait' or 'landscape', the orientation of the displayed frames,
+   *     angle: {number} the angle of the screen orientation in degrees, see screen.orientation.angle,
+   *     rotation: {number} the angle in degrees the screen is rotated by since start, 0, 90, 180 or 270
+   * }
+   */
+  getOrientation () {
+    const rotation = this._trackerAngle === null ? 0 : (((this.orientationAngle - this._trackerAngle) % 360) + 360) % 360
+    return { orientation: this.orientation, angle: this.orientationAngle, rotation: rotation }
+  };
+
+  /**
+   * Sets the angle of the screen orientation. The ARController follows screen.orientation by itself, this is needed
+   * where it isn't available, e.g. in a Web Worker, Node.js or for frames of another device.
+   * Dispatches an orientationchange event if the angle changed.
+   *
+   * @param {number} angle The angle of the screen orientation in degrees, a multiple of 90
+   */
+  setOrientation (angle) {
+    angle = ((Math.round(angle / 90) * 90) % 360 + 360) % 360
+    if (angle === this.orientationAngle) {
+      return
+    }
+    this[_updateOrientation](angle)
+    this.dispatchEvent(new OrientationChangeEvent('orientationchange', this.getOrientation()))
+  };
+
+  /**
+   * Returns the camera parameters the ARController was started with, e.g. to check the field of view
+   * or the size the camera was calibrated at. See CameraParam.
+   *
+   * @return {CameraParam} The camera parameters or null if the ARController isn't started or
+   *     was started without camera parameters.
+   */
+  getCameraParam () {
+    return this.cameraParam
+  };
+
+  /**
+   * Returns diagnostic information about the Emscripten heap.
+   *
+   * allocatedBytes counts the live allocations of the ARController. Its scratch buffers are allocated once and
+   * temporary buffers are freed right away, so neither allocatedBytes nor heapSize grow while processing frames.
+   * If they do, there is a leak.
+   *
+   * @return {object} {
+   *     heapSize: {number} current size of the Emscripten heap in bytes,
+   *     heapGrowths: {number} how often this ARController observed the heap growing,
+   *     allocatedBytes: {number} bytes currently allocated in the heap by this ARController
+   * }
+   */
+  getHeapUsage () {
+    return {
+      heapSize: artoolkitXjs.HEAPU8.byteLength,
+      heapGrowths: this._heapGrowths,
+      allocatedBytes: Array.from(this._allocations.values()).reduce((sum, bytes) => sum + bytes, 0)
+    }
+  };
+
   /* Setter / Getter Proxies */
 
   /**
@@ -452,7 +1271,6 @@ export default class ARController {
      * @see    getDebugMode()
      */
   enableDebugMode (enable) {
-    this.debug = true
     return artoolkitXjs.setTrackerOptionBool(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_DEBUG_MODE.value, enable)
   };
 
@@ -465,6 +1283,34 @@ export default class ARController {
     return artoolkitXjs.getTrackerOptionBool(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_DEBUG_MODE.value)
   };
 
+  /**
+     * Returns the debug image of the last processed frame, the frame binarized by the tracker in the processing size.
+     * In debug mode the tracker leaves it in the luma buffer of the frame in the Emscripten heap.
+     *
+     * @return {Uint8Array} A view onto the debug image, overwritten by the next frame. null if the tracker isn't in
+     *     debug mode (see enableDebugMode) or no frame was processed yet.
+     */
+  getDebugImage () {
+    if (!artoolkitXjs.isInitialized() || !this.videoLuma || !this.isDebugMode()) {
+      return null
+    }
+    const videoMalloc = artoolkitXjs.videoMalloc
+    return new Uint8Array(artoolkitXjs.HEAPU8.buffer, videoMalloc.lumaFramePointer, videoMalloc.framesize / 4)
+  };
+
+  /**
+     * Whether the tracker is in debug mode.
+     *
+     * @deprecated Use isDebugMode and enableDebugMode, or setDebugOverlay to show the debug image
+     */
+  get debug () {
+    return artoolkitXjs.isInitialized() && this.isDebugMode()
+  }
+
+  set debug (enable) {
+    this.enableDebugMode(enable)
+  }
+
   /**
      * Sets the logging level to use by ARToolKit.
      *
@@ -472,7 +1318,6 @@ export default class ARController {
                               Which is represented in JS as artoolkitXjs.ARLogLevel.[Option]
      */
   setLogLevel (mode) {
-    this.debugSetup()
     return artoolkitXjs.setLogLevel(mode)
   };
 
@@ -484,19 +1329,50 @@ export default class ARController {
     return artoolkitXjs.getLogLevel()
   };
 
+  /**
+        Set how long a trackable may be missing before the trackableLost event is dispatched.
+
+        A trackable which is not detected in a frame is only reported as lost once it has been missing
+        for longer than the grace period. This avoids flickering content when a single frame is dropped.
+        The default of 0 frames dispatches trackableLost on the first frame without the trackable.
+
+        @param {number} period The grace period, a positive number or 0. Throws a TypeError if it isn't a finite number.
+        @param {string} [unit] 'frames' (default) or 'ms'.
+    */
+  setLostGracePeriod (period, unit = 'frames') {
+    if (!Number.isFinite(period)) {
+      throw new TypeError('The grace period has to be a finite number, not ' + period)
+    }
+    if (unit !== 'frames' && unit !== 'ms') {
+      throw new Error('Invalid grace period unit: ' + unit)
+    }
+    this.lostGracePeriod = Math.max(0, period)
+    this.lostGracePeriodUnit = unit
+  };
+
+  /**
+        Returns the current lost grace period.
+        See {@link #setLostGracePeriod}
+
+        @return {object} {period: number, unit: 'frames' | 'ms'}
+    */
+  getLostGracePeriod () {
+    return { period: this.lostGracePeriod, unit: this.lostGracePeriodUnit }
+  };
+
   /**
         Set the labeling threshold mode (auto/manual).
 
-        @param {number}     mode An integer specifying the mode. One of:
-            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_MANUAL,
-            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_MEDIAN,
-            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_OTSU,
-            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_ADAPTIVE,
-            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_BRACKETING
+        @param {number|string}     mode An integer specifying the mode or its alias. One of:
+            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_MANUAL ('manual'),
+            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_MEDIAN ('median'),
+            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_OTSU ('otsu'),
+            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_ADAPTIVE ('adaptive'),
+            artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_BRACKETING ('bracketing')
             {@see https://github.com/artoolkitx/artoolkitx/Source/artoolkitx.js/ARX_bindings.cpp} -> LabelingThresholdMode
     */
   setThresholdMode (mode) {
-    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_THRESHOLD_MODE.value, mode)
+    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_THRESHOLD_MODE.value, validateTrackerOption('thresholdMode', mode))
   };
 
   /**
@@ -533,8 +1409,7 @@ export default class ARController {
         @param {number}     threshold An integer in the range [0,255] (inclusive).
     */
   setThreshold (threshold) {
-    this.threshold = threshold;
-    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_THRESHOLD.value, threshold)
+    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_THRESHOLD.value, validateTrackerOption('threshold', threshold))
   };
 
   /**
@@ -557,8 +1432,21 @@ export default class ARController {
   };
 
   /**
-        Set the pattern detection mode
-
+     * The labeling threshold, also before the ARController is started.
+     *
+     * @deprecated Use getThreshold and setThreshold, or the threshold of setTrackerOptions
+     */
+  get threshold () {
+    return this.getTrackerOptions().threshold
+  }
+
+  set threshold (threshold) {
+    this.setTrackerOptions({ threshold: threshold })
+  }
+
+  /**
+        Set the pattern detection mode
+
         The pattern detection determines the method by which ARToolKit
         matches detected squares in the video image to marker templates
         and/or IDs. ARToolKit v4.x can match against pictorial "template" markers,
@@ -568,16 +1456,17 @@ export default class ARController {
         are also available, in which a matrix-detection pass is made first,
         followed by a template-matching pass.
 
-        @param {number} mode
-            Options for this field are:
-            artoolkitXjs.AR_TEMPLATE_MATCHING_COLOR
-            artoolkitXjs.AR_TEMPLATE_MATCHING_MONO
-            artoolkitXjs.AR_MATRIX_CODE_DETECTION
-            artoolkitXjs.AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX
-            artoolkitXjs.AR_TEMPLATE_MATCHING_MONO_AND_MATRIX
+        @param {number|string} mode
+            Options for this field are, with their aliases:
+            artoolkitXjs.AR_TEMPLATE_MATCHING_COLOR ('color')
+            artoolkitXjs.AR_TEMPLATE_MATCHING_MONO ('mono')
+            artoolkitXjs.AR_MATRIX_CODE_DETECTION ('matrix')
+            artoolkitXjs.AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX ('color_and_matrix')
+            artoolkitXjs.AR_TEMPLATE_MATCHING_MONO_AND_MATRIX ('mono_and_matrix')
             artoolkitXjs.The default mode is AR_TEMPLATE_MATCHING_COLOR.
     */
   setPatternDetectionMode (mode) {
+    mode = validateTrackerOption('patternDetectionMode', mode)
     this.userSetPatternDetection = true
     return this[_setPatternDetectionMode](mode)
   };
@@ -601,18 +1490,18 @@ export default class ARController {
         This setting is global to a given ARHandle; It is not possible to have two different matrix
         code types in use at once.
 
-        @param      type The type of matrix code (2D barcode) in use. Options include:
-            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3
-            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3_HAMMING63
-            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3_PARITY65
-            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4
-            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4_BCH_13_9_3
-            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4_BCH_13_5_5
+        @param {number|string} type The type of matrix code (2D barcode) in use. Options include, with their aliases:
+            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3 ('3x3')
+            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3_HAMMING63 ('3x3_hamming63')
+            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3_PARITY65 ('3x3_parity65')
+            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4 ('4x4')
+            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4_BCH_13_9_3 ('4x4_bch_13_9_3')
+            artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4_BCH_13_5_5 ('4x4_bch_13_5_5')
             The default mode is artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_3x3.
             {@see https://github.com/artoolkitx/artoolkitx/Source/artoolkitx.js/ARX_bindings.cpp} -> ARMatrixCodeType
     */
   setMatrixCodeType (type) {
-    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_MATRIX_CODE_TYPE.value, type)
+    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_MATRIX_CODE_TYPE.value, validateTrackerOption('matrixCodeType', type))
   };
 
   /**
@@ -634,14 +1523,14 @@ export default class ARController {
         Note that this does not affect the pattern-detection algorith
         which works on the interior of the marker.
 
-        @param {number}      mode
+        @param {number|string}      mode
             Options for this field are:
-            artoolkitXjs.AR_LABELING_WHITE_REGION
-            artoolkitXjs.AR_LABELING_BLACK_REGION
+            artoolkitXjs.AR_LABELING_WHITE_REGION ('white')
+            artoolkitXjs.AR_LABELING_BLACK_REGION ('black')
             The default mode is AR_LABELING_BLACK_REGION.
     */
   setLabelingMode (mode) {
-    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_LABELING_MODE.value, mode)
+    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_LABELING_MODE.value, validateTrackerOption('labelingMode', mode))
   };
 
   /**
@@ -658,10 +1547,10 @@ export default class ARController {
         Set the width/height of the marker pattern space, as a proportion of marker width/height.
 
         @param {number}     pattRatio The the width/height of the marker pattern space, as a proportion of marker
-            width/height. To set the default, pass artoolkitXjs.AR_PATT_RATIO.
+            width/height, between 0 and 1 (exclusive). To set the default, pass artoolkitXjs.AR_PATT_RATIO.
     */
   setPattRatio (pattRatio) {
-    artoolkitXjs.setTrackerOptionFloat(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_BORDER_SIZE.value, pattRatio)
+    artoolkitXjs.setTrackerOptionFloat(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_BORDER_SIZE.value, validateTrackerOption('pattRatio', pattRatio))
   };
 
   /**
@@ -688,14 +1577,14 @@ export default class ARController {
         has utility in accelerating tracking by effectively reducing
         the image size to one quarter size, at the cost of pose accuraccy.
 
-        @param {number} mode
+        @param {number|string} mode
             Options for this field are:
-            artoolkitXjs.AR_IMAGE_PROC_FRAME_IMAGE
-            artoolkitXjs.AR_IMAGE_PROC_FIELD_IMAGE
+            artoolkitXjs.AR_IMAGE_PROC_FRAME_IMAGE ('frame')
+            artoolkitXjs.AR_IMAGE_PROC_FIELD_IMAGE ('field')
             The default mode is artoolkitXjs.AR_IMAGE_PROC_FRAME_IMAGE.
     */
   setImageProcMode (mode) {
-    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_IMAGE_PROC_MODE.value, mode)
+    artoolkitXjs.setTrackerOptionInt(artoolkitXjs.TrackableOptions.ARW_TRACKER_OPTION_SQUARE_IMAGE_PROC_MODE.value, validateTrackerOption('imageProcMode', mode))
   };
 
   /**
@@ -709,41 +1598,175 @@ export default class ARController {
   };
 
   /**
-        Draw the black and white image and debug markers to the ARController canvas.
-
-        See setDebugMode.
+        Sets several tracker options at once, e.g. a preset stored with getTrackerOptions. All options are validated
+        before any is set. Options set before start() are applied when the ARController is started.
+
+            arController.setTrackerOptions({ thresholdMode: 'manual', threshold: 120, labelingMode: 'white' })
+
+        @param {object} options Some or all of
+            thresholdMode: {number|string} see setThresholdMode
+            threshold: {number} an integer between 0 and 255, see setThreshold
+            patternDetectionMode: {number|string} see setPatternDetectionMode
+            matrixCodeType: {number|string} see setMatrixCodeType
+            labelingMode: {number|string} see setLabelingMode
+            pattRatio: {number} between 0 and 1 (exclusive), see setPattRatio
+            imageProcMode: {number|string} see setImageProcMode
     */
-  debugDraw () {
-    var videoMalloc = artoolkitXjs.videoMalloc;
-    var debugBuffer = new Uint8ClampedArray(artoolkitXjs.HEAPU8.buffer, videoMalloc.lumaFramePointer, videoMalloc.framesize);
-    var id = new ImageData(new Uint8ClampedArray(this.canvas.width*this.canvas.height*4), this.canvas.width, this.canvas.height);
-    		for (var i=0, j=0; i<debugBuffer.length; i++, j+=4) {
-    			var v = debugBuffer[i];
-          if (v > this.threshold) {
-            v = 255;
-          } else {
-            v = 0;
-          }
-          id.data[j+0] = v;
-    			id.data[j+1] = v;
-    			id.data[j+2] = v;
-    			id.data[j+3] = 255;
-    		}
-    this.ctx.putImageData(id, 0, 0);
-
-    // Debug Luma
-    var lumaBuffer = new Uint8ClampedArray(this.framesize)
-    lumaBuffer.set(this.videoLuma)
-    var lumaImageData = new window.ImageData(lumaBuffer, this.videoWidth, this.videoHeight)
-    this._lumaCtx.putImageData(lumaImageData, 0, 0)
+  setTrackerOptions (options) {
+    const resolved = validateTrackerOptions(options)
+    Object.assign(this._trackerOptions, resolved)
+    if (artoolkitXjs.isInitialized()) {
+      this[_applyTrackerOptions](resolved)
+    }
+  };
 
-    this.trackables.forEach(trackable => {
-      if (trackable.visible) {
-        console.debug(`Trackable ${trackable.trackableId} visible; Matrix: ${trackable.transformation}`)
+  /**
+        Returns the tracker options in a form that can be stored as JSON and passed to setTrackerOptions or to the
+        constructor (as trackerOptions) again. The modes are given by their aliases, e.g. { thresholdMode: 'otsu' }.
+
+        @return {object} All tracker options, see setTrackerOptions. Before start() only the options which were set.
+    */
+  getTrackerOptions () {
+    const values = artoolkitXjs.isInitialized() ? this[_trackerOptionState]() : this._trackerOptions
+    const options = {}
+    TRACKER_OPTIONS.forEach(name => {
+      const key = name[0].toLowerCase() + name.slice(1)
+      const value = values[key]
+      if (value !== undefined) {
+        options[key] = TRACKER_OPTION_ALIASES[name] ? trackerOptionAlias(name, value) || value : value
       }
     })
+    return options
+  };
+
+  /**
+        Tunes the threshold automatically for changing light. The lighting and how often the trackables are found are
+        evaluated over intervals of frames. While the trackables are found in too few frames the tuner tries the
+        threshold modes one after the other (in manual mode with a threshold halfway between the darkest and the
+        brightest pixels) and settles on the one which did best. Every change is dispatched as thresholdChange event.
+
+        The lighting diagnosed from the luma histogram, 'too_dark', 'overexposed', 'low_contrast' or 'ok', is
+        dispatched as lightingChange event whenever it changes, e.g. to ask the user for more light:
+
+            arController.addEventListener('lightingChange', (event) => showHint(event.data.lighting))
+            arController.setAutoThreshold({ interval: 15 })
+
+        Without trackables only the lighting is diagnosed.
+
+        @param {object|boolean} options true for the defaults, false or null to stop tuning. Otherwise
+            interval: {number} number of frames evaluated at once. Defaults to 30.
+            minSuccessRate: {number} the threshold is tuned while the trackables are found in a smaller fraction of the
+                frames. Defaults to 0.5.
+            modes: {string[]} the threshold modes to try in this order, see setThresholdMode. Defaults to
+                ['otsu', 'adaptive', 'bracketing', 'manual'].
+            step: {number} only every step-th pixel of every step-th row is counted in the histogram. Defaults to 2.
+            darkLevel, brightLevel, maxClipped, minContrast: {number} the limits of the lighting diagnosis, see
+                diagnoseLighting in artoolkitX.threshold.js
+    */
+  setAutoThreshold (options) {
+    this.thresholdTuner = options ? new ThresholdTuner(options === true ? {} : options) : null
+    this.lightingDiagnostics = null
+  };
+
+  /**
+        @return {boolean} true if the threshold is tuned automatically, see setAutoThreshold
+    */
+  isAutoThreshold () {
+    return !!this.thresholdTuner
+  };
+
+  /**
+        Returns the lighting diagnosed by the automatic threshold tuning, see setAutoThreshold.
+
+        @return {object} The diagnosis of the last interval of frames or null if there is none yet:
+            {
+                lighting: {string} 'too_dark', 'overexposed', 'low_contrast' or 'ok'
+                successRate: {number} fraction of the frames with trackables in which one was found, null without trackables
+                histogram: {Uint32Array} the luma histogram of the interval, 256 bins
+                count: {number} number of pixels in the histogram
+                mean: {number} average luma
+                stdDev: {number} standard deviation of the luma
+                low: {number} luma of the darkest 5% of the pixels
+                high: {number} luma of the brightest 5% of the pixels
+                contrast: {number} high - low
+                clipped: {number} fraction of overexposed pixels
+                otsu: {number} threshold separating the dark and the bright pixels
+            }
+    */
+  getLightingDiagnostics () {
+    return this.lightingDiagnostics
+  };
+
+  /**
+        Renders a debug overlay into the given canvas after every processed frame, e.g. a canvas stacked on top of the
+        video. The overlay is drawn in the orientation of the displayed frames and scaled to the size of the canvas.
+        Its layers can be toggled with setDebugOverlayLayer:
+        * binarized - the debug image of the tracker, the processed frame binarized by the tracker (see getDebugImage).
+          The tracker is put into debug mode while the layer is shown.
+        * outlines - the outlines of the visible trackables with their id and confidence, and the barcode ids of the
+          patterns of a multimarker
+        * axes - the x (red), y (green) and z (blue) axes of the visible trackables, projected with getCameraMatrix
+        * stats - the frame rate, the processing time of the frame, the threshold and the lighting diagnosis
+
+            arController.setDebugOverlay(document.getElementById('overlay'), { layers: { binarized: false } })
+
+        @param {HTMLCanvasElement|OffscreenCanvas} canvas The canvas to render into, null to remove the overlay
+        @param {object} [options]
+            layers: {object} the layers to show, e.g. {binarized: false}. All are shown by default.
+            axisLength: {number} length of the axes in millimetres. Defaults to half the width of the trackable.
+            lineWidth: {number} width of the outlines and axes in pixels. Defaults to 2.
+            font: {string} font of the labels and stats. Defaults to '12px monospace'.
+    */
+  setDebugOverlay (canvas, options = {}) {
+    if (this.debugOverlay) {
+      this.debugOverlay.dispose()
+    }
+    this.debugOverlay = canvas ? new DebugOverlay(canvas, options) : null
+    this[_updateDebugMode]()
+  };
+
+  /**
+        Shows or hides a layer of the debug overlay, see setDebugOverlay.
+
+        @param {string} layer 'binarized', 'outlines', 'axes' or 'stats'
+        @param {boolean} enabled
+    */
+  setDebugOverlayLayer (layer, enabled) {
+    if (!this.debugOverlay) {
+      throw new Error('No debug overlay, see setDebugOverlay')
+    }
+    this.debugOverlay.setLayerEnabled(layer, enabled)
+    this[_updateDebugMode]()
+  };
+
+  /**
+        Draws the debug overlay. It is drawn after every processed frame, see setDebugOverlay.
+    */
+  debugDraw () {
+    if (this.debugOverlay) {
+      this.debugOverlay.draw(this)
+    }
   };
 
+  /**
+     * Enables the debug mode of the tracker while the binarized layer of the debug overlay is shown, the layer draws
+     * the debug image of the tracker. Disables it again once the layer is hidden, unless it was enabled before.
+     * @private
+     */
+  [_updateDebugMode] () {
+    if (!artoolkitXjs.isInitialized()) {
+      return
+    }
+    const enable = !!this.debugOverlay && this.debugOverlay.isLayerEnabled('binarized')
+    if (enable && !this._overlayDebugMode && !this.isDebugMode()) {
+      this.enableDebugMode(true)
+      this._overlayDebugMode = true
+    } else if (!enable && this._overlayDebugMode) {
+      this.enableDebugMode(false)
+      this._overlayDebugMode = false
+    }
+  }
+
   // private
 
   /**
@@ -751,52 +1774,52 @@ export default class ARController {
      * Copies the video image and luma buffer into the HEAP to be available for the compiled C code for marker detection.
      * Sets newFrame and fillFlag in the compiled C code to signal the marker detection that a new frame is available.
      *
-     * @param {HTMLImageElement|HTMLVideoElement} [image] The image to prepare for marker detection
+     * @param {HTMLImageElement|HTMLVideoElement|ImageBitmap|ImageData|object} [image] The image or frame (see FrameSource) to prepare for marker detection
+     * @param {number} [timestamp] Time of the frame in milliseconds, defaults to the frame timestamp or the current time
      * @returns {boolean} true if successfull
      * @private
      */
-  [_prepareImage] (image) {
+  [_prepareImage] (image, timestamp) {
     if (!image) {
       image = this.image
     }
 
-    this.ctx.save()
-
-    if ('orientation' in window && Math.abs(window.orientation) !== 90) {
-      // portrait
-      this.ctx.translate(this.canvas.width, 0)
-      this.ctx.rotate(Math.PI / 2)
-      this.ctx.drawImage(image, 0, 0, this.canvas.height, this.canvas.width) // draw video
-      this.orientation = ORIENTATION[0]
-    } else {
-      this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height) // draw video
-      this.orientation = ORIENTATION[90]
+    // Drawn images come back in the orientation of the tracker already
+    let frame = isFrame(image) ? rotateFrame(image, this[_frameRotation](image.width, image.height)) : this[_drawImage](image)
+    if (frame.width === this.videoWidth && frame.height === this.videoHeight) {
+      frame = scaleFrame(frame, this.processingWidth, this.processingHeight)
+    }
+    // Get access to the video allocation object
+    const videoMalloc = artoolkitXjs.videoMalloc
+    if (frame.width * frame.height !== videoMalloc.framesize / 4) {
+      throw new Error(`Frame size ${frame.width}x${frame.height} doesn't match the processing size ${this.processingWidth}x${this.processingHeight}`)
     }
-
-    this.ctx.restore()
-    const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height)
-    const data = imageData.data // this is of type Uint8ClampedArray: The Uint8ClampedArray typed array represents an array of 8-bit unsigned integers clamped to 0-255 (https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Uint8ClampedArray)
-    this.imageData = data
 
     // Here we have access to the unmodified video image. We now need to add the videoLuma chanel to be able to serve the underlying ARTK API
-    let q = 0
-    const videoLuma = new Uint8ClampedArray(data.length / 4)
-    // Create luma from video data assuming Pixelformat AR_PIXEL_FORMAT_RGBA (ARToolKitJS.cpp L: 43)
-    for (let p = 0; p < this.videoSize; p++) {
-      const r = data[q + 0]; const g = data[q + 1]; const b = data[q + 2]
-      videoLuma[p] = (r + r + r + b + g + g + g + g) >> 3 // https://stackoverflow.com/a/596241/5843642
-      q += 4
+    let videoLuma
+    const region = this[_processingRegion]()
+    if (region) {
+      // Only the region is converted, the rest is filled with the background of the markers so nothing is detected there
+      const background = this.getLabelingMode() === artoolkitXjs.AR_LABELING_WHITE_REGION ? 0 : 255
+      if (!this._roiLuma || this._roiLuma.length !== frame.width * frame.height) {
+        this._roiLuma = new Uint8ClampedArray(frame.width * frame.height)
+      }
+      videoLuma = regionToLuma(frame, region, background, this._roiLuma)
+    } else {
+      videoLuma = frame.luma || rgbaToLuma(frame.rgba)
     }
-    // Get access to the video allocation object
-    const videoMalloc = artoolkitXjs.videoMalloc
     // Copy luma image
     const videoFrameLumaBytes = new Uint8Array(artoolkitXjs.HEAPU8.buffer, videoMalloc.lumaFramePointer, videoMalloc.framesize / 4)
     videoFrameLumaBytes.set(videoLuma)
     this.videoLuma = videoLuma
 
     // Copy image data into HEAP. HEAP was prepared during videoWeb.c::ar2VideoPushInitWeb()
-    const videoFrameBytes = new Uint8Array(artoolkitXjs.HEAPU8.buffer, videoMalloc.framepointer, videoMalloc.framesize)
-    videoFrameBytes.set(data)
+    // Frame sources may only supply luma, which is all the trackers need.
+    if (frame.rgba) {
+      const videoFrameBytes = new Uint8Array(artoolkitXjs.HEAPU8.buffer, videoMalloc.framepointer, videoMalloc.framesize)
+      videoFrameBytes.set(frame.rgba)
+      this.imageData = frame.rgba
+    }
     this.framesize = videoMalloc.framesize
 
     artoolkitXjs.setValue(videoMalloc.newFrameBoolPtr, 1, 'i8')
@@ -809,35 +1832,303 @@ export default class ARController {
     // Or rather should offer but does not anymore because of Spectre (https://en.wikipedia.org/wiki/Spectre_(security_vulnerability))
     // Bottom line as performance.now() is slower then Date.now() (https://jsperf.com/gettime-vs-now-0/7) and doesn't offer higher accuracy and we
     // would be calling it for each video frame I decided to read the time per frame from JS and pass it in to the compiled C-Code using a pointer.
-    const time = Date.now()
+    let time = timestamp !== undefined ? timestamp : frame.timestamp
+    if (time === undefined) time = Date.now()
+    this._frameTime = time
     const seconds = Math.floor(time / 1000)
     const milliSeconds = time - seconds * 1000
     artoolkitXjs.setValue(videoMalloc.timeSecPtr, seconds, 'i32')
     artoolkitXjs.setValue(videoMalloc.timeMilliSecPtr, milliSeconds, 'i32')
 
     const ret = artoolkitXjs._arwCapture()
-
-    if (this.debug) {
-      this.debugDraw()
-    }
+    this[_recordFrame](frame, videoLuma, region, time)
     return ret
   };
 
+  /**
+     * Adds the captured frame to the session recording, if one is running. A frame that can't be recorded stops the
+     * recording and is dispatched as recordingerror event, the frame is tracked all the same.
+     *
+     * @param {object} frame The frame {width, height, rgba, luma} in the processing size
+     * @param {Uint8ClampedArray} luma The luma given to the tracker
+     * @param {object} region The region of interest the frame was searched in, null for the full frame
+     * @param {number} timestamp Time of the frame in milliseconds
+     * @private
+     */
+  [_recordFrame] (frame, luma, region, timestamp) {
+    this._frameRecorded = false
+    if (!this.recorder) {
+      return
+    }
+    try {
+      const pixels = this.recorder.pixelFormat === 'RGBA' ? frame.rgba : luma
+      this._frameRecorded = this.recorder.addFrame(pixels, timestamp, this[_trackerOptionState](), region)
+    } catch (error) {
+      this.recorder = null
+      this.dispatchEvent(new RecordingErrorEvent('recordingerror', { error: error }))
+    }
+  }
+
+  /**
+     * Draws the image onto the processing canvas, scaled to the processing size, and reads back its pixels.
+     * After a change of the screen orientation the image is rotated back into the orientation of the tracker.
+     *
+     * @param {HTMLImageElement|HTMLVideoElement|ImageBitmap|ImageData} image The image to draw
+     * @returns {object} The frame {width, height, rgba}
+     * @private
+     */
+  [_drawImage] (image) {
+    if (!this.ctx) {
+      throw new Error('No canvas available to read the image, use a FrameSource instead')
+    }
+    if (typeof ImageData !== 'undefined' && image instanceof ImageData &&
+        (image.width !== this.canvas.width || image.height !== this.canvas.height)) {
+      // Raw RGBA frames of the video size, putImageData doesn't scale
+      return scaleFrame({ width: image.width, height: image.height, rgba: image.data }, this.canvas.width, this.canvas.height)
+    }
+    this.ctx.save()
+
+    if (typeof ImageData !== 'undefined' && image instanceof ImageData) {
+      // Raw RGBA frames, e.g. transferred to a worker, are already in the processing orientation
+      this.ctx.putImageData(image, 0, 0)
+    } else {
+      // Rotate the image back into the orientation of the tracker
+      const rotation = this[_frameRotation](image.videoWidth || image.width, image.videoHeight || image.height)
+      const swap = rotation % 180 !== 0
+      const width = swap ? this.canvas.height : this.canvas.width
+      const height = swap ? this.canvas.width : this.canvas.height
+      this.ctx.translate(this.canvas.width / 2, this.canvas.height / 2)
+      this.ctx.rotate(rotation * Math.PI / 180)
+      this.ctx.drawImage(image, -width / 2, -height / 2, width, height) // draw video
+    }
+
+    this.ctx.restore()
+    const imageData = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height)
+    // this is of type Uint8ClampedArray: The Uint8ClampedArray typed array represents an array of 8-bit unsigned integers clamped to 0-255 (https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Uint8ClampedArray)
+    return { width: this.canvas.width, height: this.canvas.height, rgba: imageData.data }
+  }
+
   // Internal wrapper to _arwQueryTrackableVisibilityAndTransformation to avoid ccall overhead
+  // Returns a view into the scratch buffer which is overwritten by the next query
   [_queryTrackableVisibility] (trackableId) {
-    const transformationMatrixElements = 16
-    const numBytes = transformationMatrixElements * Float32Array.BYTES_PER_ELEMENT
-    this._transMatPtr = artoolkitXjs._malloc(numBytes)
+    const matrix = this[_scratchMatrix]('_transMatPtr')
     // Call compiled C-function directly using '_' notation
     // https://kripken.github.io/emscripten-site/docs/porting/connecting_cpp_and_javascript/Interacting-with-code.html#interacting-with-code-direct-function-calls
     const transformation = artoolkitXjs._arwQueryTrackableVisibilityAndTransformation(trackableId, this._transMatPtr)
-    const matrix = new Float32Array(artoolkitXjs.HEAPU8.buffer, this._transMatPtr, transformationMatrixElements)
     if (transformation) {
       return matrix
     }
     return undefined
   }
 
+  /**
+     * Allocates memory in the Emscripten heap. All allocations of the ARController go through here and
+     * [_heapFree], so getHeapUsage can report the live ones.
+     *
+     * @param {number} bytes
+     * @returns {number} The pointer
+     */
+  [_heapAlloc] (bytes) {
+    const ptr = artoolkitXjs._malloc(bytes)
+    this._allocations.set(ptr, bytes)
+    return ptr
+  }
+
+  /**
+     * Frees memory allocated with [_heapAlloc].
+     *
+     * @param {number} ptr
+     */
+  [_heapFree] (ptr) {
+    artoolkitXjs._free(ptr)
+    this._allocations.delete(ptr)
+  }
+
+  /**
+     * Returns a Float32Array view onto a 16 element scratch buffer in the Emscripten heap.
+     * The buffer is allocated on first use and its pointer stored in this[pointerName].
+     * Views into the heap are detached when the heap grows, so they are re-created whenever the heap buffer changed.
+     *
+     * @param {string} pointerName '_transMatPtr' or '_projectionMatPtr'
+     * @returns {Float32Array} The view onto the scratch buffer
+     */
+  [_scratchMatrix] (pointerName) {
+    if (!this[pointerName]) {
+      this[pointerName] = this[_heapAlloc](16 * Float32Array.BYTES_PER_ELEMENT)
+    }
+    const buffer = artoolkitXjs.HEAPU8.buffer
+    if (this._heapBuffer !== buffer) {
+      if (this._heapBuffer) this._heapGrowths++
+      this._heapBuffer = buffer
+      this._heapViews = {}
+    }
+    if (!this._heapViews[pointerName]) {
+      this._heapViews[pointerName] = new Float32Array(buffer, this[pointerName], 16)
+    }
+    return this._heapViews[pointerName]
+  }
+
+  /**
+     * Dispatches one of the trackable events (getMarker, getMultiMarker, trackableFound, trackableUpdate, trackableLost).
+     *
+     * @param {string} name Name of the event
+     * @param {object} trackable The internal trackable record
+     * @param {number} timestamp Time of the processed frame in milliseconds since epoch
+     */
+  [_dispatchTrackableEvent] (name, trackable, timestamp) {
+    this.dispatchEvent(new TrackableEvent(name, this[_trackableSnapshot](trackable, timestamp)))
+  }
+
+  /**
+     * The payload of the trackable events, a copy so listeners don't get hold of the internal trackable record.
+     *
+     * @param {object} trackable The internal trackable record
+     * @param {number} timestamp Time of the processed frame in milliseconds since epoch
+     * @returns {object} {trackableId, trackableType, visible, transformation, rawTransformation, arCameraViewRH, timestamp}
+     * @private
+     */
+  [_trackableSnapshot] (trackable, timestamp) {
+    return {
+      trackableId: trackable.trackableId,
+      trackableType: trackable.trackableType,
+      visible: trackable.visible,
+      transformation: Float32Array.from(trackable.transformation),
+      rawTransformation: trackable.rawTransformation.slice(),
+      arCameraViewRH: trackable.arCameraViewRH ? Float32Array.from(trackable.arCameraViewRH) : null,
+      timestamp: timestamp
+    }
+  }
+
+  /**
+     * Checks if a trackable that isn't visible in the current frame exceeded the lost grace period.
+     *
+     * @param {object} trackable The internal trackable record
+     * @param {number} timestamp Time of the processed frame in milliseconds since epoch
+     * @returns {boolean} true if the trackable is to be considered lost
+     */
+  [_trackableMissed] (trackable, timestamp) {
+    if (this.lostGracePeriodUnit === 'ms') {
+      return timestamp - trackable.lastSeen > this.lostGracePeriod
+    }
+    return trackable.missedFrames > this.lostGracePeriod
+  }
+
+  /**
+     * Reads the configuration of all patterns (sub-markers) of a trackable from the native side.
+     * For multimarkers this is the content of the marker configuration file, i.e. each pattern's
+     * barcode id, size and transformation relative to the multimarker origin.
+     *
+     * @param {number} trackableId The trackable to read the pattern configuration for
+     * @returns {Array} Array of {index, barcodeId, width, height, matrix}
+     */
+  [_queryPatternConfigs] (trackableId) {
+    const patternCount = artoolkitXjs._arwGetTrackablePatternCount(trackableId)
+    const patterns = []
+    if (patternCount <= 0) {
+      return patterns
+    }
+    // matrix (16 floats) followed by width, height (floats), imageSizeX, imageSizeY and barcodeID (ints)
+    const ptr = this[_heapAlloc](21 * 4)
+    for (let i = 0; i < patternCount; i++) {
+      if (!artoolkitXjs._arwGetTrackablePatternConfig(trackableId, i, ptr, ptr + 64, ptr + 68, ptr + 72, ptr + 76, ptr + 80)) {
+        continue
+      }
+      patterns.push({
+        index: i,
+        barcodeId: artoolkitXjs.getValue(ptr + 80, 'i32'),
+        width: artoolkitXjs.getValue(ptr + 64, 'float'),
+        height: artoolkitXjs.getValue(ptr + 68, 'float'),
+        matrix: new Float32Array(artoolkitXjs.HEAPU8.buffer, ptr, 16).slice()
+      })
+    }
+    this[_heapFree](ptr)
+    return patterns
+  }
+
+  /**
+     * Dispatches the getMultiMarker event for a visible multimarker followed by a getMultiMarkerSub
+     * event for each of its patterns.
+     *
+     * artoolkitX doesn't report which sub-markers contributed to the multimarker pose, so there is no per sub-marker
+     * detection. Instead inView tells if the outline of the sub-marker, placed with the multimarker pose, lies inside
+     * the frame.
+     *
+     * @param {object} trackable The internal trackable record of a visible multimarker
+     */
+  [_dispatchMultiMarkerEvents] (trackable, timestamp) {
+    this[_dispatchTrackableEvent]('getMultiMarker', trackable, timestamp)
+    trackable.patterns.forEach(pattern => {
+      const transformation = ARController.multiplyGLMat(trackable.transformation, pattern.matrix)
+      this.dispatchEvent(new MultiMarkerSubEvent('getMultiMarkerSub', {
+        trackableId: trackable.trackableId,
+        index: pattern.index,
+        barcodeId: pattern.barcodeId,
+        width: pattern.width,
+        height: pattern.height,
+        inView: this[_isPatternInView](transformation, pattern.width, pattern.height),
+        transformation: transformation
+      }))
+    })
+  }
+
+  /**
+     * Projects the outline of a pattern with the given transformation and checks if it lies inside the frame.
+     *
+     * @param {Float32Array} transformation The 4x4 GL transformation of the pattern centre
+     * @param {number} width The width of the pattern
+     * @param {number} height The height of the pattern
+     * @returns {boolean} true if all four corners of the pattern project inside the frame
+     */
+  [_isPatternInView] (transformation, width, height) {
+    const corners = this[_projectOutline](transformation, width, height)
+    return !!corners && corners.every(([x, y]) => Math.abs(x) <= 1 && Math.abs(y) <= 1)
+  }
+
+  /**
+     * Projects the four corners of a pattern with the given transformation into normalized device coordinates
+     * of the processed frames.
+     *
+     * @param {Float32Array} transformation The 4x4 GL transformation of the pattern centre
+     * @param {number} width The width of the pattern
+     * @param {number} height The height of the pattern
+     * @returns {Array} The corners [x, y], between -1 and 1 inside the frame, null if a corner is behind the camera
+     * @private
+     */
+  [_projectOutline] (transformation, width, height) {
+    if (!this._viewProjection) {
+      const projection = this[_projectionMatrix]()
+      if (!projection) return null
+      this._viewProjection = projection
+    }
+    const mvp = ARController.multiplyGLMat(this._viewProjection, transformation)
+    const corners = []
+    for (const [cx, cy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+      const x = cx * width / 2
+      const y = cy * height / 2
+      const w = mvp[3] * x + mvp[7] * y + mvp[15]
+      if (w <= 0) return null
+      corners.push([(mvp[0] * x + mvp[4] * y + mvp[12]) / w, (mvp[1] * x + mvp[5] * y + mvp[13]) / w])
+    }
+    return corners
+  }
+
+  /**
+     * The projection matrix of the frames as processed, i.e. without the rotation of the screen orientation.
+     *
+     * @returns {Float32Array} The 16-element WebGL projection matrix or undefined if artoolkitX isn't running
+     * @private
+     */
+  [_projectionMatrix] (nearPlane = 0.1, farPlane = 1000) {
+    const matrix = this[_scratchMatrix]('_projectionMatPtr')
+    // Call compiled C-function directly using '_' notation
+    // https://kripken.github.io/emscripten-site/docs/porting/connecting_cpp_and_javascript/Interacting-with-code.html#interacting-with-code-direct-function-calls
+    if (!artoolkitXjs._arwGetProjectionMatrix(nearPlane, farPlane, this._projectionMatPtr)) {
+      return undefined
+    }
+    // Copy the matrix out of the scratch buffer, it is overwritten by the next call
+    return matrix.slice()
+  }
+
   /**
      * Private function to set the pattenr detection mode.
      * It is implemented like this to have the posibility to let the user set the pattern detection mode
@@ -849,9 +2140,18 @@ export default class ARController {
   }
 
   /**
-     * For ease of use check what kinds of markers have been added and set the detection mode accordingly
+     * For ease of use check what kinds of markers are registered and set the detection mode accordingly,
+     * unless it was set with setPatternDetectionMode.
      */
   [_updateDetectionMode] () {
+    this._patternDetection = {}
+    this.trackables.forEach(trackable => {
+      trackable.patternTypes.forEach(type => { this._patternDetection[type] = true })
+    })
+    this.has2DTrackable = this.trackables.some(trackable => trackable.trackableType.includes('2d'))
+    if (this.userSetPatternDetection) {
+      return
+    }
     if (this._patternDetection.barcode && this._patternDetection.template) {
       this[_setPatternDetectionMode](artoolkitXjs.AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX)
     } else if (this._patternDetection.barcode) {
@@ -861,6 +2161,332 @@ export default class ARController {
     }
   }
 
+  /**
+     * Marks the trackable as not visible and, if it was found, resets its pose filter and dispatches trackableLost.
+     *
+     * @param {object} trackable The internal trackable record
+     * @param {number} timestamp Time of the frame in milliseconds
+     * @private
+     */
+  [_loseTrackable] (trackable, timestamp) {
+    trackable.visible = false
+    if (trackable.found) {
+      trackable.found = false
+      if (trackable.filter) trackable.filter.reset()
+      this[_dispatchTrackableEvent]('trackableLost', trackable, timestamp)
+    }
+  }
+
+  /**
+     * Deletes the files of a removed trackable that no remaining trackable uses and records the removal.
+     * @private
+     */
+  [_releaseTrackable] (trackable) {
+    const inUse = new Set()
+    this.trackables.forEach(remaining => remaining.files.forEach(file => inUse.add(file)))
+    ARController[_unlinkFiles](trackable.files.filter(file => !inUse.has(file)))
+    if (this.recorder) {
+      this.recorder.changeTrackable(trackable.trackableId, { removed: true })
+    }
+  }
+
+  /**
+     * Builds approximate camera parameters for devices without calibration file, see CameraParam.fromDescription,
+     * and fits them to the size of the frames.
+     * @private
+     */
+  [_describeCamera] (description) {
+    let param = description instanceof CameraParam ? description : CameraParam.fromDescription(description, this.videoWidth, this.videoHeight)
+    if (param.width !== this.videoWidth || param.height !== this.videoHeight) {
+      param = param.hasAspectRatio(this.videoWidth, this.videoHeight)
+        ? param.changeSize(this.videoWidth, this.videoHeight)
+        : param.cropToSize(this.videoWidth, this.videoHeight)
+    }
+    return param
+  }
+
+  /**
+     * Clockwise rotation in degrees that brings a frame of the given size back into the orientation of the tracker.
+     * Streams which don't rotate with the screen, i.e. keep the size of the tracker, aren't rotated by 90 degrees.
+     * @private
+     */
+  [_frameRotation] (width, height) {
+    const rotation = this.getOrientation().rotation
+    if (rotation % 180 && !(width === this.videoHeight && height === this.videoWidth)) {
+      return 0
+    }
+    return rotation
+  }
+
+  /**
+     * Sets the size of the processed frames from the video size, the processing scale and the maximum processing size,
+     * and resizes the processing canvas to it.
+     * @private
+     */
+  [_updateProcessingSize] () {
+    let scale = this.processingScale
+    if (this.maxProcessingSize) {
+      scale = Math.min(scale, this.maxProcessingSize / Math.max(this.videoWidth, this.videoHeight))
+    }
+    this.processingWidth = Math.max(1, Math.round(this.videoWidth * scale)) || this.videoWidth
+    this.processingHeight = Math.max(1, Math.round(this.videoHeight * scale)) || this.videoHeight
+    if (this.canvas && this.processingWidth) {
+      this.canvas.width = this.processingWidth
+      this.canvas.height = this.processingHeight
+    }
+  }
+
+  /**
+     * The region of interest in pixels of the processed frames, null to process the full frame.
+     * @private
+     */
+  [_processingRegion] () {
+    if (!this._roi) {
+      return null
+    }
+    const scaleX = this.processingWidth / this.videoWidth
+    const scaleY = this.processingHeight / this.videoHeight
+    const region = { x: this._roi.x * scaleX, y: this._roi.y * scaleY, width: this._roi.width * scaleX, height: this._roi.height * scaleY }
+    return clipRegion(region, this.processingWidth, this.processingHeight)
+  }
+
+  /**
+     * The confidence of the last match of a square trackable's pattern or barcode, between 0 and 1.
+     * null for other trackables and where the artoolkitX build doesn't expose the trackable options.
+     * @private
+     */
+  [_trackableConfidence] (trackable) {
+    if (!trackable.trackableType.includes('single') || typeof artoolkitXjs.getTrackableOptionFloat !== 'function') {
+      return null
+    }
+    return artoolkitXjs.getTrackableOptionFloat(trackable.trackableId, artoolkitXjs.TrackableOptions.ARW_TRACKABLE_OPTION_SQUARE_CONFIDENCE.value)
+  }
+
+  /**
+     * Adds the processed frame to the automatic threshold tuning and applies its result, see setAutoThreshold.
+     * @private
+     */
+  [_tuneThreshold] () {
+    const enabled = this.trackables.filter(trackable => trackable.enabled)
+    const previousThresholdMode = this.getThresholdMode()
+    const current = {
+      thresholdMode: trackerOptionAlias('ThresholdMode', previousThresholdMode),
+      threshold: this.getThreshold()
+    }
+    const result = this.thresholdTuner.update({
+      luma: this.videoLuma,
+      width: this.processingWidth,
+      region: this[_processingRegion](),
+      found: enabled.length ? enabled.some(trackable => trackable.visible) : null
+    }, current)
+    if (!result) {
+      return
+    }
+    const diagnostics = result.diagnostics
+    const previousLighting = this.lightingDiagnostics ? this.lightingDiagnostics.lighting : null
+    this.lightingDiagnostics = diagnostics
+    if (result.change) {
+      this.setThresholdMode(result.change.thresholdMode)
+      if (result.change.threshold !== undefined) {
+        this.setThreshold(result.change.threshold)
+      }
+      this.dispatchEvent(new ThresholdChangeEvent('thresholdChange', {
+        thresholdMode: result.change.thresholdMode,
+        threshold: this.getThreshold(),
+        previousThresholdMode: current.thresholdMode || previousThresholdMode,
+        previousThreshold: current.threshold,
+        successRate: diagnostics.successRate,
+        lighting: diagnostics.lighting
+      }))
+    }
+    if (diagnostics.lighting !== previousLighting) {
+      this.dispatchEvent(new LightingEvent('lightingChange', Object.assign({}, diagnostics, {
+        histogram: diagnostics.histogram.slice(),
+        previousLighting: previousLighting
+      })))
+    }
+  }
+
+  /**
+     * Moves a followed region of interest to the trackables found in the processed frame.
+     * Falls back to the full frame if one of them can't be outlined or none is visible.
+     * @private
+     */
+  [_updateRegionOfInterest] () {
+    const options = this.regionOfInterest
+    if (!options || options.follow === undefined) {
+      return
+    }
+    this._roi = null
+    if (options.fullFrameInterval && ++this._framesSinceFullSearch >= options.fullFrameInterval) {
+      this._framesSinceFullSearch = 0
+      return
+    }
+    let bounds = null
+    for (const trackable of this.trackables) {
+      if (!trackable.enabled || !trackable.visible || (options.follow !== true && trackable.trackableId !== options.follow)) {
+        continue
+      }
+      const outline = this[_trackableBounds](trackable)
+      if (!outline) {
+        return
+      }
+      bounds = !bounds ? outline : {
+        left: Math.min(bounds.left, outline.left),
+        top: Math.min(bounds.top, outline.top),
+        right: Math.max(bounds.right, outline.right),
+        bottom: Math.max(bounds.bottom, outline.bottom)
+      }
+    }
+    if (bounds) {
+      const marginX = (bounds.right - bounds.left) * options.margin
+      const marginY = (bounds.bottom - bounds.top) * options.margin
+      this._roi = clipRegion({
+        x: bounds.left - marginX,
+        y: bounds.top - marginY,
+        width: bounds.right - bounds.left + 2 * marginX,
+        height: bounds.bottom - bounds.top + 2 * marginY
+      }, this.videoWidth, this.videoHeight)
+    }
+  }
+
+  /**
+     * The bounding box of the outline of a visible trackable in video pixels, i.e. of its square or, for a
+     * multimarker, of all of its patterns. null if it isn't known, e.g. for 2D trackables.
+     * @private
+     */
+  [_trackableBounds] (trackable) {
+    let outlines
+    if (trackable.trackableType === 'multi') {
+      outlines = trackable.patterns.map(pattern => [ARController.multiplyGLMat(trackable.rawTransformation, pattern.matrix), pattern.width, pattern.height])
+    } else if (trackable.width > 0) {
+      outlines = [[trackable.rawTransformation, trackable.width, trackable.width]]
+    } else {
+      return null
+    }
+    const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity }
+    for (const [transformation, width, height] of outlines) {
+      const corners = this[_projectOutline](transformation, width, height)
+      if (!corners) {
+        return null
+      }
+      corners.forEach(([x, y]) => {
+        // Normalized device coordinates point up, pixel rows down
+        const column = (x + 1) / 2 * this.videoWidth
+        const row = (1 - y) / 2 * this.videoHeight
+        bounds.left = Math.min(bounds.left, column)
+        bounds.right = Math.max(bounds.right, column)
+        bounds.top = Math.min(bounds.top, row)
+        bounds.bottom = Math.max(bounds.bottom, row)
+      })
+    }
+    return outlines.length ? bounds : null
+  }
+
+  /**
+     * Sets the orientation angle and the orientation of the displayed frames.
+     * @private
+     */
+  [_updateOrientation] (angle) {
+    this.orientationAngle = angle
+    const swap = this.getOrientation().rotation % 180 !== 0
+    const width = swap ? this.videoHeight : this.videoWidth
+    const height = swap ? this.videoWidth : this.videoHeight
+    if (width && height) {
+      this.orientation = height > width ? ORIENTATION[0] : ORIENTATION[90]
+    } else if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.type) {
+      this.orientation = screen.orientation.type.startsWith('portrait') ? ORIENTATION[0] : ORIENTATION[90]
+    } else {
+      this.orientation = ORIENTATION[90]
+    }
+  }
+
+  /**
+     * Decodes the camera parameters and warns if they were calibrated for another aspect ratio than the
+     * processed frames, e.g. a 640x480 camera_para.dat used with a 1280x720 webcam stream.
+     * artoolkitX scales the parameters to the frame size, but poses are distorted if the aspect ratio differs.
+     * @private
+     */
+  [_checkCameraParam] (bytes) {
+    try {
+      this.cameraParam = CameraParam.decode(bytes)
+    } catch (e) {
+      console.warn('Unable to decode the camera parameters: ' + e.message)
+      this.cameraParam = null
+      return
+    }
+    if (!this.cameraParam.hasAspectRatio(this.videoWidth, this.videoHeight)) {
+      console.warn(`The camera parameters are calibrated for ${this.cameraParam.width}x${this.cameraParam.height} ` +
+        `but the frames are ${this.videoWidth}x${this.videoHeight}. Use camera parameters with the aspect ratio of the frames.`)
+    }
+  }
+
+  /**
+     * Options for the AssetLoader that dispatch its progress as loadProgress events.
+     *
+     * @param {AbortSignal} [signal]
+     * @param {object} [trackable] The trackable the files are loaded for
+     * @returns {object} {signal, trackable, onProgress}
+     * @private
+     */
+  [_loadOptions] (signal, trackable) {
+    return {
+      signal: signal,
+      trackable: trackable,
+      onProgress: progress => {
+        this.dispatchEvent(new LoadProgressEvent('loadProgress', { url: progress.url, loaded: progress.loaded, total: progress.total, trackable: trackable }))
+      }
+    }
+  }
+
+  /**
+     * @returns {object} The current value of all TRACKER_OPTIONS
+     * @private
+     */
+  [_trackerOptionState] () {
+    const state = {}
+    TRACKER_OPTIONS.forEach(name => {
+      state[name[0].toLowerCase() + name.slice(1)] = this['get' + name]()
+    })
+    return state
+  }
+
+  /**
+     * Sets the given tracker options, e.g. from a recorded session.
+     * @param {object} options As returned by [_trackerOptionState], may contain only some of the options
+     * @private
+     */
+  [_applyTrackerOptions] (options) {
+    TRACKER_OPTIONS.forEach(name => {
+      const value = options[name[0].toLowerCase() + name.slice(1)]
+      if (value !== undefined) {
+        this['set' + name](value)
+      }
+    })
+  }
+
+  /**
+     * Adds the trackable and the content of its files to the session recording.
+     * @private
+     */
+  [_recordTrackable] (trackable) {
+    const files = new Map()
+    trackable.files.forEach(path => files.set(path, artoolkitXjs.FS.readFile(path)))
+    let filter = trackable.filterOptions
+    if (filter && typeof filter.filter === 'function') {
+      console.warn('Custom pose filters are not recorded, trackable ' + trackable.trackableId + ' is replayed unfiltered')
+      filter = null
+    }
+    this.recorder.addTrackable({
+      trackableId: trackable.trackableId,
+      trackableType: trackable.trackableType,
+      config: trackable.config,
+      patternTypes: trackable.patternTypes,
+      enabled: trackable.enabled,
+      filter: filter
+    }, files)
+  }
+
   /**
      * Properly end the video stream
      */
@@ -982,8 +2608,12 @@ export default class ARController {
         The configuration object supports the following attributes:
 
             {
-                cameraParam: url, // URL to camera parameters definition file.
+                cameraParam: url, // URL to camera parameters definition file or its content (ArrayBuffer, Uint8Array, Blob, File).
+                                  // Or a camera description like {fovY: 60}, see the ARController constructor.
                 maxARVideoSize: number, // Maximum max(width, height) for the AR processing canvas.
+                processingScale: number, // Scale of the processed frames, see the ARController constructor.
+                regionOfInterest: object, // The part of the frames searched for markers, see setRegionOfInterest.
+                trackerOptions: object, // The tracker options, see setTrackerOptions.
 
                 width : number | {min: number, ideal: number, max: number},
                 height : number | {min: number, ideal: number, max: number},
@@ -997,7 +2627,7 @@ export default class ARController {
 
         The orientation attribute of the returned ARController is set to "portrait" if the userMedia video has larger
         height than width. Otherwise it's set to "landscape". The videoWidth and videoHeight attributes of the arController
-        are set to be always in landscape configuration so that width is larger than height.
+        keep the size of the video at start, frames of a stream rotated with the screen are rotated back, see getOrientation.
 
         @param {object} configuration The configuration object.
         @return {Promise<ARController>} Returns the created {@link ARController}.
@@ -1011,10 +2641,137 @@ export default class ARController {
 
     const webcam = await ARController.getUserMedia(obj)
 
-    const arController = new ARController(webcam, cameraParamURL, configuration.width, configuration.height)
+    const arController = new ARController(webcam, cameraParamURL, configuration.width, configuration.height, {
+      processingScale: configuration.processingScale,
+      maxProcessingSize: configuration.maxARVideoSize,
+      regionOfInterest: configuration.regionOfInterest,
+      trackerOptions: configuration.trackerOptions
+    })
     return arController
   };
 
+  /**
+    Sets the function used to load camera parameter and trackable files instead of XMLHttpRequest.
+    Node.js has no XMLHttpRequest, artoolkitX.node.js uses this to read the files from the filesystem.
+
+        ARController.setFileReader(path => fs.promises.readFile(path))
+
+    @param {function} reader Function taking the URL or path and returning (a Promise of) an ArrayBuffer or Uint8Array,
+        or null to load the URL with the AssetLoader. Pass null to use the AssetLoader for all files again.
+  */
+  static setFileReader (reader) {
+    fileReader = reader
+  };
+
+  /**
+    @returns {function|null} The function set with setFileReader
+  */
+  static getFileReader () {
+    return fileReader
+  };
+
+  /**
+    Sets the AssetLoader used to download camera parameter and trackable files, e.g. to change or disable the cache:
+
+        ARController.setAssetLoader(new AssetLoader({ storage: 'none' }))
+
+    A file reader set with setFileReader takes precedence.
+
+    @param {AssetLoader} loader See artoolkitX.loader.js
+  */
+  static setAssetLoader (loader) {
+    assetLoader = loader
+  };
+
+  /**
+    Replays a session recorded with startRecording.
+
+    Creates an ARController with the recorded camera parameters, restores the trackable files in the Emscripten
+    filesystem, registers the trackables and processes the recorded frames with their original timestamps and tracker
+    options. With the same artoolkitX build the poses are identical to the recorded ones, differences point to
+    a non-deterministic or platform dependent behaviour.
+
+    As artoolkitX runs only one tracking session at a time, dispose other ARControllers before replaying.
+
+        const { track, differences } = await ARController.replay(archive)
+
+    @param {Uint8Array|ArrayBuffer|Blob} archive The archive returned by stopRecording
+    @param {object} [options]
+        onFrame: {function} called with (arController, frameIndex) after each frame, e.g. to inspect the tracker state.
+    @return {Promise<object>} Resolves into
+        {
+            arController: {ARController} the controller used for the replay, still running. Dispose it when done.
+            track: {PoseTrack} the replayed poses, using the recorded trackable ids
+            recordedTrack: {PoseTrack} the poses recorded with the session
+            differences: {Array} the result of track.diff(recordedTrack), empty if the poses are identical
+        }
+        Rejects, and disposes the controller, if a frame can't be processed.
+  */
+  static async replay (archive, options = {}) {
+    const session = await decodeSession(archive)
+    const source = new BufferFrameSource(session.width, session.height, session.pixelFormat)
+    const arController = new ARController(source, session.cameraParam || '')
+    await arController.start()
+    session.files.forEach((bytes, path) => ARController[_writeFile](path, bytes))
+
+    // Trackable ids are assigned by artoolkitX and may differ from the recorded ones
+    const recordedIds = {}
+    const replayIds = {}
+    let nextTrackable = 0
+    let nextChange = 0
+    const applyTrackableChanges = (frameIndex) => {
+      for (; nextTrackable < session.trackables.length && session.trackables[nextTrackable].frame <= frameIndex; nextTrackable++) {
+        const recorded = session.trackables[nextTrackable]
+        const filter = recorded.filter ? createPoseFilter(recorded.filter) : null
+        const trackable = arController[_addTrackableConfig](recorded.config, recorded.trackableType, filter, recorded.patternTypes)
+        trackable.enabled = recorded.enabled !== false
+        recordedIds[trackable.trackableId] = recorded.trackableId
+        replayIds[recorded.trackableId] = trackable.trackableId
+      }
+      for (; nextChange < session.changes.length && session.changes[nextChange].frame <= frameIndex; nextChange++) {
+        const change = session.changes[nextChange]
+        if (change.removed) {
+          arController.removeTrackable(replayIds[change.trackableId])
+        } else {
+          arController.setTrackableEnabled(replayIds[change.trackableId], change.enabled)
+        }
+      }
+    }
+    applyTrackableChanges(0)
+    arController[_applyTrackerOptions](session.trackerOptions)
+
+    const track = new PoseTrack()
+    for (let i = 0; i < session.frames.length; i++) {
+      applyTrackableChanges(i)
+      const frame = session.frames[i]
+      if (frame.options) {
+        arController[_applyTrackerOptions](frame.options)
+      }
+      // Colour frames are recorded in full, the tracker only saw the region of interest
+      if (frame.region !== undefined) {
+        arController.setRegionOfInterest(frame.region)
+      }
+      try {
+        arController[_detect](source.getFrame(frame.pixels), frame.timestamp)
+      } catch (e) {
+        arController.dispose()
+        throw new Error('Unable to replay frame ' + i + ': ' + (e.message || e))
+      }
+      arController.trackables.forEach(trackable => {
+        track.add(i, frame.timestamp, recordedIds[trackable.trackableId], trackable.visible, trackable.transformation)
+      })
+      if (options.onFrame) {
+        options.onFrame(arController, i)
+      }
+    }
+    return {
+      arController: arController,
+      track: track,
+      recordedTrack: session.poses,
+      differences: track.diff(session.poses)
+    }
+  };
+
   /**
     Converts the given 3x4 marker transformation matrix in the 12-element transMat array
     into a 4x4 WebGL matrix and writes the result into the 16-element glMat array.
@@ -1053,6 +2810,17 @@ export default class ARController {
     return glMat
   };
 
+  /**
+    Multiplies two column-major 4x4 GL matrices (a * b) and returns the result as a new Float32Array.
+
+    @param {Float32Array} a The left hand 4x4 matrix.
+    @param {Float32Array} b The right hand 4x4 matrix.
+    @return {Float32Array} The 16-element product matrix.
+  */
+  static multiplyGLMat (a, b) {
+    return multiplyGLMat(a, b)
+  };
+
     /**
    Converts the given 4x4 openGL matrix in the 16-element transMat array
     into a 4x4 OpenGL Right-Hand-View matrix and writes the result into the 16-element glMat array.
@@ -1106,136 +2874,151 @@ export default class ARController {
 /**
  * Defining private statics
  */
+let fileReader = null
+let assetLoader = new AssetLoader()
+
+// URL objects are loaded like their string
+const urlToString = (source) => typeof URL !== 'undefined' && source instanceof URL ? source.href : source
+
 const _ajax = Symbol('_ajax')
 const _loadTrackable = Symbol('_loadTrackable')
 const _loadCameraParam = Symbol('_loadCameraParam')
 const _loadMultiTrackable = Symbol('_loadMultiTrackable')
 const _ajaxDependencies = Symbol('_ajaxDependencies')
-const _parseMultiFile = Symbol('_parseMultiFile')
+const _unlinkFiles = Symbol('_unlinkFiles')
+const _loadFile = Symbol('_loadFile')
+const _writeFile = Symbol('_writeFile')
 
 // Eg.
-//  ajax('../bin/Data2/markers.dat', '/Data2/markers.dat', callback);
-//  ajax('../bin/Data/patt.hiro', '/patt.hiro', callback);
-// Promise enabled: https://stackoverflow.com/a/48969580/5843642
-ARController[_ajax] = (url, target) => {
-  return new Promise((resolve, reject) => {
-    const oReq = new window.XMLHttpRequest()
-    oReq.open('GET', url, true)
-    oReq.responseType = 'arraybuffer' // blob arraybuffer
-
-    oReq.onload = function () {
-      if (this.status === 200) {
-        // console.log('ajax done for ', url);
-        const arrayBuffer = oReq.response
-        const byteArray = new Uint8Array(arrayBuffer)
-        artoolkitXjs.FS.writeFile(target, byteArray, { encoding: 'binary' })
-        resolve(byteArray)
-      } else {
-        reject(this.status)
-      }
+//  ajax('../bin/Data2/markers.dat', '/Data2/markers.dat', options);
+//  ajax('../bin/Data/patt.hiro', '/patt.hiro', options);
+// options are passed on to AssetLoader.load: {signal, onProgress, trackable}
+ARController[_ajax] = async (url, target, options = {}) => {
+  let content = null
+  if (fileReader) {
+    try {
+      content = await fileReader(url)
+    } catch (error) {
+      throw new AssetLoadError('Failed to read ' + url + ': ' + (error.message || error), { url: url, trackable: options.trackable, cause: error })
     }
-    oReq.send()
-  })
+  }
+  const byteArray = content ? new Uint8Array(content) : await assetLoader.load(url, options)
+  ARController[_writeFile](target, byteArray)
+  return byteArray
 }
 
-ARController[_loadTrackable] = async (url) => {
-  var filename = '/trackable_' + ARController._marker_count++
-  try {
-    await ARController[_ajax](url, filename)
-    return filename
-  } catch (e) {
-    console.log(e)
-    return e
+/**
+ * Writes the file content given as URL (string or URL object), ArrayBuffer, typed array, Blob or File into the Emscripten filesystem.
+ * @returns {Promise<Uint8Array>} The file content
+ */
+ARController[_loadFile] = async (source, target, options) => {
+  let byteArray
+  source = urlToString(source)
+  if (typeof source === 'string') {
+    return ARController[_ajax](source, target, options)
+  } else if (source instanceof ArrayBuffer) {
+    byteArray = new Uint8Array(source)
+  } else if (ArrayBuffer.isView(source)) {
+    byteArray = new Uint8Array(source.buffer, source.byteOffset, source.byteLength)
+  } else if (typeof Blob !== 'undefined' && source instanceof Blob) { // also File
+    byteArray = new Uint8Array(await source.arrayBuffer())
+  } else {
+    throw new TypeError('Expected an URL, ArrayBuffer, Uint8Array, Blob or File but got ' + source)
   }
+  ARController[_writeFile](target, byteArray)
+  return byteArray
 }
 
-ARController[_loadCameraParam] = (url) => {
-  return new Promise((resolve, reject) => {
-    const filename = '/camera_param_' + ARController._camera_count++
-    if (typeof url === 'object' || url.indexOf('\n') > -1) { // Maybe it's a byte array
-      const byteArray = url
-      const target = filename
-      artoolkitXjs.FS.writeFile(target, byteArray, { encoding: 'binary' })
-      if (target) {
-        resolve(filename)
-      } else {
-        reject(new Error('Error'))
-      }
-    } else {
-      ARController[_ajax](url, filename).then(() => resolve(filename)).catch(e => { reject(e) })
-    }
-  })
+ARController[_writeFile] = (path, byteArray) => {
+  const directory = path.split('/').slice(0, -1).join('/')
+  if (directory) {
+    artoolkitXjs.FS.mkdirTree(directory)
+  }
+  artoolkitXjs.FS.writeFile(path, byteArray, { encoding: 'binary' })
 }
 
-ARController[_loadMultiTrackable] = async (url) => {
-  const filename = '/multi_trackable_' + ARController._multi_marker_count++
-  try {
-    const bytes = await ARController[_ajax](url, filename)
-    let files = ARController[_parseMultiFile](bytes)
-
-    // function ok() {
-    //     var markerID = Module._addMultiMarker(arId, filename);
-    //     var markerNum = Module.getMultiMarkerNum(arId, markerID);
-    //     if (callback) callback(markerID, markerNum);
-    // }
-
-    // if (!files.length) return ok();
+ARController[_loadTrackable] = async (url, options) => {
+  const filename = '/trackable_' + ARController._marker_count++
+  await ARController[_loadFile](url, filename, options)
+  return filename
+}
 
-    const path = url.split('/').slice(0, -1).join('/')
-    files = files.map(function (file) {
-      return [path + '/' + file, file]
-    })
+ARController[_loadCameraParam] = async (url, options) => {
+  const filename = '/camera_param_' + ARController._camera_count++
+  await ARController[_loadFile](url, filename, options)
+  return filename
+}
 
-    await ARController[_ajaxDependencies](files)
-    return filename
+/**
+ * Loads a multimarker configuration and the pattern files it references into a directory of its own,
+ * artoolkitX resolves the pattern files relative to the configuration file.
+ *
+ * @param {string|URL|ArrayBuffer|Uint8Array|Blob} url The configuration file
+ * @param {Map|object} [dependencies] The pattern files as file name -> content (or URL). Without, the pattern
+ *                     files are loaded relative to the URL of the configuration file.
+ * @returns {Promise<object>} {fileName, dependencies} the paths of the configuration and pattern files
+ */
+ARController[_loadMultiTrackable] = async (url, dependencies, options) => {
+  const directory = '/multi_trackable_' + ARController._multi_marker_count++
+  const filename = directory + '/multi.dat'
+  let files = []
+  url = urlToString(url)
+  try {
+    const bytes = await ARController[_loadFile](url, filename, options)
+    const patternFiles = getPatternFiles(parseMultiMarker(bytes))
+    if (dependencies) {
+      dependencies = dependencies instanceof Map ? dependencies : new Map(Object.entries(dependencies))
+      files = patternFiles.map(file => {
+        if (!dependencies.has(file)) {
+          throw new Error('The pattern file ' + file + ' is missing in the dependencies')
+        }
+        return [file, dependencies.get(file)]
+      })
+    } else {
+      if (typeof url !== 'string' && patternFiles.length) {
+        throw new Error('The pattern files of a multimarker given as buffer have to be passed as dependencies')
+      }
+      const path = typeof url === 'string' ? url.split('/').slice(0, -1).join('/') : ''
+      files = patternFiles.map(function (file) {
+        return [file, path ? path + '/' + file : file]
+      })
+    }
+    files = files.map(([name, source]) => [source, directory + '/' + name])
+    await ARController[_ajaxDependencies](files.slice(), options)
+    return { fileName: filename, dependencies: files.map(file => file[1]) }
   } catch (error) {
+    ARController[_unlinkFiles]([filename].concat(files.map(file => file[1])))
+    if (error instanceof AssetLoadError || error instanceof MultiMarkerError || error.name === 'AbortError') throw error
     throw new Error('Error loading multi marker: ' + error)
   }
 }
 
-ARController[_ajaxDependencies] = async (files) => {
+ARController[_unlinkFiles] = (files) => {
+  files.forEach(file => {
+    try {
+      artoolkitXjs.FS.unlink(file)
+    } catch (e) {
+      // Already deleted
+    }
+    // Remove the directories of multimarkers once they are empty
+    for (let directory = file.split('/').slice(0, -1).join('/'); directory; directory = directory.split('/').slice(0, -1).join('/')) {
+      try {
+        artoolkitXjs.FS.rmdir(directory)
+      } catch (e) {
+        break
+      }
+    }
+  })
+}
+
+ARController[_ajaxDependencies] = async (files, options) => {
   var next = files.pop()
   if (next) {
-    await ARController[_ajax](next[0], next[1])
-    await ARController[_ajaxDependencies](files)
+    await ARController[_loadFile](next[0], next[1], options)
+    await ARController[_ajaxDependencies](files, options)
   }
 }
 
-// ARController[_parseMultiFile] = (bytes) => {
-//   const str = String.fromCharCode.apply(String, bytes) // basically bytesToString
-//   const lines = str.split('\n')
-//   const files = []
-
-//   let state = 0 // 0 - read,
-//   let markers = 0
-
-//   lines.forEach(function (line) {
-//     line = line.trim()
-//     if (!line || line.startsWith('#')) return // FIXME: Should probably be `if (line.indexOf('#') === 0) { return; }`
-
-//     switch (state) {
-//       case 0:
-//         markers = +line
-//         state = 1
-//         return
-//       case 1: // filename or barcode
-//         if (!line.match(/^\d+$/)) {
-//           files.push(line)
-//         }
-//         return
-//       case 2: // width
-//       case 3: // matrices
-//       case 4:
-//         state++
-//         return
-//       case 5:
-//         state = 1
-//     }
-//   })
-
-//   return files
-// }
-
 ARController._marker_count = 0
 ARController._camera_count = 0
 ARController._multi_marker_count = 0
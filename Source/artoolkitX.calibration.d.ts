@@ -0,0 +1,52 @@
+/**
+ * Types of the camera calibration, see artoolkitX.calibration.js.
+ */
+import { CameraParam } from './artoolkitX.cameraparam.js'
+import { Frame, PixelBuffer } from './artoolkitX.framesource.js'
+import ARController from './artoolkitX.api.js'
+
+/** A chessboard, columns and rows count its inner corners */
+export interface ChessboardOptions {
+  columns: number
+  rows: number
+}
+
+export interface Corner {
+  x: number
+  y: number
+}
+
+export interface CalibrationResult {
+  cameraParam: CameraParam
+  /** Root mean square reprojection error over all corners in pixels */
+  rms: number
+  /** Root mean square reprojection error of every view in pixels */
+  viewErrors: number[]
+}
+
+export function detectChessboard (luma: PixelBuffer, width: number, height: number, board: ChessboardOptions): Corner[] | null
+export function calibrateCamera (views: Corner[][], options: ChessboardOptions & { width: number, height: number, squareSize?: number }): CalibrationResult
+
+/** Collects views of a chessboard and calibrates the camera */
+export class CameraCalibration {
+  constructor (board: ChessboardOptions & {
+    /** Size of the chessboard squares, defaults to 1 */
+    squareSize?: number
+    /** Distance in pixels at least one corner has to move between two views, defaults to 10 */
+    minMotion?: number
+  })
+  columns: number
+  rows: number
+  squareSize: number
+  minMotion: number
+  width: number
+  height: number
+  views: Corner[][]
+  /** The corners detected by the last call to addView */
+  lastCorners: Corner[] | null
+  readonly viewCount: number
+  addView (frame: Frame | ImageData | PixelBuffer, width?: number, height?: number): Corner[] | null
+  captureView (arController: ARController): Corner[] | null
+  addSession (archive: Uint8Array | ArrayBuffer | Blob, options?: { step?: number }): Promise<number>
+  calibrate (): CalibrationResult
+}
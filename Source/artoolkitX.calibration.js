@@ -0,0 +1,783 @@
+/*
+ * Camera calibration in the browser, producing camera parameters for devices without calibration file.
+ *
+ * Print a chessboard, e.g. of 10x7 squares, and capture it from 10 to 20 different angles and distances:
+ *
+ *     const calibration = new CameraCalibration({ columns: 9, rows: 6, squareSize: 25 })
+ *     // after every arController.process() while the board is moved in front of the camera
+ *     if (calibration.captureView(arController)) console.log(calibration.viewCount + ' views')
+ *     // once there are enough views
+ *     const result = calibration.calibrate()
+ *     console.log('Reprojection error: ' + result.rms + ' pixels')
+ *     const calibrated = new ARController(webcam, result.cameraParam.encode())
+ *
+ * columns and rows count the inner corners of the chessboard, i.e. the squares per row and column minus one.
+ *
+ * The solve follows Zhang, "A flexible new technique for camera calibration" (2000): a homography per view,
+ * the closed form solution of the intrinsics and a Levenberg-Marquardt refinement of the focal lengths, the principal
+ * point, the radial distortion factors k1 and k2 and the pose of every view. The result are version 4 camera
+ * parameters (OpenCV distortion model) without tangential distortion.
+ *
+ * Views can also be taken from a recorded session (see ARController.startRecording), so a calibration can be
+ * repeated and tested without camera.
+ */
+import { rgbaToLuma } from './artoolkitX.framesource.js'
+import { decodeSession } from './artoolkitX.recorder.js'
+import { CameraParam } from './artoolkitX.cameraparam.js'
+
+const RING_RADIUS = 5
+// 16 samples on a circle around a pixel, opposite samples are 8 apart
+const RING = []
+for (let n = 0; n < 16; n++) {
+  RING.push([Math.round(RING_RADIUS * Math.cos(n * Math.PI / 8)), Math.round(RING_RADIUS * Math.sin(n * Math.PI / 8))])
+}
+
+/**
+ * Response of the ChESS detector (Bennett and Lasenby, 2014), positive at the X-shaped corners of a chessboard.
+ */
+const cornerResponse = (luma, width, height) => {
+  const response = new Float32Array(width * height)
+  const offsets = RING.map(([dx, dy]) => dy * width + dx)
+  const samples = new Float32Array(16)
+  for (let y = RING_RADIUS; y < height - RING_RADIUS; y++) {
+    for (let x = RING_RADIUS; x < width - RING_RADIUS; x++) {
+      const p = y * width + x
+      let ringSum = 0
+      for (let n = 0; n < 16; n++) {
+        samples[n] = luma[p + offsets[n]]
+        ringSum += samples[n]
+      }
+      let sum = 0
+      for (let n = 0; n < 4; n++) {
+        sum += Math.abs(samples[n] + samples[n + 8] - samples[n + 4] - samples[n + 12])
+      }
+      let diff = 0
+      for (let n = 0; n < 8; n++) {
+        diff += Math.abs(samples[n] - samples[n + 8])
+      }
+      const local = (luma[p] + luma[p - 1] + luma[p + 1] + luma[p - width] + luma[p + width]) / 5
+      response[p] = sum - diff - 16 * Math.abs(ringSum / 16 - local)
+    }
+  }
+  return response
+}
+
+/**
+ * Local maxima of the corner response.
+ */
+const findCandidates = (response, width, height) => {
+  let max = 0
+  for (let i = 0; i < response.length; i++) {
+    if (response[i] > max) max = response[i]
+  }
+  const threshold = max * 0.1
+  const candidates = []
+  if (!(max > 0)) return candidates
+  for (let y = RING_RADIUS; y < height - RING_RADIUS; y++) {
+    for (let x = RING_RADIUS; x < width - RING_RADIUS; x++) {
+      const value = response[y * width + x]
+      if (value <= threshold) continue
+      let isMax = true
+      for (let dy = -RING_RADIUS; dy <= RING_RADIUS && isMax; dy++) {
+        for (let dx = -RING_RADIUS; dx <= RING_RADIUS; dx++) {
+          const other = response[(y + dy) * width + x + dx]
+          // Ties are resolved towards the first pixel
+          if (other > value || (other === value && (dy < 0 || (dy === 0 && dx < 0)))) {
+            isMax = false
+            break
+          }
+        }
+      }
+      if (isMax) candidates.push({ x: x, y: y, response: value })
+    }
+  }
+  return candidates.sort((a, b) => b.response - a.response)
+}
+
+/**
+ * Refines a corner to sub-pixel accuracy: the image gradients around a saddle point are orthogonal to the
+ * vectors from the saddle point, which is solved for in the least squares sense.
+ */
+const refineCorner = (luma, width, height, corner) => {
+  let x = corner.x
+  let y = corner.y
+  const sigma2 = 2 * (RING_RADIUS / 2) * (RING_RADIUS / 2)
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const cx = Math.round(x)
+    const cy = Math.round(y)
+    let a = 0; let b = 0; let c = 0; let bx = 0; let by = 0
+    for (let dy = -RING_RADIUS; dy <= RING_RADIUS; dy++) {
+      for (let dx = -RING_RADIUS; dx <= RING_RADIUS; dx++) {
+        const px = cx + dx
+        const py = cy + dy
+        if (px < 1 || py < 1 || px >= width - 1 || py >= height - 1) continue
+        const p = py * width + px
+        const gx = (luma[p + 1] - luma[p - 1]) / 2
+        const gy = (luma[p + width] - luma[p - width]) / 2
+        const weight = Math.exp(-(dx * dx + dy * dy) / sigma2)
+        a += gx * gx * weight
+        b += gx * gy * weight
+        c += gy * gy * weight
+        bx += (gx * gx * px + gx * gy * py) * weight
+        by += (gx * gy * px + gy * gy * py) * weight
+      }
+    }
+    const det = a * c - b * b
+    if (Math.abs(det) < 1e-9) break
+    const nx = (c * bx - b * by) / det
+    const ny = (a * by - b * bx) / det
+    if (Math.hypot(nx - corner.x, ny - corner.y) > RING_RADIUS) break
+    const moved = Math.hypot(nx - x, ny - y)
+    x = nx
+    y = ny
+    if (moved < 0.01) break
+  }
+  return { x: x, y: y }
+}
+
+/**
+ * Grows a grid of corners from a seed corner and its two nearest neighbours in different directions.
+ * @returns {Map} cell "i,j" -> candidate index, or null
+ */
+const growGrid = (points, seed, maxSize) => {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y)
+  const near = points.map((point, index) => ({ index: index, distance: distance(point, points[seed]) }))
+    .filter(entry => entry.index !== seed)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 8)
+  if (near.length < 2) return null
+  const first = near[0]
+  const u = { x: points[first.index].x - points[seed].x, y: points[first.index].y - points[seed].y }
+  const second = near.slice(1).find(entry => {
+    const v = { x: points[entry.index].x - points[seed].x, y: points[entry.index].y - points[seed].y }
+    const cos = Math.abs(u.x * v.x + u.y * v.y) / (first.distance * entry.distance)
+    return cos < 0.5 && entry.distance < 2.5 * first.distance
+  })
+  if (!second) return null
+
+  const grid = new Map()
+  const used = new Set()
+  const assign = (i, j, index) => {
+    grid.set(i + ',' + j, index)
+    used.add(index)
+  }
+  const at = (i, j) => {
+    const index = grid.get(i + ',' + j)
+    return index === undefined ? null : points[index]
+  }
+  assign(0, 0, seed)
+  assign(1, 0, first.index)
+  assign(0, 1, second.index)
+  const queue = [[0, 0], [1, 0], [0, 1]]
+  const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+  let minI = 0; let maxI = 1; let minJ = 0; let maxJ = 1
+  while (queue.length) {
+    const [i, j] = queue.shift()
+    const current = at(i, j)
+    for (const [di, dj] of directions) {
+      if (at(i + di, j + dj)) continue
+      let step = null
+      const previous = at(i - di, j - dj)
+      if (previous) {
+        step = { x: current.x - previous.x, y: current.y - previous.y }
+      } else {
+        // The step of a parallel neighbour
+        for (const side of [1, -1]) {
+          const from = at(i + dj * side, j + di * side)
+          const to = at(i + di + dj * side, j + dj + di * side)
+          if (from && to) {
+            step = { x: to.x - from.x, y: to.y - from.y }
+            break
+          }
+        }
+      }
+      if (!step) continue
+      const predicted = { x: current.x + step.x, y: current.y + step.y }
+      const radius = 0.4 * Math.hypot(step.x, step.y)
+      let best = -1
+      let bestDistance = radius
+      points.forEach((point, index) => {
+        if (used.has(index)) return
+        const d = distance(point, predicted)
+        if (d < bestDistance) {
+          best = index
+          bestDistance = d
+        }
+      })
+      if (best < 0) continue
+      assign(i + di, j + dj, best)
+      queue.push([i + di, j + dj])
+      minI = Math.min(minI, i + di); maxI = Math.max(maxI, i + di)
+      minJ = Math.min(minJ, j + dj); maxJ = Math.max(maxJ, j + dj)
+      if (maxI - minI >= maxSize || maxJ - minJ >= maxSize) return null
+    }
+  }
+  return grid
+}
+
+/**
+ * Detects the inner corners of a chessboard.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} luma Luma pixels of the image
+ * @param {number} width Width of the image
+ * @param {number} height Height of the image
+ * @param {object} board
+ *     columns: {number} inner corners per row of the chessboard
+ *     rows: {number} inner corners per column of the chessboard
+ * @returns {Array} The corners [{x, y}] row by row, starting at the top left, or null if the chessboard
+ *     isn't completely visible
+ */
+export const detectChessboard = (luma, width, height, { columns, rows }) => {
+  const count = columns * rows
+  const candidates = findCandidates(cornerResponse(luma, width, height), width, height).slice(0, 4 * count + 50)
+  if (candidates.length < count) return null
+  const maxSize = Math.max(columns, rows)
+
+  for (let seed = 0; seed < Math.min(candidates.length, 10); seed++) {
+    const grid = growGrid(candidates, seed, maxSize)
+    if (!grid || grid.size !== count) continue
+    const cells = Array.from(grid.keys()).map(key => key.split(',').map(Number))
+    const minI = Math.min(...cells.map(cell => cell[0]))
+    const minJ = Math.min(...cells.map(cell => cell[1]))
+    const sizeI = Math.max(...cells.map(cell => cell[0])) - minI + 1
+    const sizeJ = Math.max(...cells.map(cell => cell[1])) - minJ + 1
+    if (sizeI * sizeJ !== count) continue
+    let transpose
+    if (sizeI === columns && sizeJ === rows) {
+      transpose = false
+    } else if (sizeI === rows && sizeJ === columns) {
+      transpose = true
+    } else {
+      continue
+    }
+    const at = (column, row) => {
+      const key = transpose ? (minI + row) + ',' + (minJ + column) : (minI + column) + ',' + (minJ + row)
+      return candidates[grid.get(key)]
+    }
+    // Columns from left to right and rows from top to bottom
+    const flipColumns = at(columns - 1, 0).x < at(0, 0).x
+    const flipRows = at(0, rows - 1).y < at(0, 0).y
+    const corners = []
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const candidate = at(flipColumns ? columns - 1 - column : column, flipRows ? rows - 1 - row : row)
+        corners.push(refineCorner(luma, width, height, candidate))
+      }
+    }
+    return corners
+  }
+  return null
+}
+
+/* Linear algebra */
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix with the Jacobi method.
+ * @returns {object} {values, vectors}, vectors[k] is the eigenvector of values[k]
+ */
+const symmetricEigen = (matrix) => {
+  const n = matrix.length
+  const a = matrix.map(row => row.slice())
+  const v = a.map((row, i) => row.map((_, j) => i === j ? 1 : 0))
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0
+    let total = 0
+    for (let p = 0; p < n; p++) {
+      for (let q = 0; q < n; q++) {
+        total += a[p][q] * a[p][q]
+        if (p !== q) off += a[p][q] * a[p][q]
+      }
+    }
+    if (off <= 1e-30 * total) break
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+        for (let k = 0; k < n; k++) {
+          const kp = a[k][p]
+          const kq = a[k][q]
+          a[k][p] = c * kp - s * kq
+          a[k][q] = s * kp + c * kq
+        }
+        for (let k = 0; k < n; k++) {
+          const pk = a[p][k]
+          const qk = a[q][k]
+          a[p][k] = c * pk - s * qk
+          a[q][k] = s * pk + c * qk
+        }
+        for (let k = 0; k < n; k++) {
+          const kp = v[k][p]
+          const kq = v[k][q]
+          v[k][p] = c * kp - s * kq
+          v[k][q] = s * kp + c * kq
+        }
+      }
+    }
+  }
+  return { values: a.map((row, i) => row[i]), vectors: a.map((_, k) => v.map(row => row[k])) }
+}
+
+/**
+ * @returns {Array} The unit vector x minimizing |Ax| for the normal matrix AᵀA
+ */
+const nullVector = (normalMatrix) => {
+  const { values, vectors } = symmetricEigen(normalMatrix)
+  let min = 0
+  values.forEach((value, i) => { if (value < values[min]) min = i })
+  return vectors[min]
+}
+
+/**
+ * Solves Ax = b with Gaussian elimination and partial pivoting.
+ * @returns {Array} x or null if A is singular
+ */
+const solveLinear = (A, b) => {
+  const n = b.length
+  const m = A.map((row, i) => row.concat([b[i]]))
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row
+    }
+    if (Math.abs(m[pivot][col]) < 1e-300) return null
+    const swap = m[col]; m[col] = m[pivot]; m[pivot] = swap
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col]
+      if (factor === 0) continue
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k]
+    }
+  }
+  const x = new Array(n)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n]
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k]
+    x[row] = sum / m[row][row]
+  }
+  return x
+}
+
+const multiply = (A, B) => A.map(row => B[0].map((_, j) => row.reduce((sum, value, k) => sum + value * B[k][j], 0)))
+
+const invert3 = (m) => {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g)
+  return [
+    [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ]
+}
+
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+
+/**
+ * Similarity transform moving the points to their centroid and scaling them to an average distance of √2.
+ */
+const normalization = (points) => {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length
+  const mean = points.reduce((sum, p) => sum + Math.hypot(p.x - cx, p.y - cy), 0) / points.length
+  const s = Math.SQRT2 / mean
+  return [[s, 0, -s * cx], [0, s, -s * cy], [0, 0, 1]]
+}
+
+const transformPoint = (H, p) => {
+  const w = H[2][0] * p.x + H[2][1] * p.y + H[2][2]
+  return { x: (H[0][0] * p.x + H[0][1] * p.y + H[0][2]) / w, y: (H[1][0] * p.x + H[1][1] * p.y + H[1][2]) / w }
+}
+
+/**
+ * Homography from the board plane to the image with the normalized DLT.
+ */
+const findHomography = (objectPoints, imagePoints) => {
+  const T1 = normalization(objectPoints)
+  const T2 = normalization(imagePoints)
+  const ata = Array.from({ length: 9 }, () => new Array(9).fill(0))
+  const addRow = (row) => {
+    for (let i = 0; i < 9; i++) {
+      for (let j = 0; j < 9; j++) ata[i][j] += row[i] * row[j]
+    }
+  }
+  objectPoints.forEach((object, k) => {
+    const o = transformPoint(T1, object)
+    const p = transformPoint(T2, imagePoints[k])
+    addRow([o.x, o.y, 1, 0, 0, 0, -p.x * o.x, -p.x * o.y, -p.x])
+    addRow([0, 0, 0, o.x, o.y, 1, -p.y * o.x, -p.y * o.y, -p.y])
+  })
+  const h = nullVector(ata)
+  const Hn = [h.slice(0, 3), h.slice(3, 6), h.slice(6, 9)]
+  return multiply(multiply(invert3(T2), Hn), T1)
+}
+
+/**
+ * Rotation matrix of a rotation vector (Rodrigues' formula).
+ */
+const rotationMatrix = (r) => {
+  const theta = Math.hypot(r[0], r[1], r[2])
+  if (theta < 1e-12) {
+    return [[1, -r[2], r[1]], [r[2], 1, -r[0]], [-r[1], r[0], 1]]
+  }
+  const [x, y, z] = r.map(value => value / theta)
+  const c = Math.cos(theta)
+  const s = Math.sin(theta)
+  const C = 1 - c
+  return [
+    [c + x * x * C, x * y * C - z * s, x * z * C + y * s],
+    [y * x * C + z * s, c + y * y * C, y * z * C - x * s],
+    [z * x * C - y * s, z * y * C + x * s, c + z * z * C]
+  ]
+}
+
+/**
+ * Rotation vector of a rotation matrix.
+ */
+const rotationVector = (R) => {
+  const cos = Math.max(-1, Math.min(1, (R[0][0] + R[1][1] + R[2][2] - 1) / 2))
+  const theta = Math.acos(cos)
+  if (theta < 1e-10) return [0, 0, 0]
+  if (Math.PI - theta < 1e-6) {
+    // R + I has the rotation axis in its columns
+    let best = 0
+    for (let i = 1; i < 3; i++) if (R[i][i] > R[best][best]) best = i
+    const axis = [R[0][best], R[1][best], R[2][best]]
+    axis[best] += 1
+    const norm = Math.hypot(...axis)
+    return axis.map(value => value / norm * theta)
+  }
+  const k = theta / (2 * Math.sin(theta))
+  return [k * (R[2][1] - R[1][2]), k * (R[0][2] - R[2][0]), k * (R[1][0] - R[0][1])]
+}
+
+/**
+ * The rotation closest to a 3x3 matrix, R = M (MᵀM)^-1/2.
+ */
+const nearestRotation = (M) => {
+  const MtM = multiply(M[0].map((_, i) => M.map(row => row[i])), M)
+  const { values, vectors } = symmetricEigen(MtM)
+  const inverseRoot = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+    values.reduce((sum, value, k) => sum + vectors[k][i] * vectors[k][j] / Math.sqrt(value), 0)))
+  return multiply(M, inverseRoot)
+}
+
+/* Calibration */
+
+const zhangRow = (H, i, j) => {
+  const hi = [H[0][i], H[1][i], H[2][i]]
+  const hj = [H[0][j], H[1][j], H[2][j]]
+  return [
+    hi[0] * hj[0], hi[0] * hj[1] + hi[1] * hj[0], hi[1] * hj[1],
+    hi[2] * hj[0] + hi[0] * hj[2], hi[2] * hj[1] + hi[1] * hj[2], hi[2] * hj[2]
+  ]
+}
+
+/**
+ * Closed form solution of the intrinsics from the homographies, with zero skew.
+ */
+const initialIntrinsics = (homographies, width, height) => {
+  // Image coordinates are normalized for numerical stability
+  const s = 2 / (width + height)
+  const N = [[s, 0, -s * width / 2], [0, s, -s * height / 2], [0, 0, 1]]
+  const vtv = Array.from({ length: 6 }, () => new Array(6).fill(0))
+  const addRow = (row) => {
+    for (let i = 0; i < 6; i++) {
+      for (let j = 0; j < 6; j++) vtv[i][j] += row[i] * row[j]
+    }
+  }
+  homographies.forEach(H => {
+    const Hn = multiply(N, H)
+    const norm = Math.hypot(...Hn.flat())
+    const h = Hn.map(row => row.map(value => value / norm))
+    const v12 = zhangRow(h, 0, 1)
+    const v11 = zhangRow(h, 0, 0)
+    const v22 = zhangRow(h, 1, 1)
+    addRow(v12)
+    addRow(v11.map((value, k) => value - v22[k]))
+  })
+  addRow([0, 1, 0, 0, 0, 0])
+  let [B11, B12, B22, B13, B23, B33] = nullVector(vtv)
+  if (B11 < 0) {
+    [B11, B12, B22, B13, B23, B33] = [-B11, -B12, -B22, -B13, -B23, -B33]
+  }
+  const v0 = (B12 * B13 - B11 * B23) / (B11 * B22 - B12 * B12)
+  const lambda = B33 - (B13 * B13 + v0 * (B12 * B13 - B11 * B23)) / B11
+  const alpha = Math.sqrt(lambda / B11)
+  const beta = Math.sqrt(lambda * B11 / (B11 * B22 - B12 * B12))
+  const u0 = -B13 * alpha * alpha / lambda
+  const intrinsics = [alpha / s, beta / s, u0 / s + width / 2, v0 / s + height / 2, 0, 0]
+  if (intrinsics.some(value => !isFinite(value)) || !(intrinsics[0] > 0 && intrinsics[1] > 0)) {
+    throw new Error('Calibration failed, capture the chessboard from more different angles')
+  }
+  return intrinsics
+}
+
+/**
+ * Pose of the board in a view from its homography and the intrinsics.
+ * @returns {Array} [rx, ry, rz, tx, ty, tz] with the rotation as rotation vector
+ */
+const initialPose = (H, intrinsics) => {
+  const [fx, fy, cx, cy] = intrinsics
+  const Kinv = invert3([[fx, 0, cx], [0, fy, cy], [0, 0, 1]])
+  const column = (i) => {
+    const h = [H[0][i], H[1][i], H[2][i]]
+    return Kinv.map(row => row[0] * h[0] + row[1] * h[1] + row[2] * h[2])
+  }
+  const h1 = column(0)
+  const h2 = column(1)
+  const h3 = column(2)
+  let scale = 1 / Math.hypot(...h1)
+  // The board is in front of the camera
+  if (h3[2] * scale < 0) scale = -scale
+  const r1 = h1.map(value => value * scale)
+  const r2 = h2.map(value => value * scale)
+  const r3 = cross(r1, r2)
+  const R = nearestRotation([0, 1, 2].map(i => [r1[i], r2[i], r3[i]]))
+  return rotationVector(R).concat(h3.map(value => value * scale))
+}
+
+/**
+ * Projects the board corners of a view and returns the differences to the detected corners.
+ */
+const viewResiduals = (intrinsics, pose, objectPoints, imagePoints) => {
+  const [fx, fy, cx, cy, k1, k2] = intrinsics
+  const R = rotationMatrix(pose)
+  const residuals = new Float64Array(objectPoints.length * 2)
+  objectPoints.forEach((object, k) => {
+    const X = R[0][0] * object.x + R[0][1] * object.y + pose[3]
+    const Y = R[1][0] * object.x + R[1][1] * object.y + pose[4]
+    const Z = R[2][0] * object.x + R[2][1] * object.y + pose[5]
+    const x = X / Z
+    const y = Y / Z
+    const r2 = x * x + y * y
+    const radial = 1 + k1 * r2 + k2 * r2 * r2
+    residuals[2 * k] = fx * x * radial + cx - imagePoints[k].x
+    residuals[2 * k + 1] = fy * y * radial + cy - imagePoints[k].y
+  })
+  return residuals
+}
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0)
+
+/**
+ * Levenberg-Marquardt refinement of the intrinsics and poses, minimizing the reprojection error.
+ */
+const refine = (intrinsics, poses, objectPoints, views) => {
+  const count = 6 + 6 * poses.length
+  let params = intrinsics.concat(...poses)
+  const split = (p) => ({ intrinsics: p.slice(0, 6), poses: poses.map((_, v) => p.slice(6 + 6 * v, 12 + 6 * v)) })
+  const cost = (p) => {
+    const { intrinsics, poses } = split(p)
+    return poses.reduce((sum, pose, v) => sum + sumOfSquares(viewResiduals(intrinsics, pose, objectPoints, views[v])), 0)
+  }
+  let currentCost = cost(params)
+  let damping = 1e-3
+  for (let iteration = 0; iteration < 100; iteration++) {
+    const JtJ = Array.from({ length: count }, () => new Array(count).fill(0))
+    const Jtr = new Array(count).fill(0)
+    const { intrinsics, poses } = split(params)
+    poses.forEach((pose, v) => {
+      const residuals = viewResiduals(intrinsics, pose, objectPoints, views[v])
+      // Only the intrinsics and the pose of the view affect its residuals
+      const columns = []
+      const indices = [0, 1, 2, 3, 4, 5, 6 + 6 * v, 7 + 6 * v, 8 + 6 * v, 9 + 6 * v, 10 + 6 * v, 11 + 6 * v]
+      indices.forEach((index, c) => {
+        const step = 1e-6 * Math.max(1, Math.abs(params[index]))
+        const changedIntrinsics = intrinsics.slice()
+        const changedPose = pose.slice()
+        if (c < 6) changedIntrinsics[c] += step; else changedPose[c - 6] += step
+        const changed = viewResiduals(changedIntrinsics, changedPose, objectPoints, views[v])
+        columns.push(changed.map((value, k) => (value - residuals[k]) / step))
+      })
+      indices.forEach((a, ca) => {
+        indices.forEach((b, cb) => {
+          let sum = 0
+          for (let k = 0; k < residuals.length; k++) sum += columns[ca][k] * columns[cb][k]
+          JtJ[a][b] += sum
+        })
+        let sum = 0
+        for (let k = 0; k < residuals.length; k++) sum += columns[ca][k] * residuals[k]
+        Jtr[a] += sum
+      })
+    })
+
+    let improved = false
+    while (damping < 1e10) {
+      const A = JtJ.map((row, i) => row.map((value, j) => i === j ? value * (1 + damping) + 1e-12 : value))
+      const delta = solveLinear(A, Jtr.map(value => -value))
+      if (delta) {
+        const candidate = params.map((value, i) => value + delta[i])
+        const candidateCost = cost(candidate)
+        if (candidateCost < currentCost) {
+          const gain = (currentCost - candidateCost) / currentCost
+          params = candidate
+          currentCost = candidateCost
+          damping = Math.max(damping / 10, 1e-12)
+          improved = gain > 1e-12
+          break
+        }
+      }
+      damping *= 10
+    }
+    if (!improved) break
+  }
+  return split(params)
+}
+
+/**
+ * Calibrates a camera from the chessboard corners detected in several views.
+ *
+ * @param {Array} views The corners of every view as returned by detectChessboard
+ * @param {object} options
+ *     width: {number} width of the images
+ *     height: {number} height of the images
+ *     columns: {number} inner corners per row of the chessboard
+ *     rows: {number} inner corners per column of the chessboard
+ *     squareSize: {number} size of the chessboard squares, defaults to 1. Only affects the view poses.
+ * @returns {object} {
+ *     cameraParam: {CameraParam} the calibrated camera parameters,
+ *     rms: {number} root mean square reprojection error over all corners in pixels,
+ *     viewErrors: {Array} root mean square reprojection error of every view in pixels
+ * }
+ */
+export const calibrateCamera = (views, { width, height, columns, rows, squareSize = 1 }) => {
+  if (views.length < 3) {
+    throw new Error('Calibration needs at least 3 views, got ' + views.length)
+  }
+  const objectPoints = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      objectPoints.push({ x: column * squareSize, y: row * squareSize })
+    }
+  }
+  views.forEach((corners, v) => {
+    if (corners.length !== objectPoints.length) {
+      throw new Error('View ' + v + ' has ' + corners.length + ' corners, expected ' + objectPoints.length)
+    }
+  })
+  const homographies = views.map(corners => findHomography(objectPoints, corners))
+  const initial = initialIntrinsics(homographies, width, height)
+  const initialPoses = homographies.map(H => initialPose(H, initial))
+  const { intrinsics, poses } = refine(initial, initialPoses, objectPoints, views)
+
+  const viewErrors = poses.map((pose, v) => Math.sqrt(sumOfSquares(viewResiduals(intrinsics, pose, objectPoints, views[v])) / objectPoints.length))
+  const rms = Math.sqrt(viewErrors.reduce((sum, error) => sum + error * error, 0) / views.length)
+  const [fx, fy, cx, cy, k1, k2] = intrinsics
+  return {
+    cameraParam: new CameraParam({
+      width: width,
+      height: height,
+      matrix: [[fx, 0, cx, 0], [0, fy, cy, 0], [0, 0, 1, 0]],
+      distortion: [k1, k2, 0, 0, fx, fy, cx, cy, 1],
+      version: 4
+    }),
+    rms: rms,
+    viewErrors: viewErrors
+  }
+}
+
+/**
+ * Collects views of a chessboard and calibrates the camera, see the top of this file.
+ *
+ * @param {object} board
+ *     columns: {number} inner corners per row of the chessboard
+ *     rows: {number} inner corners per column of the chessboard
+ *     squareSize: {number} size of the chessboard squares, defaults to 1
+ *     minMotion: {number} distance in pixels at least one corner has to move between two views, so a board held
+ *         still isn't captured repeatedly. Defaults to 10.
+ */
+export class CameraCalibration {
+  constructor ({ columns, rows, squareSize = 1, minMotion = 10 }) {
+    if (!Number.isInteger(columns) || !Number.isInteger(rows) || columns < 2 || rows < 2) {
+      throw new Error('The chessboard needs at least 2x2 inner corners')
+    }
+    this.columns = columns
+    this.rows = rows
+    this.squareSize = squareSize
+    this.minMotion = minMotion
+    this.width = 0
+    this.height = 0
+    this.views = []
+    // The corners detected by the last call to addView, e.g. to draw them
+    this.lastCorners = null
+  }
+
+  get viewCount () {
+    return this.views.length
+  }
+
+  /**
+   * Detects the chessboard in a frame and adds the view if it is found.
+   *
+   * @param {object|Uint8Array} frame A frame {luma | rgba, width, height} as supplied by a FrameSource, an ImageData
+   *     or the luma pixels of an image of the given width and height
+   * @param {number} [width] Width of the luma pixels
+   * @param {number} [height] Height of the luma pixels
+   * @returns {Array} The detected corners if the view was added, null if the chessboard wasn't found or didn't
+   *     move enough since the last view
+   */
+  addView (frame, width, height) {
+    let luma = frame
+    if (!ArrayBuffer.isView(frame)) {
+      width = frame.width
+      height = frame.height
+      luma = frame.luma || rgbaToLuma(frame.rgba || frame.data)
+    }
+    if (this.views.length && (width !== this.width || height !== this.height)) {
+      throw new Error(`All views need the same size, got ${width}x${height} instead of ${this.width}x${this.height}`)
+    }
+    const corners = detectChessboard(luma, width, height, this)
+    this.lastCorners = corners
+    if (!corners) return null
+    const last = this.views[this.views.length - 1]
+    if (last) {
+      const motion = Math.max(...corners.map((corner, k) => Math.hypot(corner.x - last[k].x, corner.y - last[k].y)))
+      if (motion < this.minMotion) return null
+    }
+    this.width = width
+    this.height = height
+    this.views.push(corners)
+    return corners
+  }
+
+  /**
+   * Adds the frame last processed by an ARController, see addView.
+   * The frame has the processing size of the ARController, so are the resulting camera parameters.
+   *
+   * @param {ARController} arController
+   * @returns {Array} The detected corners if the view was added, otherwise null
+   */
+  captureView (arController) {
+    if (!arController.videoLuma) return null
+    return this.addView(arController.videoLuma, arController.processingWidth, arController.processingHeight)
+  }
+
+  /**
+   * Adds the frames of a recorded session, see ARController.startRecording.
+   *
+   * @param {Uint8Array|ArrayBuffer|Blob} archive The session archive
+   * @param {object} [options]
+   *     step: {number} only every step-th frame is used, defaults to 1
+   * @returns {Promise<number>} The number of added views
+   */
+  async addSession (archive, { step = 1 } = {}) {
+    const session = await decodeSession(archive)
+    const before = this.views.length
+    for (let i = 0; i < session.frames.length; i += step) {
+      const pixels = session.frames[i].pixels
+      const frame = session.pixelFormat === 'RGBA' ? { rgba: pixels } : { luma: pixels }
+      this.addView(Object.assign(frame, { width: session.width, height: session.height }))
+    }
+    return this.views.length - before
+  }
+
+  /**
+   * Calibrates the camera from the added views, see calibrateCamera.
+   *
+   * @returns {object} {cameraParam, rms, viewErrors}
+   */
+  calibrate () {
+    return calibrateCamera(this.views, this)
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Types of the camera parameters, see artoolkitX.cameraparam.js.
+ */
+
+/** Version of the distortion function, 1 to 5 */
+export type DistortionVersion = 1 | 2 | 3 | 4 | 5
+
+/** Number of distortion factors per version of the distortion function */
+export const DISTORTION_FACTOR_COUNT: Record<DistortionVersion, number>
+
+export interface CameraParamOptions {
+  /** Width of the calibrated image in pixels */
+  width: number
+  /** Height of the calibrated image in pixels */
+  height: number
+  /** The 3x4 projection matrix as 3 rows of 4 numbers */
+  matrix: number[][]
+  distortion: number[]
+  /** Defaults to the version matching the number of distortion factors */
+  version?: DistortionVersion
+}
+
+/**
+ * Description of a camera without calibration file, by its field of view in degrees or its 35mm equivalent focal
+ * length. width and height are the size of the image the field of view applies to.
+ */
+export type CameraDescription = {
+  width?: number
+  height?: number
+  /** A name for the description, e.g. of a device profile */
+  name?: string
+} & ({ fovY: number } | { fovX: number } | { focalLength35mm: number })
+
+/** The camera parameters of one calibrated camera */
+export class CameraParam {
+  constructor (options: CameraParamOptions)
+  width: number
+  height: number
+  matrix: number[][]
+  distortion: number[]
+  version: DistortionVersion
+  static decode (data: ArrayBuffer | Uint8Array): CameraParam
+  static fromDescription (description: CameraDescription, width?: number, height?: number): CameraParam
+  static isDescription (cameraPara: unknown): cameraPara is CameraDescription | CameraParam
+  encode (): Uint8Array
+  changeSize (width: number, height: number): CameraParam
+  cropToSize (width: number, height: number): CameraParam
+  /** The focal length in pixels */
+  readonly focalLength: { x: number, y: number }
+  /** The principal point in pixels */
+  readonly principalPoint: { x: number, y: number }
+  /** The horizontal and vertical field of view in degrees */
+  readonly fov: { x: number, y: number }
+  /** @param tolerance Allowed relative difference of the aspect ratios, defaults to 1% */
+  hasAspectRatio (width: number, height: number, tolerance?: number): boolean
+  toJSON (): CameraParamOptions & { version: DistortionVersion }
+}
@@ -0,0 +1,255 @@
+/*
+ * Decoder and encoder of ARToolKit camera parameter files, e.g. Examples/Data/camera_para.dat.
+ *
+ * A camera parameter file contains, big endian:
+ *     int32 xsize, int32 ysize      the image size the camera was calibrated at
+ *     float64 mat[3][4]             the projection matrix, row by row
+ *     float64 dist_factor[n]        the lens distortion factors
+ *
+ * The number of distortion factors depends on the version of the distortion function, which is
+ * only given by the file size:
+ *     version 1:  4 factors  x0, y0, f, s
+ *     version 2:  5 factors  x0, y0, f1, f2, s
+ *     version 3:  6 factors  x0, y0, f1, f2, p, s
+ *     version 4:  9 factors  k1, k2, p1, p2, fx, fy, x0, y0, s          (OpenCV model)
+ *     version 5: 17 factors  k1, k2, p1, p2, k3, k4, k5, k6, s1, s2, s3, s4, fx, fy, x0, y0, s
+ *
+ * Devices without a calibration file can use approximate parameters of a distortion free pinhole camera
+ * instead, built from the field of view, see CameraParam.fromDescription.
+ */
+
+const HEADER_SIZE = 8 + 12 * 8
+// Diagonal of a 35mm film frame in mm, the reference of 35mm equivalent focal lengths
+const FILM_DIAGONAL = Math.hypot(36, 24)
+
+/**
+ * Number of distortion factors per version of the distortion function
+ */
+export const DISTORTION_FACTOR_COUNT = { 1: 4, 2: 5, 3: 6, 4: 9, 5: 17 }
+
+/**
+ * The camera parameters of one calibrated camera.
+ *
+ * @param {object} options
+ *     width: {number} width of the calibrated image in pixels
+ *     height: {number} height of the calibrated image in pixels
+ *     matrix: {Array} the 3x4 projection matrix as 3 rows of 4 numbers
+ *     distortion: {Array} the distortion factors, see the top of this file
+ *     version: {number} version of the distortion function, 1 to 5. Defaults to the version matching the number
+ *         of distortion factors.
+ */
+export class CameraParam {
+  constructor ({ width, height, matrix, distortion, version }) {
+    if (version === undefined) {
+      version = Number(Object.keys(DISTORTION_FACTOR_COUNT).find(v => DISTORTION_FACTOR_COUNT[v] === distortion.length))
+    }
+    if (!DISTORTION_FACTOR_COUNT[version] || distortion.length !== DISTORTION_FACTOR_COUNT[version]) {
+      throw new Error('Invalid distortion factors: ' + distortion.length + ' factors for version ' + version)
+    }
+    if (!(width > 0 && height > 0)) {
+      throw new Error('Invalid camera parameter size ' + width + 'x' + height)
+    }
+    this.width = width
+    this.height = height
+    this.matrix = matrix.map(row => row.slice())
+    this.distortion = distortion.slice()
+    this.version = version
+  }
+
+  /**
+   * Decodes a camera parameter file.
+   *
+   * @param {ArrayBuffer|Uint8Array} data The content of the file
+   * @returns {CameraParam}
+   */
+  static decode (data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const version = Number(Object.keys(DISTORTION_FACTOR_COUNT).find(v => HEADER_SIZE + DISTORTION_FACTOR_COUNT[v] * 8 === bytes.byteLength))
+    if (!version) {
+      throw new Error('Not a camera parameter file: unexpected size of ' + bytes.byteLength + ' bytes')
+    }
+    const matrix = []
+    for (let row = 0; row < 3; row++) {
+      matrix.push([0, 1, 2, 3].map(column => view.getFloat64(8 + (row * 4 + column) * 8)))
+    }
+    const distortion = []
+    for (let i = 0; i < DISTORTION_FACTOR_COUNT[version]; i++) {
+      distortion.push(view.getFloat64(HEADER_SIZE + i * 8))
+    }
+    return new CameraParam({ width: view.getInt32(0), height: view.getInt32(4), matrix: matrix, distortion: distortion, version: version })
+  }
+
+  /**
+   * Creates the parameters of a distortion free pinhole camera with the principal point in the image centre.
+   *
+   * The camera is described by its field of view or, as in a device profile, its 35mm equivalent focal length
+   * (e.g. FocalLengthIn35mmFilm of the EXIF data of a photo taken with it):
+   *
+   *     CameraParam.fromDescription({ fovY: 48, width: 640, height: 480 })
+   *     CameraParam.fromDescription({ name: 'Pixel 4a rear', focalLength35mm: 27 }, 1280, 720)
+   *
+   * @param {object} description
+   *     fovY: {number} vertical field of view in degrees
+   *     fovX: {number} horizontal field of view in degrees, if fovY isn't given
+   *     focalLength35mm: {number} 35mm equivalent focal length in mm, if neither fovY nor fovX is given
+   *     width: {number} width of the image the field of view applies to, defaults to the width argument
+   *     height: {number} height of the image the field of view applies to, defaults to the height argument
+   * @param {number} [width] Image width if the description has none
+   * @param {number} [height] Image height if the description has none
+   * @returns {CameraParam}
+   */
+  static fromDescription (description, width, height) {
+    width = description.width || width
+    height = description.height || height
+    if (!(width > 0 && height > 0)) {
+      throw new Error('The camera description needs the width and height of the image')
+    }
+    const toFocalLength = (fov, size) => {
+      if (!(fov > 0 && fov < 180)) {
+        throw new Error('Invalid field of view ' + fov + ', it has to be between 0 and 180 degrees')
+      }
+      return size / 2 / Math.tan(fov * Math.PI / 360)
+    }
+    let focalLength
+    if (description.fovY !== undefined) {
+      focalLength = toFocalLength(description.fovY, height)
+    } else if (description.fovX !== undefined) {
+      focalLength = toFocalLength(description.fovX, width)
+    } else if (description.focalLength35mm > 0) {
+      focalLength = description.focalLength35mm / FILM_DIAGONAL * Math.hypot(width, height)
+    } else {
+      throw new Error('The camera description needs fovY, fovX or focalLength35mm')
+    }
+    const x0 = width / 2
+    const y0 = height / 2
+    return new CameraParam({
+      width: width,
+      height: height,
+      matrix: [[focalLength, 0, x0, 0], [0, focalLength, y0, 0], [0, 0, 1, 0]],
+      distortion: [0, 0, 0, 0, focalLength, focalLength, x0, y0, 1],
+      version: 4
+    })
+  }
+
+  /**
+   * @returns {Uint8Array} The camera parameter file
+   */
+  encode () {
+    const bytes = new Uint8Array(HEADER_SIZE + this.distortion.length * 8)
+    const view = new DataView(bytes.buffer)
+    view.setInt32(0, this.width)
+    view.setInt32(4, this.height)
+    this.matrix.forEach((row, r) => row.forEach((value, c) => view.setFloat64(8 + (r * 4 + c) * 8, value)))
+    this.distortion.forEach((value, i) => view.setFloat64(HEADER_SIZE + i * 8, value))
+    return bytes
+  }
+
+  /**
+   * Scales the parameters to another image size, like arParamChangeSize does in artoolkitX.
+   * Only sensible for the same aspect ratio, see hasAspectRatio.
+   *
+   * @param {number} width
+   * @param {number} height
+   * @returns {CameraParam} The scaled parameters
+   */
+  changeSize (width, height) {
+    const x = width / this.width
+    const y = height / this.height
+    const matrix = [this.matrix[0].map(v => v * x), this.matrix[1].map(v => v * y), this.matrix[2].slice()]
+    const d = this.distortion.slice()
+    switch (this.version) {
+      case 5:
+        d[12] *= x; d[13] *= y; d[14] *= x; d[15] *= y
+        break
+      case 4:
+        d[4] *= x; d[5] *= y; d[6] *= x; d[7] *= y
+        break
+      default: // versions 1 to 3, centre and radial factors
+        d[0] *= x; d[1] *= y
+        d[2] /= x * y
+        if (this.version > 1) d[3] /= (x * y) * (x * y)
+    }
+    return new CameraParam({ width: width, height: height, matrix: matrix, distortion: d, version: this.version })
+  }
+
+  /**
+   * Scales the parameters uniformly to cover the given size and crops the centre, like a camera delivering
+   * a 16:9 stream from its 4:3 sensor. Unlike changeSize this keeps the pixels square for another aspect ratio.
+   *
+   * @param {number} width
+   * @param {number} height
+   * @returns {CameraParam} The cropped parameters
+   */
+  cropToSize (width, height) {
+    const scale = Math.max(width / this.width, height / this.height)
+    const scaled = this.changeSize(Math.round(this.width * scale), Math.round(this.height * scale))
+    const dx = (scaled.width - width) / 2
+    const dy = (scaled.height - height) / 2
+    const matrix = scaled.matrix
+    for (let i = 0; i < 4; i++) {
+      matrix[0][i] -= dx * matrix[2][i]
+      matrix[1][i] -= dy * matrix[2][i]
+    }
+    const d = scaled.distortion
+    const centre = { 5: 14, 4: 6 }[this.version] || 0
+    d[centre] -= dx
+    d[centre + 1] -= dy
+    return new CameraParam({ width: width, height: height, matrix: matrix, distortion: d, version: this.version })
+  }
+
+  /**
+   * @returns {object} The focal length in pixels {x, y}
+   */
+  get focalLength () {
+    return { x: this.matrix[0][0], y: this.matrix[1][1] }
+  }
+
+  /**
+   * @returns {object} The principal point in pixels {x, y}
+   */
+  get principalPoint () {
+    return { x: this.matrix[0][2], y: this.matrix[1][2] }
+  }
+
+  /**
+   * @returns {object} The horizontal and vertical field of view in degrees {x, y}
+   */
+  get fov () {
+    const focalLength = this.focalLength
+    return {
+      x: 2 * Math.atan(this.width / (2 * focalLength.x)) * 180 / Math.PI,
+      y: 2 * Math.atan(this.height / (2 * focalLength.y)) * 180 / Math.PI
+    }
+  }
+
+  /**
+   * Checks whether images of the given size can be processed with these parameters, i.e. have the same
+   * aspect ratio. Other sizes are scaled by artoolkitX, a different aspect ratio results in distorted poses.
+   *
+   * @param {number} width
+   * @param {number} height
+   * @param {number} [tolerance] Allowed relative difference of the aspect ratios, defaults to 1%
+   * @returns {boolean}
+   */
+  hasAspectRatio (width, height, tolerance = 0.01) {
+    return Math.abs((width / height) / (this.width / this.height) - 1) <= tolerance
+  }
+
+  /**
+   * Checks whether a camera parameter given to the ARController is a description of the camera for
+   * CameraParam.fromDescription rather than a URL or the content of a file.
+   *
+   * @param {*} cameraPara
+   * @returns {boolean}
+   */
+  static isDescription (cameraPara) {
+    return !!cameraPara && typeof cameraPara === 'object' && !(cameraPara instanceof ArrayBuffer) &&
+      !ArrayBuffer.isView(cameraPara) && !(typeof Blob !== 'undefined' && cameraPara instanceof Blob) &&
+      !(typeof URL !== 'undefined' && cameraPara instanceof URL)
+  }
+
+  toJSON () {
+    return { width: this.width, height: this.height, matrix: this.matrix, distortion: this.distortion, version: this.version }
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Types of the events dispatched by the ARController and the ARControllerProxy, see artoolkitX.events.js.
+ */
+import { Lighting, LightingDiagnostics } from './artoolkitX.threshold.js'
+import { ThresholdModeName } from './artoolkitX.api.js'
+
+/** Payload of the trackable events */
+export interface TrackableEventData {
+  readonly trackableId: number
+  /** 'single', 'single_barcode', '2d' or 'multi' */
+  readonly trackableType: string
+  /** Whether the trackable is visible in the processed frame, false for trackableLost */
+  readonly visible: boolean
+  /** The 4x4 GL transformation of the trackable, filtered if the trackable has a pose filter. The last known one for trackableLost */
+  readonly transformation: Float32Array
+  /** The unfiltered transformation */
+  readonly rawTransformation: Float32Array
+  /** The transformation as right-handed camera view matrix, see ARController.arglCameraViewRHf. null before the first detection */
+  readonly arCameraViewRH: Float32Array | null
+  /** Time of the processed frame in milliseconds since epoch */
+  readonly timestamp: number
+}
+
+/** Payload of getMultiMarkerSub */
+export interface MultiMarkerSubEventData {
+  readonly trackableId: number
+  /** Index of the pattern in the multimarker configuration */
+  readonly index: number
+  /** Barcode id of the pattern, -1 for template patterns */
+  readonly barcodeId: number
+  readonly width: number
+  readonly height: number
+  /**
+   * Whether the outline of the pattern, placed with the multimarker pose, lies inside the frame. artoolkitX doesn't
+   * report which patterns were detected, so this isn't a detection of the pattern: it may be covered or out of focus.
+   */
+  readonly inView: boolean
+  /** The 4x4 GL transformation of the pattern centre */
+  readonly transformation: Float32Array
+}
+
+/** Payload of orientationchange, see ARController.getOrientation */
+export interface OrientationChangeEventData {
+  readonly orientation: 'portrait' | 'landscape'
+  /** Angle of the screen orientation in degrees */
+  readonly angle: number
+  /** Degrees the screen is rotated by since start, 0, 90, 180 or 270 */
+  readonly rotation: number
+}
+
+/** Payload of frameStats, see ARController.getFrameStats */
+export interface FrameStatsEventData {
+  /** Time processing started in milliseconds, see performance.now */
+  readonly timestamp: number
+  /** Milliseconds processing took */
+  readonly duration: number
+  /** Moving average of duration */
+  readonly averageDuration: number
+  /** Milliseconds since the previous processed frame, null for the first one */
+  readonly interval: number | null
+  /** Moving average of the processed frames per second */
+  readonly fps: number
+  /** New frames skipped since the previous processed frame, for the budget or while idle */
+  readonly skippedFrames: number
+  /** Whether no trackable was found before the frame */
+  readonly idle: boolean
+}
+
+/** Payload of loadProgress */
+export interface LoadProgressEventData {
+  readonly url: string
+  /** Bytes loaded so far */
+  readonly loaded: number
+  /** Size of the file in bytes, 0 if unknown */
+  readonly total: number
+  /** The trackable as given to addTrackable, undefined for the camera parameters */
+  readonly trackable?: object
+}
+
+/** Payload of lightingChange, see ARController.getLightingDiagnostics */
+export interface LightingEventData extends LightingDiagnostics {
+  /** The diagnosis before the change, null for the first one */
+  readonly previousLighting: Lighting | null
+}
+
+/** Payload of thresholdChange */
+export interface ThresholdChangeEventData {
+  readonly thresholdMode: ThresholdModeName
+  /** The manual threshold */
+  readonly threshold: number
+  readonly previousThresholdMode: ThresholdModeName | number
+  readonly previousThreshold: number
+  /** Fraction of the frames of the last interval in which a trackable was found */
+  readonly successRate: number
+  readonly lighting: Lighting
+}
+
+/** Payload of recordingerror */
+export interface RecordingErrorEventData {
+  /** The reason the frame couldn't be recorded */
+  readonly error: unknown
+}
+
+/** Payload of listenererror */
+export interface ListenerErrorEventData {
+  /** The exception thrown by the listener */
+  readonly error: unknown
+  /** Type of the event the listener was called for */
+  readonly type: string
+}
+
+export class ARControllerEvent<T = unknown> extends CustomEvent<T> {
+  constructor (type: string, data: T, init?: EventInit)
+  /** The payload, the same as detail */
+  readonly data: T
+  /** The event type */
+  readonly name: string
+}
+
+export class TrackableEvent extends ARControllerEvent<TrackableEventData> {}
+export class MultiMarkerSubEvent extends ARControllerEvent<MultiMarkerSubEventData> {}
+export class OrientationChangeEvent extends ARControllerEvent<OrientationChangeEventData> {}
+export class FrameStatsEvent extends ARControllerEvent<FrameStatsEventData> {}
+export class LoadProgressEvent extends ARControllerEvent<LoadProgressEventData> {}
+export class LightingEvent extends ARControllerEvent<LightingEventData> {}
+export class ThresholdChangeEvent extends ARControllerEvent<ThresholdChangeEventData> {}
+export class RecordingErrorEvent extends ARControllerEvent<RecordingErrorEventData> {}
+export class ListenerErrorEvent extends ARControllerEvent<ListenerErrorEventData> {
+  constructor (data: ListenerErrorEventData)
+}
+
+/** The events of the ARController by type */
+export interface ARControllerEventMap {
+  getMarker: TrackableEvent
+  getMultiMarker: TrackableEvent
+  trackableFound: TrackableEvent
+  trackableUpdate: TrackableEvent
+  trackableLost: TrackableEvent
+  getMultiMarkerSub: MultiMarkerSubEvent
+  orientationchange: OrientationChangeEvent
+  frameStats: FrameStatsEvent
+  loadProgress: LoadProgressEvent
+  lightingChange: LightingEvent
+  thresholdChange: ThresholdChangeEvent
+  recordingerror: RecordingErrorEvent
+  listenererror: ListenerErrorEvent
+}
+
+export function createEvent<K extends keyof ARControllerEventMap> (type: K, data: ARControllerEventMap[K]['data']): ARControllerEventMap[K]
+export function createEvent (type: string, data: unknown): ARControllerEvent
+
+/** EventTarget which reports exceptions of listeners as listenererror events */
+export class ARControllerEventTarget extends EventTarget {
+  addEventListener<K extends keyof ARControllerEventMap> (
+    type: K,
+    listener: ((this: this, event: ARControllerEventMap[K]) => void) | { handleEvent (event: ARControllerEventMap[K]): void },
+    options?: boolean | AddEventListenerOptions
+  ): void
+  addEventListener (type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void
+  removeEventListener<K extends keyof ARControllerEventMap> (
+    type: K,
+    listener: ((this: this, event: ARControllerEventMap[K]) => void) | { handleEvent (event: ARControllerEventMap[K]): void },
+    options?: boolean | EventListenerOptions
+  ): void
+  removeEventListener (type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void
+}
@@ -0,0 +1,196 @@
+/*
+ * The events dispatched by the ARController (and the ARControllerProxy), see artoolkitX.events.d.ts for their types.
+ *
+ * Every event is a CustomEvent whose detail, also available as data, is a frozen payload. Matrices in the payload are
+ * copies, so listeners never get hold of the internal state of the ARController:
+ *
+ *     arController.addEventListener('trackableFound', (event) => {
+ *       console.log(event.type, event.data.trackableId, event.data.transformation)
+ *     }, { signal: controller.signal })
+ *
+ * An exception thrown by a listener doesn't keep the other listeners from being called. It is dispatched as a
+ * listenererror event instead, and logged unless a listener of that event calls preventDefault().
+ */
+
+// Node.js before version 19 has EventTarget and Event but no CustomEvent
+const BaseEvent = typeof CustomEvent !== 'undefined' ? CustomEvent : class extends Event {
+  constructor (type, init = {}) {
+    super(type, init)
+    this.detail = init.detail === undefined ? null : init.detail
+  }
+}
+
+/**
+ * Base class of all events of the ARController.
+ *
+ * @param {string} type The event type, e.g. 'getMarker'
+ * @param {object} data The payload, frozen by the constructor
+ * @param {object} [init] Further options of the event, e.g. {cancelable: true}
+ */
+export class ARControllerEvent extends BaseEvent {
+  constructor (type, data, init = {}) {
+    super(type, Object.assign({}, init, { detail: Object.freeze(data) }))
+  }
+
+  /**
+   * The payload of the event, the same as detail
+   */
+  get data () {
+    return this.detail
+  }
+
+  /**
+   * The event type, for listeners written for the former {name, target, data} events
+   */
+  get name () {
+    return this.type
+  }
+}
+
+/**
+ * A trackable was detected or lost: getMarker, getMultiMarker, trackableFound, trackableUpdate and trackableLost.
+ * The payload is {trackableId, trackableType, visible, transformation, rawTransformation, arCameraViewRH, timestamp},
+ * see artoolkitX.events.d.ts.
+ */
+export class TrackableEvent extends ARControllerEvent {}
+
+/**
+ * A pattern of a visible multimarker: getMultiMarkerSub.
+ * The payload is {trackableId, index, barcodeId, width, height, inView, transformation}.
+ */
+export class MultiMarkerSubEvent extends ARControllerEvent {}
+
+/**
+ * The screen orientation changed: orientationchange. The payload is the result of ARController.getOrientation.
+ */
+export class OrientationChangeEvent extends ARControllerEvent {}
+
+/**
+ * A frame was processed by ARController.run: frameStats. The payload is the result of ARController.getFrameStats.
+ */
+export class FrameStatsEvent extends ARControllerEvent {}
+
+/**
+ * A file is being downloaded: loadProgress. The payload is {url, loaded, total, trackable}.
+ */
+export class LoadProgressEvent extends ARControllerEvent {}
+
+/**
+ * The lighting diagnosed by the automatic threshold tuning changed: lightingChange. The payload is the result of
+ * ARController.getLightingDiagnostics with the previous diagnosis as previousLighting.
+ */
+export class LightingEvent extends ARControllerEvent {}
+
+/**
+ * The automatic threshold tuning changed the threshold mode or the manual threshold: thresholdChange.
+ * The payload is {thresholdMode, threshold, previousThresholdMode, previousThreshold, successRate, lighting}.
+ */
+export class ThresholdChangeEvent extends ARControllerEvent {}
+
+/**
+ * A frame couldn't be added to the session recording: recordingerror. The payload is {error}. The recording is stopped,
+ * tracking goes on.
+ */
+export class RecordingErrorEvent extends ARControllerEvent {}
+
+/**
+ * A listener threw an exception: listenererror. The payload is {error, type}, the exception and the type of the
+ * event the listener was called for. Call preventDefault() to keep the error from being logged.
+ */
+export class ListenerErrorEvent extends ARControllerEvent {
+  constructor (data) {
+    super('listenererror', data, { cancelable: true })
+  }
+}
+
+const EVENT_CLASSES = {
+  getMarker: TrackableEvent,
+  getMultiMarker: TrackableEvent,
+  trackableFound: TrackableEvent,
+  trackableUpdate: TrackableEvent,
+  trackableLost: TrackableEvent,
+  getMultiMarkerSub: MultiMarkerSubEvent,
+  orientationchange: OrientationChangeEvent,
+  frameStats: FrameStatsEvent,
+  loadProgress: LoadProgressEvent,
+  lightingChange: LightingEvent,
+  thresholdChange: ThresholdChangeEvent,
+  recordingerror: RecordingErrorEvent
+}
+
+/**
+ * Creates the event of the given type, e.g. from the payload sent by the worker of an ARControllerProxy.
+ *
+ * @param {string} type
+ * @param {object} data
+ * @returns {ARControllerEvent}
+ */
+export const createEvent = (type, data) => {
+  if (type === 'listenererror') {
+    return new ListenerErrorEvent(data)
+  }
+  return new (EVENT_CLASSES[type] || ARControllerEvent)(type, data)
+}
+
+const _wrappers = Symbol('_wrappers')
+const _reportListenerError = Symbol('_reportListenerError')
+
+/**
+ * EventTarget which reports exceptions of listeners as listenererror events.
+ */
+export class ARControllerEventTarget extends EventTarget {
+  constructor () {
+    super()
+    // The wrapper of each listener per event type, needed to remove it again
+    this[_wrappers] = new WeakMap()
+  }
+
+  /**
+   * @param {string} type
+   * @param {function|object} listener A function or an object with a handleEvent method
+   * @param {object|boolean} [options] {once, signal, capture}, see EventTarget.addEventListener
+   */
+  addEventListener (type, listener, options) {
+    if (!listener) return
+    let wrappers = this[_wrappers].get(listener)
+    if (!wrappers) {
+      wrappers = {}
+      this[_wrappers].set(listener, wrappers)
+    }
+    if (!wrappers[type]) {
+      wrappers[type] = (event) => {
+        try {
+          if (typeof listener === 'function') {
+            listener.call(this, event)
+          } else {
+            listener.handleEvent(event)
+          }
+        } catch (error) {
+          this[_reportListenerError](error, event)
+        }
+      }
+    }
+    super.addEventListener(type, wrappers[type], options)
+  }
+
+  /**
+   * @param {string} type
+   * @param {function|object} listener
+   * @param {object|boolean} [options]
+   */
+  removeEventListener (type, listener, options) {
+    const wrappers = listener && this[_wrappers].get(listener)
+    // Node.js removes listeners of an aborted signal through this method, passing the wrapper itself
+    super.removeEventListener(type, wrappers && wrappers[type] ? wrappers[type] : listener, options)
+  }
+
+  /**
+   * @private
+   */
+  [_reportListenerError] (error, event) {
+    if (event.type !== 'listenererror' && !this.dispatchEvent(new ListenerErrorEvent({ error: error, type: event.type }))) {
+      return
+    }
+    console.error('Error in a ' + event.type + ' listener: ' + (error && error.stack ? error.stack : error))
+  }
+}
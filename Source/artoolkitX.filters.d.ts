@@ -0,0 +1,51 @@
+/**
+ * Types of the pose filters, see artoolkitX.filters.js.
+ */
+
+/** A filter smoothing the transformation of a trackable, custom filters implement the same two methods */
+export interface PoseFilterLike {
+  /** Filters the 4x4 column-major GL transformation of the frame at timestamp (milliseconds) */
+  filter (matrix: Float32Array, timestamp: number): Float32Array
+  reset (): void
+}
+
+export interface OneEuroFilterOptions {
+  minCutoff?: number
+  beta?: number
+  dCutoff?: number
+}
+
+export interface ExponentialFilterOptions {
+  alpha?: number
+}
+
+/** The filter option of ARController.addTrackable */
+export type PoseFilterOptions =
+  | 'oneEuro'
+  | 'exponential'
+  | ({ type: 'oneEuro' } & OneEuroFilterOptions)
+  | ({ type: 'exponential' } & ExponentialFilterOptions)
+  | PoseFilterLike
+
+/** Base class of the built-in filters, subclasses filter the translation and rotation quaternion in filterPose */
+export abstract class PoseFilter implements PoseFilterLike {
+  filter (matrix: Float32Array, timestamp: number): Float32Array
+  reset (): void
+  abstract filterPose (translation: number[], rotation: number[], timestamp: number): { translation: number[], rotation: number[] }
+}
+
+export class OneEuroFilter extends PoseFilter {
+  constructor (options?: OneEuroFilterOptions)
+  minCutoff: number
+  beta: number
+  dCutoff: number
+  filterPose (translation: number[], rotation: number[], timestamp: number): { translation: number[], rotation: number[] }
+}
+
+export class ExponentialFilter extends PoseFilter {
+  constructor (options?: ExponentialFilterOptions)
+  alpha: number
+  filterPose (translation: number[], rotation: number[]): { translation: number[], rotation: number[] }
+}
+
+export function createPoseFilter (options: PoseFilterOptions): PoseFilterLike
@@ -0,0 +1,257 @@
+/*
+ * Pose filters to smooth the trackable transformations reported by the ARController.
+ *
+ * A pose filter is any object with
+ *     filter(matrix, timestamp) -> Float32Array  the filtered 4x4 column-major GL matrix
+ *     reset()                                    forget the history, called when the trackable is lost
+ *
+ * Filters are configured per trackable with the filter option of ARController.addTrackable.
+ */
+
+/**
+ * Extracts the rotation of a column-major 4x4 matrix as unit quaternion [x, y, z, w].
+ * @private
+ */
+const matrixToQuaternion = (m) => {
+  const trace = m[0] + m[5] + m[10]
+  let x, y, z, w
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1)
+    w = 0.25 / s
+    x = (m[6] - m[9]) * s
+    y = (m[8] - m[2]) * s
+    z = (m[1] - m[4]) * s
+  } else if (m[0] > m[5] && m[0] > m[10]) {
+    const s = 2 * Math.sqrt(1 + m[0] - m[5] - m[10])
+    w = (m[6] - m[9]) / s
+    x = 0.25 * s
+    y = (m[4] + m[1]) / s
+    z = (m[8] + m[2]) / s
+  } else if (m[5] > m[10]) {
+    const s = 2 * Math.sqrt(1 + m[5] - m[0] - m[10])
+    w = (m[8] - m[2]) / s
+    x = (m[4] + m[1]) / s
+    y = 0.25 * s
+    z = (m[9] + m[6]) / s
+  } else {
+    const s = 2 * Math.sqrt(1 + m[10] - m[0] - m[5])
+    w = (m[1] - m[4]) / s
+    x = (m[8] + m[2]) / s
+    y = (m[9] + m[6]) / s
+    z = 0.25 * s
+  }
+  return normalize([x, y, z, w])
+}
+
+/**
+ * Builds a column-major 4x4 matrix from a unit quaternion [x, y, z, w] and a translation [x, y, z].
+ * @private
+ */
+const composeMatrix = (q, t) => {
+  const [x, y, z, w] = q
+  const m = new Float32Array(16)
+  m[0] = 1 - 2 * (y * y + z * z)
+  m[1] = 2 * (x * y + z * w)
+  m[2] = 2 * (x * z - y * w)
+  m[4] = 2 * (x * y - z * w)
+  m[5] = 1 - 2 * (x * x + z * z)
+  m[6] = 2 * (y * z + x * w)
+  m[8] = 2 * (x * z + y * w)
+  m[9] = 2 * (y * z - x * w)
+  m[10] = 1 - 2 * (x * x + y * y)
+  m[12] = t[0]
+  m[13] = t[1]
+  m[14] = t[2]
+  m[15] = 1
+  return m
+}
+
+const normalize = (q) => {
+  const length = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]) || 1
+  return q.map(v => v / length)
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]
+
+/**
+ * Spherical linear interpolation between the unit quaternions a and b.
+ * @private
+ */
+const slerp = (a, b, t) => {
+  let cosTheta = dot(a, b)
+  // q and -q are the same rotation, interpolate along the shorter arc
+  if (cosTheta < 0) {
+    b = b.map(v => -v)
+    cosTheta = -cosTheta
+  }
+  if (cosTheta > 0.9995) {
+    return normalize(a.map((v, i) => v + (b[i] - v) * t))
+  }
+  const theta = Math.acos(cosTheta)
+  const sinTheta = Math.sin(theta)
+  const wa = Math.sin((1 - t) * theta) / sinTheta
+  const wb = Math.sin(t * theta) / sinTheta
+  return a.map((v, i) => v * wa + b[i] * wb)
+}
+
+/**
+ * Base class of the built-in filters. Splits the matrix into a translation and a rotation quaternion,
+ * lets the subclass filter them in filterPose() and composes the result.
+ */
+export class PoseFilter {
+  constructor () {
+    this.reset()
+  }
+
+  /**
+   * @param {Float32Array} matrix The 4x4 column-major GL transformation matrix to filter
+   * @param {number} timestamp Time of the frame in milliseconds
+   * @returns {Float32Array} The filtered 4x4 transformation matrix
+   */
+  filter (matrix, timestamp) {
+    const translation = [matrix[12], matrix[13], matrix[14]]
+    let rotation = matrixToQuaternion(matrix)
+    if (this.lastRotation && dot(rotation, this.lastRotation) < 0) {
+      // Keep the quaternion on the same hemisphere so the components change continuously
+      rotation = rotation.map(v => -v)
+    }
+    const pose = this.filterPose(translation, rotation, timestamp)
+    this.lastRotation = pose.rotation
+    return composeMatrix(pose.rotation, pose.translation)
+  }
+
+  reset () {
+    this.lastRotation = null
+  }
+}
+
+/**
+ * Low pass filter used by the OneEuroFilter.
+ * @private
+ */
+class LowPassFilter {
+  constructor () {
+    this.value = null
+  }
+
+  filter (value, alpha) {
+    this.value = this.value === null ? value : alpha * value + (1 - alpha) * this.value
+    return this.value
+  }
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012) applied to the translation and the rotation quaternion.
+ * The cutoff frequency adapts to the speed of the trackable: slow movements are smoothed strongly
+ * to remove jitter, fast movements only lightly to keep the lag low.
+ *
+ * @param {object} [options]
+ *     minCutoff: {number} minimum cutoff frequency in Hz, lower values smooth more (default 1.0)
+ *     beta: {number} speed coefficient, higher values reduce the lag on fast movements (default 0.0)
+ *     dCutoff: {number} cutoff frequency in Hz for the speed estimation (default 1.0)
+ */
+export class OneEuroFilter extends PoseFilter {
+  constructor ({ minCutoff = 1.0, beta = 0.0, dCutoff = 1.0 } = {}) {
+    super()
+    this.minCutoff = minCutoff
+    this.beta = beta
+    this.dCutoff = dCutoff
+  }
+
+  filterPose (translation, rotation, timestamp) {
+    // Without a usable time difference (first frame, repeated timestamp) assume 30 fps
+    let dt = 1 / 30
+    if (this.lastTimestamp !== null && timestamp > this.lastTimestamp) {
+      dt = (timestamp - this.lastTimestamp) / 1000
+    }
+    this.lastTimestamp = timestamp
+    const values = translation.concat(rotation)
+    const filtered = values.map((value, i) => this.filterComponent(i, value, dt))
+    return { translation: filtered.slice(0, 3), rotation: normalize(filtered.slice(3)) }
+  }
+
+  filterComponent (i, value, dt) {
+    const previous = this.filters[i].value
+    const speed = previous === null ? 0 : (value - previous) / dt
+    const filteredSpeed = this.speedFilters[i].filter(speed, OneEuroFilter.alpha(this.dCutoff, dt))
+    const cutoff = this.minCutoff + this.beta * Math.abs(filteredSpeed)
+    return this.filters[i].filter(value, OneEuroFilter.alpha(cutoff, dt))
+  }
+
+  reset () {
+    super.reset()
+    this.lastTimestamp = null
+    this.filters = []
+    this.speedFilters = []
+    for (let i = 0; i < 7; i++) {
+      this.filters.push(new LowPassFilter())
+      this.speedFilters.push(new LowPassFilter())
+    }
+  }
+
+  static alpha (cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff)
+    return 1 / (1 + tau / dt)
+  }
+}
+
+/**
+ * Exponential smoothing of the pose. The translation is interpolated linearly and the rotation
+ * with a quaternion slerp, so the result always is a valid rigid transformation.
+ *
+ * @param {object} [options]
+ *     alpha: {number} weight of the new pose in (0, 1], lower values smooth more (default 0.5)
+ */
+export class ExponentialFilter extends PoseFilter {
+  constructor ({ alpha = 0.5 } = {}) {
+    super()
+    if (!(alpha > 0 && alpha <= 1)) {
+      throw new Error('ExponentialFilter alpha must be in (0, 1]: ' + alpha)
+    }
+    this.alpha = alpha
+  }
+
+  filterPose (translation, rotation) {
+    if (this.lastTranslation) {
+      translation = translation.map((v, i) => this.lastTranslation[i] + (v - this.lastTranslation[i]) * this.alpha)
+      rotation = slerp(this.lastRotation, rotation, this.alpha)
+    }
+    this.lastTranslation = translation
+    return { translation: translation, rotation: rotation }
+  }
+
+  reset () {
+    super.reset()
+    this.lastTranslation = null
+  }
+}
+
+const FILTER_TYPES = {
+  oneEuro: OneEuroFilter,
+  exponential: ExponentialFilter
+}
+
+/**
+ * Creates a pose filter from the filter option of ARController.addTrackable.
+ *
+ * @param {string|object} options Either
+ *     - the name of a built-in filter: 'oneEuro' or 'exponential'
+ *     - an object {type: 'oneEuro' | 'exponential', ...filter options}
+ *     - a custom filter object implementing filter(matrix, timestamp) and reset(), a TypeError is thrown without reset()
+ * @returns {object} The pose filter
+ */
+export const createPoseFilter = (options) => {
+  if (options && typeof options.filter === 'function') {
+    // The filter is reset whenever the trackable is lost, so a custom filter without reset would throw in process()
+    if (typeof options.reset !== 'function') {
+      throw new TypeError('A custom pose filter needs a reset() method')
+    }
+    return options
+  }
+  const type = typeof options === 'string' ? options : options && options.type
+  const Filter = FILTER_TYPES[type]
+  if (!Filter) {
+    throw new Error('Unknown pose filter type: ' + type)
+  }
+  return new Filter(typeof options === 'object' ? options : {})
+}
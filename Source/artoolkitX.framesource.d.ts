@@ -0,0 +1,82 @@
+/**
+ * Types of the frame sources, see artoolkitX.framesource.js.
+ */
+
+export type PixelBuffer = Uint8ClampedArray | Uint8Array
+
+/** A frame as returned by FrameSource.getFrame, with rgba or luma pixels */
+export interface Frame {
+  width: number
+  height: number
+  /** RGBA pixels, optional if luma is given */
+  rgba?: PixelBuffer
+  /** One byte of luma per pixel, computed from rgba if not given */
+  luma?: PixelBuffer
+  /** Time of the frame in milliseconds since epoch */
+  timestamp?: number
+}
+
+/** A rectangle in whole pixels */
+export interface Region {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+/** Pixel formats of the BufferFrameSource. For the YUV formats only the Y plane is used */
+export type PixelFormat = 'RGBA' | 'BGRA' | 'RGB' | 'MONO' | 'I420' | 'NV12' | 'NV21'
+
+export const PIXEL_FORMATS: PixelFormat[]
+
+export function createCanvas (width?: number, height?: number): HTMLCanvasElement | OffscreenCanvas | null
+export function rgbaToLuma<T extends PixelBuffer = Uint8ClampedArray> (rgba: PixelBuffer, luma?: T): T
+export function regionToLuma<T extends PixelBuffer = Uint8ClampedArray> (frame: Frame, region: Region, background: number, luma?: T): T
+export function scaleFrame (frame: Frame, width: number, height: number): Frame
+export function isFrame (frame: unknown): frame is Frame
+export function rotateFrame (frame: Frame, degrees: 0 | 90 | 180 | 270): Frame
+
+/** Base class of all frame sources */
+export class FrameSource {
+  constructor (width: number, height: number)
+  width: number
+  height: number
+  /** @param input Optional new input for this frame, see the subclasses */
+  getFrame (input?: unknown): Frame | Promise<Frame>
+}
+
+/** Frame source for everything that can be drawn onto a 2D canvas */
+export class CanvasFrameSource extends FrameSource {
+  constructor (image: CanvasImageSource | null, width: number, height: number)
+  image: CanvasImageSource | null
+  getFrame (image?: CanvasImageSource): Frame
+}
+
+export class ImageBitmapFrameSource extends CanvasFrameSource {
+  constructor (bitmap: ImageBitmap, width?: number, height?: number)
+}
+
+export class OffscreenCanvasFrameSource extends CanvasFrameSource {
+  constructor (canvas: OffscreenCanvas)
+}
+
+/** Frame source for the WebCodecs VideoFrame, the caller stays responsible for closing the frames */
+export class VideoFrameSource extends FrameSource {
+  constructor (width: number, height: number)
+  getFrame (videoFrame: VideoFrame): Promise<Frame>
+}
+
+/** Frame source for raw pixel buffers */
+export class BufferFrameSource extends FrameSource {
+  constructor (width: number, height: number, pixelFormat?: PixelFormat, buffer?: ArrayBuffer | PixelBuffer)
+  pixelFormat: PixelFormat
+  buffer: ArrayBuffer | PixelBuffer | undefined
+  getFrame (buffer?: ArrayBuffer | PixelBuffer): Frame
+}
+
+/** Frame source for a Webcam as returned by ARController.getUserMedia */
+export class WebcamFrameSource extends CanvasFrameSource {
+  constructor (webcam: { video: HTMLVideoElement })
+  webcam: { video: HTMLVideoElement }
+  getFrame (): Frame
+}
@@ -0,0 +1,377 @@
+/*
+ * Frame sources supply the images processed by the ARController.
+ *
+ * A frame source is handed to the ARController constructor instead of an image element:
+ *
+ *     const source = new BufferFrameSource(640, 480, 'MONO')
+ *     const arController = new ARController(source, 'Data/camera_para.dat')
+ *     await arController.process(lumaBuffer)
+ *
+ * The argument of ARController.process is passed on to getFrame, so sources can be fed a new
+ * bitmap, buffer or VideoFrame per call. Without argument they use the one given in the constructor.
+ */
+
+/**
+ * Creates a canvas to read the pixels of an image.
+ * Inside a Web Worker there is no document, an OffscreenCanvas is used instead.
+ * Returns null if neither is available, e.g. in Node.js.
+ *
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {HTMLCanvasElement|OffscreenCanvas|null}
+ */
+export const createCanvas = (width = 1, height = 1) => {
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+  }
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height)
+  }
+  return null
+}
+
+/**
+ * Converts RGBA pixels into luma.
+ * Assuming Pixelformat AR_PIXEL_FORMAT_RGBA (ARToolKitJS.cpp L: 43)
+ *
+ * @param {Uint8ClampedArray|Uint8Array} rgba The RGBA pixels
+ * @param {Uint8ClampedArray|Uint8Array} [luma] Buffer to write the luma into, created if not given
+ * @returns {Uint8ClampedArray|Uint8Array} The luma buffer
+ */
+export const rgbaToLuma = (rgba, luma) => {
+  const pixels = rgba.length / 4
+  if (!luma) luma = new Uint8ClampedArray(pixels)
+  let q = 0
+  for (let p = 0; p < pixels; p++) {
+    const r = rgba[q + 0]; const g = rgba[q + 1]; const b = rgba[q + 2]
+    luma[p] = (r + r + r + b + g + g + g + g) >> 3 // https://stackoverflow.com/a/596241/5843642
+    q += 4
+  }
+  return luma
+}
+
+/**
+ * Converts a region of a frame into luma, the pixels outside of it are set to the background value.
+ * Only the region is converted, which is cheaper than rgbaToLuma for small regions.
+ *
+ * @param {object} frame The frame {width, height, luma, rgba}
+ * @param {object} region The region {x, y, width, height} in whole pixels inside the frame
+ * @param {number} background Luma of the pixels outside of the region
+ * @param {Uint8ClampedArray|Uint8Array} [luma] Buffer of the frame size to write into, created if not given
+ * @returns {Uint8ClampedArray|Uint8Array} The luma buffer
+ */
+export const regionToLuma = (frame, region, background, luma) => {
+  if (!luma) luma = new Uint8ClampedArray(frame.width * frame.height)
+  luma.fill(background)
+  for (let y = region.y; y < region.y + region.height; y++) {
+    const start = y * frame.width + region.x
+    const end = start + region.width
+    if (frame.luma) {
+      luma.set(frame.luma.subarray(start, end), start)
+    } else {
+      rgbaToLuma(frame.rgba.subarray(start * 4, end * 4), luma.subarray(start, end))
+    }
+  }
+  return luma
+}
+
+/**
+ * Scales a frame to another size. Every pixel of the result is the average of the pixels it covers,
+ * which keeps the edges of markers sharp when downscaling.
+ *
+ * @param {object} frame The frame {width, height, luma, rgba, timestamp}
+ * @param {number} width
+ * @param {number} height
+ * @returns {object} The scaled frame, a new object with new pixel buffers unless the size is unchanged
+ */
+export const scaleFrame = (frame, width, height) => {
+  if (frame.width === width && frame.height === height) return frame
+  const scaleX = frame.width / width
+  const scaleY = frame.height / height
+  const scale = (pixels, channels) => {
+    const result = new pixels.constructor(width * height * channels)
+    for (let y = 0, p = 0; y < height; y++) {
+      const top = Math.floor(y * scaleY)
+      const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY))
+      for (let x = 0; x < width; x++) {
+        const left = Math.floor(x * scaleX)
+        const right = Math.max(left + 1, Math.floor((x + 1) * scaleX))
+        const count = (bottom - top) * (right - left)
+        for (let c = 0; c < channels; c++, p++) {
+          let sum = 0
+          for (let v = top; v < bottom; v++) {
+            for (let u = left, q = (v * frame.width + left) * channels + c; u < right; u++, q += channels) {
+              sum += pixels[q]
+            }
+          }
+          result[p] = Math.round(sum / count)
+        }
+      }
+    }
+    return result
+  }
+  const scaled = { width: width, height: height }
+  if (frame.timestamp !== undefined) scaled.timestamp = frame.timestamp
+  if (frame.luma) scaled.luma = scale(frame.luma, 1)
+  if (frame.rgba) scaled.rgba = scale(frame.rgba, 4)
+  return scaled
+}
+
+/**
+ * Checks if the given object is a frame as returned by FrameSource.getFrame.
+ *
+ * @param {*} frame
+ * @returns {boolean}
+ */
+export const isFrame = (frame) => {
+  return !!frame && typeof frame.width === 'number' && !!(frame.luma || frame.rgba)
+}
+
+/**
+ * Rotates a frame clockwise by a multiple of 90 degrees.
+ *
+ * @param {object} frame The frame {width, height, luma, rgba, timestamp}
+ * @param {number} degrees 0, 90, 180 or 270
+ * @returns {object} The rotated frame, a new object with new pixel buffers unless degrees is 0
+ */
+export const rotateFrame = (frame, degrees) => {
+  if (!degrees) return frame
+  const { width, height } = frame
+  const swap = degrees === 90 || degrees === 270
+  const rotatedWidth = swap ? height : width
+  // Index of the rotated pixel for every source pixel x, y
+  const target = {
+    90: (x, y) => x * rotatedWidth + height - 1 - y,
+    180: (x, y) => (height - 1 - y) * rotatedWidth + width - 1 - x,
+    270: (x, y) => (width - 1 - x) * rotatedWidth + y
+  }[degrees]
+  if (!target) {
+    throw new Error('Frames can only be rotated by 0, 90, 180 or 270 degrees, not ' + degrees)
+  }
+  const rotate = (source, words) => {
+    const result = new words.constructor(words.length)
+    for (let y = 0, p = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, p++) {
+        result[target(x, y)] = words[p]
+      }
+    }
+    return new source.constructor(result.buffer)
+  }
+  const rotated = { width: rotatedWidth, height: swap ? width : height }
+  if (frame.timestamp !== undefined) rotated.timestamp = frame.timestamp
+  if (frame.luma) rotated.luma = rotate(frame.luma, frame.luma)
+  if (frame.rgba) {
+    // One 32 bit word per RGBA pixel
+    const rgba = frame.rgba.byteOffset % 4 ? frame.rgba.slice() : frame.rgba
+    rotated.rgba = rotate(rgba, new Uint32Array(rgba.buffer, rgba.byteOffset, width * height))
+  }
+  return rotated
+}
+
+/**
+ * Base class of all frame sources.
+ *
+ * getFrame returns (or resolves into) a frame object:
+ *     {
+ *         width: {number},
+ *         height: {number},
+ *         rgba: {Uint8ClampedArray|Uint8Array} RGBA pixels, optional if luma is given
+ *         luma: {Uint8ClampedArray|Uint8Array} one byte of luma per pixel, computed from rgba if not given
+ *         timestamp: {number} optional time of the frame in milliseconds since epoch
+ *     }
+ */
+export class FrameSource {
+  constructor (width, height) {
+    this.width = width
+    this.height = height
+  }
+
+  /**
+   * @param {*} [input] Optional new input for this frame, see the subclasses.
+   * @returns {object|Promise<object>} The frame
+   */
+  getFrame (input) {
+    throw new Error('FrameSource.getFrame is not implemented')
+  }
+}
+
+/**
+ * Frame source for everything that can be drawn onto a 2D canvas.
+ * The pixels are read back through a canvas of the frame source size.
+ */
+export class CanvasFrameSource extends FrameSource {
+  constructor (image, width, height) {
+    super(width, height)
+    this.image = image
+    this.canvas = null
+    this.ctx = null
+  }
+
+  getFrame (image = this.image) {
+    this.image = image
+    if (!this.canvas || this.canvas.width !== this.width || this.canvas.height !== this.height) {
+      this.canvas = createCanvas(this.width, this.height)
+      this.ctx = this.canvas.getContext('2d')
+    }
+    this.ctx.drawImage(image, 0, 0, this.width, this.height)
+    const rgba = this.ctx.getImageData(0, 0, this.width, this.height).data
+    return { width: this.width, height: this.height, rgba: rgba }
+  }
+}
+
+/**
+ * Frame source for ImageBitmaps, e.g. from createImageBitmap or ImageCapture.grabFrame().
+ *
+ * @param {ImageBitmap} [bitmap] The bitmap to process, can be replaced per frame through ARController.process(bitmap)
+ * @param {number} [width] Defaults to the bitmap width
+ * @param {number} [height] Defaults to the bitmap height
+ */
+export class ImageBitmapFrameSource extends CanvasFrameSource {
+  constructor (bitmap, width, height) {
+    super(bitmap, width || bitmap.width, height || bitmap.height)
+  }
+}
+
+/**
+ * Frame source for an OffscreenCanvas, e.g. one that another worker renders into.
+ *
+ * @param {OffscreenCanvas} canvas The canvas to process
+ */
+export class OffscreenCanvasFrameSource extends CanvasFrameSource {
+  constructor (canvas) {
+    super(canvas, canvas.width, canvas.height)
+  }
+}
+
+/**
+ * Frame source for the WebCodecs VideoFrame, e.g. from a VideoDecoder or a MediaStreamTrackProcessor.
+ * For YUV formats the luma is taken straight from the Y plane, RGB formats are copied as they are.
+ * The caller stays responsible for closing the frames.
+ *
+ * @param {number} width Width of the processed frames
+ * @param {number} height Height of the processed frames
+ */
+export class VideoFrameSource extends FrameSource {
+  constructor (width, height) {
+    super(width, height)
+    this.canvasSource = new CanvasFrameSource(null, width, height)
+  }
+
+  async getFrame (videoFrame) {
+    const rect = videoFrame.visibleRect
+    if (!rect || rect.width !== this.width || rect.height !== this.height) {
+      // Needs scaling, let the canvas do it
+      return this.canvasSource.getFrame(videoFrame)
+    }
+    const format = videoFrame.format
+    if (['I420', 'I420A', 'I422', 'I444', 'NV12'].includes(format)) {
+      const luma = new Uint8Array(this.width * this.height)
+      const buffer = new Uint8Array(videoFrame.allocationSize({ rect: rect }))
+      const layout = await videoFrame.copyTo(buffer, { rect: rect })
+      const { offset, stride } = layout[0]
+      for (let y = 0; y < this.height; y++) {
+        luma.set(buffer.subarray(offset + y * stride, offset + y * stride + this.width), y * this.width)
+      }
+      return { width: this.width, height: this.height, luma: luma }
+    }
+    if (['RGBA', 'RGBX', 'BGRA', 'BGRX'].includes(format)) {
+      const rgba = new Uint8ClampedArray(this.width * this.height * 4)
+      await videoFrame.copyTo(rgba, { rect: rect, layout: [{ offset: 0, stride: this.width * 4 }] })
+      if (format[0] === 'B') swapRedBlue(rgba)
+      return { width: this.width, height: this.height, rgba: rgba }
+    }
+    return this.canvasSource.getFrame(videoFrame)
+  }
+}
+
+/**
+ * Pixel formats supported by the BufferFrameSource.
+ * For the YUV formats only the Y plane at the start of the buffer is used.
+ */
+export const PIXEL_FORMATS = ['RGBA', 'BGRA', 'RGB', 'MONO', 'I420', 'NV12', 'NV21']
+
+/**
+ * Frame source for raw pixel buffers, e.g. from decoders, WebRTC pipelines or test fixtures.
+ *
+ * @param {number} width Width of the frames in pixels
+ * @param {number} height Height of the frames in pixels
+ * @param {string} [pixelFormat] One of PIXEL_FORMATS, defaults to 'RGBA'
+ * @param {ArrayBuffer|Uint8Array|Uint8ClampedArray} [buffer] The pixels, can be replaced per frame through ARController.process(buffer)
+ */
+export class BufferFrameSource extends FrameSource {
+  constructor (width, height, pixelFormat = 'RGBA', buffer) {
+    super(width, height)
+    if (!PIXEL_FORMATS.includes(pixelFormat)) {
+      throw new Error('Unsupported pixel format: ' + pixelFormat)
+    }
+    this.pixelFormat = pixelFormat
+    this.buffer = buffer
+  }
+
+  getFrame (buffer = this.buffer) {
+    if (!buffer) {
+      throw new Error('BufferFrameSource has no buffer to process')
+    }
+    this.buffer = buffer
+    const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : buffer
+    const pixels = this.width * this.height
+    const bytesPerPixel = { RGBA: 4, BGRA: 4, RGB: 3 }[this.pixelFormat] || 1
+    if (bytes.length < pixels * bytesPerPixel) {
+      throw new Error('Buffer too small for a ' + this.width + 'x' + this.height + ' ' + this.pixelFormat + ' frame')
+    }
+    const frame = { width: this.width, height: this.height }
+    switch (this.pixelFormat) {
+      case 'RGBA':
+        frame.rgba = bytes.subarray(0, pixels * 4)
+        break
+      case 'BGRA':
+        frame.rgba = swapRedBlue(Uint8ClampedArray.from(bytes.subarray(0, pixels * 4)))
+        break
+      case 'RGB': {
+        const rgba = new Uint8ClampedArray(pixels * 4)
+        for (let p = 0, q = 0; p < pixels * 3; p += 3, q += 4) {
+          rgba[q] = bytes[p]
+          rgba[q + 1] = bytes[p + 1]
+          rgba[q + 2] = bytes[p + 2]
+          rgba[q + 3] = 255
+        }
+        frame.rgba = rgba
+        break
+      }
+      default: // MONO and the Y plane of the YUV formats
+        frame.luma = bytes.subarray(0, pixels)
+    }
+    return frame
+  }
+}
+
+/**
+ * Frame source for a Webcam as returned by ARController.getUserMedia.
+ * The ARController starts the stream of the webcam in start().
+ *
+ * @param {Webcam} webcam
+ */
+export class WebcamFrameSource extends CanvasFrameSource {
+  constructor (webcam) {
+    super(webcam.video, 0, 0)
+    this.webcam = webcam
+  }
+
+  getFrame () {
+    this.width = this.webcam.video.videoWidth
+    this.height = this.webcam.video.videoHeight
+    return super.getFrame(this.webcam.video)
+  }
+}
+
+const swapRedBlue = (pixels) => {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const r = pixels[i]
+    pixels[i] = pixels[i + 2]
+    pixels[i + 2] = r
+  }
+  return pixels
+}
@@ -0,0 +1,48 @@
+/**
+ * Types of the file loading, see artoolkitX.loader.js.
+ */
+
+/** The download progress of a file */
+export interface LoadProgress {
+  url: string
+  /** Bytes loaded so far */
+  loaded: number
+  /** Size of the file in bytes, 0 if the server didn't send the Content-Length */
+  total: number
+}
+
+/** Error thrown when a file can't be loaded */
+export class AssetLoadError extends Error {
+  constructor (message: string, details?: { url?: string, status?: number, trackable?: object, cause?: unknown })
+  name: 'AssetLoadError'
+  url: string | undefined
+  /** The HTTP status, 0 if the request failed without response */
+  status: number
+  /** The trackable the file was loaded for, see ARController.addTrackable */
+  trackable: object | undefined
+  cause: unknown
+}
+
+export interface AssetLoaderOptions {
+  /** 'auto' (default) caches in the Cache API or else IndexedDB, 'none' disables caching */
+  storage?: 'auto' | 'cache' | 'indexedDB' | 'none'
+  /** Name of the cache or database, defaults to 'artoolkitX-assets' */
+  cacheName?: string
+  /** The fetch implementation, defaults to the global fetch */
+  fetch?: typeof fetch
+}
+
+export interface LoadOptions {
+  /** Aborts the download, the promise then rejects with the AbortError */
+  signal?: AbortSignal
+  onProgress?: (progress: LoadProgress) => void
+  /** The trackable the file is loaded for, only added to the AssetLoadError */
+  trackable?: object
+}
+
+/** Loads files with fetch and caches them by URL and ETag */
+export class AssetLoader {
+  constructor (options?: AssetLoaderOptions)
+  load (url: string, options?: LoadOptions): Promise<Uint8Array>
+  getCached (url: string): Promise<{ etag: string, bytes: Uint8Array } | null>
+}
@@ -0,0 +1,228 @@
+/*
+ * Loading of camera parameter and trackable files with fetch.
+ *
+ * The AssetLoader reports the download progress, can be cancelled with an AbortSignal and keeps the
+ * files in the Cache API (or IndexedDB where the Cache API isn't available, e.g. on insecure origins).
+ * Cached files are revalidated with their ETag, so a file is only downloaded again after it changed
+ * on the server. Files served without an ETag are not cached.
+ *
+ *     const loader = new AssetLoader({ cacheName: 'my-app-markers' })
+ *     const bytes = await loader.load('Data/hiro.patt', { signal, onProgress: ({ loaded, total }) => { ... } })
+ *
+ * ARController uses an AssetLoader for all its files, see ARController.setAssetLoader.
+ */
+
+/**
+ * Error thrown when a file can't be loaded.
+ *
+ * @param {string} message
+ * @param {object} details
+ *     url: {string} the URL of the file
+ *     status: {number} the HTTP status, 0 if the request failed without response
+ *     trackable: {object} the trackable the file was loaded for, see ARController.addTrackable
+ *     cause: {Error} the underlying error
+ */
+export class AssetLoadError extends Error {
+  constructor (message, { url, status = 0, trackable, cause } = {}) {
+    super(message)
+    this.name = 'AssetLoadError'
+    this.url = url
+    this.status = status
+    this.trackable = trackable
+    this.cause = cause
+  }
+}
+
+/**
+ * Cache of the loaded files in the Cache API.
+ * @private
+ */
+class CacheStorageStore {
+  constructor (name) {
+    this.name = name
+  }
+
+  async get (url) {
+    const cache = await caches.open(this.name)
+    const response = await cache.match(url)
+    if (!response) return null
+    return { etag: response.headers.get('ETag'), bytes: new Uint8Array(await response.arrayBuffer()) }
+  }
+
+  async put (url, etag, bytes) {
+    const cache = await caches.open(this.name)
+    await cache.put(url, new Response(bytes, { headers: { ETag: etag } }))
+  }
+}
+
+/**
+ * Cache of the loaded files in IndexedDB.
+ * @private
+ */
+class IndexedDBStore {
+  constructor (name) {
+    this.name = name
+    this.db = null
+  }
+
+  open () {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore('files')
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.db
+  }
+
+  async request (mode, operation) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction('files', mode).objectStore('files'))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  async get (url) {
+    const entry = await this.request('readonly', store => store.get(url))
+    return entry || null
+  }
+
+  put (url, etag, bytes) {
+    return this.request('readwrite', store => store.put({ etag: etag, bytes: bytes }, url))
+  }
+}
+
+const createStore = (storage, name) => {
+  if (storage === 'cache' || (storage === 'auto' && typeof caches !== 'undefined')) {
+    return new CacheStorageStore(name)
+  }
+  if (storage === 'indexedDB' || (storage === 'auto' && typeof indexedDB !== 'undefined')) {
+    return new IndexedDBStore(name)
+  }
+  return null
+}
+
+/**
+ * Conditional requests add a header that isn't CORS-safelisted. To not break cross-origin files on servers
+ * that don't allow it, cross-origin files are revalidated by the browser HTTP cache only.
+ */
+const isSameOrigin = (url) => {
+  if (typeof location === 'undefined') return false
+  return new URL(url, location.href).origin === location.origin
+}
+
+/**
+ * Loads files with fetch, see the top of this file.
+ *
+ * @param {object} [options]
+ *     storage: {string} 'auto' (default) to cache in the Cache API or else IndexedDB, 'cache', 'indexedDB' or
+ *         'none' to disable caching
+ *     cacheName: {string} name of the cache or database, defaults to 'artoolkitX-assets'
+ *     fetch: {function} the fetch implementation, defaults to the global fetch
+ */
+export class AssetLoader {
+  constructor ({ storage = 'auto', cacheName = 'artoolkitX-assets', fetch } = {}) {
+    this.store = createStore(storage, cacheName)
+    this.fetchFunction = fetch || null
+  }
+
+  /**
+   * Loads a file.
+   *
+   * @param {string} url The URL of the file
+   * @param {object} [options]
+   *     signal: {AbortSignal} aborts the download. The returned promise then rejects with the AbortError.
+   *     onProgress: {function} called with {url, loaded, total} while downloading. total is 0 if the
+   *         server didn't send the Content-Length.
+   *     trackable: {object} the trackable the file is loaded for, only added to the AssetLoadError
+   * @returns {Promise<Uint8Array>} The content of the file
+   */
+  async load (url, { signal, onProgress, trackable } = {}) {
+    if (!url) {
+      throw new AssetLoadError('No URL given', { url: url, trackable: trackable })
+    }
+    const cached = await this.getCached(url)
+    const headers = {}
+    if (cached && isSameOrigin(url)) {
+      headers['If-None-Match'] = cached.etag
+    }
+
+    let response
+    try {
+      const init = { signal: signal, headers: headers }
+      response = await (this.fetchFunction ? this.fetchFunction(url, init) : fetch(url, init))
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      // Offline, use the cached file
+      if (cached) return cached.bytes
+      throw new AssetLoadError('Failed to load ' + url + ': ' + error.message, { url: url, trackable: trackable, cause: error })
+    }
+    if (response.status === 304 && cached) {
+      return cached.bytes
+    }
+    if (!response.ok) {
+      throw new AssetLoadError('Failed to load ' + url + ': HTTP ' + response.status, { url: url, status: response.status, trackable: trackable })
+    }
+
+    let bytes
+    try {
+      bytes = await readBody(response, url, onProgress)
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      throw new AssetLoadError('Failed to load ' + url + ': ' + error.message, { url: url, status: response.status, trackable: trackable, cause: error })
+    }
+    const etag = response.headers.get('ETag')
+    if (this.store && etag) {
+      try {
+        await this.store.put(url, etag, bytes)
+      } catch (error) {
+        console.warn('Unable to cache ' + url + ': ' + error)
+      }
+    }
+    return bytes
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<object>} The cached file as {etag, bytes} or null
+   */
+  async getCached (url) {
+    if (!this.store) return null
+    try {
+      return await this.store.get(url)
+    } catch (error) {
+      console.warn('Unable to read ' + url + ' from the cache: ' + error)
+      return null
+    }
+  }
+}
+
+const readBody = async (response, url, onProgress) => {
+  const total = parseInt(response.headers.get('Content-Length')) || 0
+  if (!onProgress || !response.body) {
+    const bytes = new Uint8Array(await response.arrayBuffer())
+    if (onProgress) onProgress({ url: url, loaded: bytes.length, total: total })
+    return bytes
+  }
+  const reader = response.body.getReader()
+  const chunks = []
+  let loaded = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    loaded += value.length
+    onProgress({ url: url, loaded: loaded, total: total })
+  }
+  const bytes = new Uint8Array(loaded)
+  let offset = 0
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  })
+  return bytes
+}
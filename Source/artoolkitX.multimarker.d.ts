@@ -0,0 +1,49 @@
+/**
+ * Types of the multimarker configurations, see artoolkitX.multimarker.js.
+ */
+
+/** 3x4 transformation as 3 rows of 4 numbers */
+export type Transform3x4 = [number[], number[], number[]] | number[][]
+
+/** A marker of a multimarker board, either a pattern file or a barcode */
+export type MultiMarkerEntry = {
+  /** Width of the marker */
+  width: number
+  /** Transformation of the marker centre in the multimarker coordinate system, defaults to the identity */
+  transform?: Transform3x4
+} & ({ pattern: string, barcodeId?: undefined } | { barcodeId: number, pattern?: undefined })
+
+/** A multimarker configuration as returned by parseMultiMarker */
+export interface MultiMarkerConfig {
+  markers: Array<MultiMarkerEntry & {
+    transform: Transform3x4
+    /** The line number the marker starts at, if it was parsed */
+    line?: number
+  }>
+}
+
+export interface GridLayoutOptions {
+  rows: number
+  columns: number
+  /** Width of the markers */
+  width: number
+  /** Distance between the centres of neighbouring markers, at least the width */
+  spacing: number
+  /** Barcode id of the first marker, defaults to 0 */
+  barcodeId?: number
+}
+
+/** Error in a multimarker configuration */
+export class MultiMarkerError extends Error {
+  constructor (message: string, line?: number)
+  name: 'MultiMarkerError'
+  /** The line number in the configuration file, if known */
+  line: number | undefined
+}
+
+export function parseMultiMarker (data: string | Uint8Array | ArrayBuffer): MultiMarkerConfig
+export function validateMultiMarker (config: { markers: MultiMarkerEntry[] }): void
+export function serializeMultiMarker (config: { markers: MultiMarkerEntry[] }): string
+export function getPatternFiles (config: { markers: MultiMarkerEntry[] }): string[]
+export function createMultiMarker (markers: MultiMarkerEntry[] | { markers: MultiMarkerEntry[] }): MultiMarkerConfig
+export function createGridLayout (options: GridLayoutOptions): MultiMarkerConfig
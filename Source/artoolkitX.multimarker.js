@@ -0,0 +1,241 @@
+/*
+ * Parser and serializer of multimarker configuration files, e.g. Examples/Data/multi/marker.dat.
+ *
+ * A configuration starts with the number of markers, followed by a block per marker:
+ *
+ *     patt.a                     pattern file, relative to the configuration file, or barcode id
+ *     40.0                       width of the marker
+ *     1.0 0.0 0.0 100.0          3x4 transformation of the marker centre in the multimarker coordinate system,
+ *     0.0 1.0 0.0   0.0          one row per line
+ *     0.0 0.0 1.0   0.0
+ *
+ * Empty lines and everything after a # are ignored.
+ *
+ * The parsed configuration is {markers: [{pattern, barcodeId, width, transform, line}]} where either pattern
+ * (file name) or barcodeId is set, transform is an array of the 3 rows and line the line number the marker starts at.
+ *
+ * Boards can also be defined in code with createMultiMarker and createGridLayout and registered with
+ * ARController.addTrackable({trackableType: 'multi', layout}).
+ */
+
+/**
+ * Error in a multimarker configuration.
+ *
+ * @param {string} message
+ * @param {number} [line] The line number in the configuration file, if known
+ */
+export class MultiMarkerError extends Error {
+  constructor (message, line) {
+    super(line ? 'Line ' + line + ': ' + message : message)
+    this.name = 'MultiMarkerError'
+    this.line = line
+  }
+}
+
+const ROTATION_TOLERANCE = 1e-3
+
+/**
+ * Parses a multimarker configuration and validates it, see validateMultiMarker.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} data The content of the configuration file
+ * @returns {object} The configuration {markers: [...]}
+ * @throws {MultiMarkerError} with the line number of the first error
+ */
+export const parseMultiMarker = (data) => {
+  const text = typeof data === 'string' ? data : new TextDecoder().decode(data)
+  const lines = []
+  text.split(/\r?\n/).forEach((content, index) => {
+    content = content.split('#')[0].trim()
+    if (content) lines.push({ content: content, line: index + 1 })
+  })
+  let position = 0
+  const next = (expected) => {
+    const line = lines[position++]
+    if (!line) {
+      const last = lines[lines.length - 1]
+      throw new MultiMarkerError('Unexpected end of file, expected ' + expected, last ? last.line : undefined)
+    }
+    return line
+  }
+  const parseNumbers = (line, count, expected) => {
+    const values = line.content.split(/\s+/)
+    const numbers = values.map(Number)
+    if (values.length !== count || numbers.some(isNaN)) {
+      throw new MultiMarkerError('Expected ' + expected + ', got "' + line.content + '"', line.line)
+    }
+    return numbers
+  }
+
+  const countLine = next('the number of markers')
+  const count = parseNumbers(countLine, 1, 'the number of markers')[0]
+  if (!Number.isInteger(count) || count < 1) {
+    throw new MultiMarkerError('The number of markers must be a positive integer, got "' + countLine.content + '"', countLine.line)
+  }
+  const markers = []
+  for (let i = 0; i < count; i++) {
+    const patternLine = next('the pattern file or barcode id of marker ' + (i + 1))
+    const marker = { line: patternLine.line }
+    if (/^\d+$/.test(patternLine.content)) {
+      marker.barcodeId = parseInt(patternLine.content, 10)
+    } else {
+      marker.pattern = patternLine.content
+    }
+    marker.width = parseNumbers(next('the width of marker ' + (i + 1)), 1, 'the width of marker ' + (i + 1))[0]
+    marker.transform = []
+    for (let row = 0; row < 3; row++) {
+      const expected = 'row ' + (row + 1) + ' of the transformation of marker ' + (i + 1) + ' (4 numbers)'
+      marker.transform.push(parseNumbers(next(expected), 4, expected))
+    }
+    markers.push(marker)
+  }
+  if (position < lines.length) {
+    throw new MultiMarkerError('Expected ' + count + ' markers but the file continues with "' + lines[position].content + '"', lines[position].line)
+  }
+  const config = { markers: markers }
+  validateMultiMarker(config)
+  return config
+}
+
+/**
+ * Validates a multimarker configuration, e.g. one built programmatically before serializing it:
+ * each marker needs a pattern file (a relative path without ..) or a non-negative integer barcode id, a positive width
+ * and a 3x4 transformation with an orthonormal rotation. Barcode ids must not be used twice.
+ *
+ * @param {object} config {markers: [{pattern, barcodeId, width, transform}]}
+ * @throws {MultiMarkerError} for the first invalid marker, with its line number if it was parsed
+ */
+export const validateMultiMarker = (config) => {
+  if (!config || !Array.isArray(config.markers) || !config.markers.length) {
+    throw new MultiMarkerError('A multimarker needs at least one marker')
+  }
+  const barcodeIds = {}
+  config.markers.forEach((marker, i) => {
+    const fail = (message) => {
+      throw new MultiMarkerError('Marker ' + (i + 1) + ': ' + message, marker.line)
+    }
+    if (marker.barcodeId !== undefined) {
+      if (!Number.isInteger(marker.barcodeId) || marker.barcodeId < 0) fail('barcode id must be a non-negative integer')
+      if (barcodeIds[marker.barcodeId]) fail('barcode id ' + marker.barcodeId + ' is already used by marker ' + barcodeIds[marker.barcodeId])
+      barcodeIds[marker.barcodeId] = i + 1
+    } else if (typeof marker.pattern !== 'string' || !marker.pattern || /\s|#/.test(marker.pattern)) {
+      fail('needs a pattern file name without whitespace and # or a barcode id')
+    } else if (/^([/\\]|[a-z][a-z0-9+.-]*:)/i.test(marker.pattern) || marker.pattern.split(/[/\\]/).includes('..')) {
+      // The pattern files are written next to the configuration file, they must not end up elsewhere
+      fail('the pattern file ' + marker.pattern + ' must be relative to the configuration file and must not contain ..')
+    }
+    if (!(marker.width > 0)) fail('width must be positive')
+    const transform = marker.transform
+    if (!Array.isArray(transform) || transform.length !== 3 || transform.some(row => !Array.isArray(row) || row.length !== 4 || row.some(value => !isFinite(value)))) {
+      fail('transform must be 3 rows of 4 numbers')
+    }
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) {
+        let dot = 0
+        for (let k = 0; k < 3; k++) dot += transform[k][a] * transform[k][b]
+        if (Math.abs(dot - (a === b ? 1 : 0)) > ROTATION_TOLERANCE) fail('the rotation of the transform is not orthonormal')
+      }
+    }
+  })
+}
+
+/**
+ * Serializes a multimarker configuration into the file format read by artoolkitX.
+ *
+ * @param {object} config {markers: [{pattern, barcodeId, width, transform}]}
+ * @returns {string} The content of the configuration file
+ * @throws {MultiMarkerError} if the configuration is invalid
+ */
+export const serializeMultiMarker = (config) => {
+  validateMultiMarker(config)
+  const lines = ['# number of markers', String(config.markers.length)]
+  config.markers.forEach((marker, i) => {
+    lines.push('', '# marker ' + (i + 1))
+    lines.push(marker.barcodeId !== undefined ? String(marker.barcodeId) : marker.pattern)
+    lines.push(String(marker.width))
+    marker.transform.forEach(row => lines.push(row.map(String).join(' ')))
+  })
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * @param {object} config
+ * @returns {Array} The distinct pattern file names referenced by the configuration
+ */
+export const getPatternFiles = (config) => {
+  const files = []
+  config.markers.forEach(marker => {
+    if (marker.barcodeId === undefined && !files.includes(marker.pattern)) files.push(marker.pattern)
+  })
+  return files
+}
+
+/**
+ * Creates a multimarker configuration from a list of markers.
+ *
+ *     createMultiMarker([
+ *         { barcodeId: 0, width: 40, transform: [[1, 0, 0, -50], [0, 1, 0, 0], [0, 0, 1, 0]] },
+ *         { pattern: 'patt.a', width: 40, transform: [[1, 0, 0, 50], [0, 1, 0, 0], [0, 0, 1, 0]] }
+ *     ])
+ *
+ * @param {Array|object} markers [{pattern | barcodeId, width, transform}] or a configuration {markers}.
+ *     transform defaults to the identity, i.e. the marker centre at the origin of the board.
+ * @returns {object} The validated configuration {markers}
+ * @throws {MultiMarkerError} if the configuration is invalid
+ */
+export const createMultiMarker = (markers) => {
+  markers = Array.isArray(markers) ? markers : markers && markers.markers
+  if (!Array.isArray(markers)) {
+    throw new MultiMarkerError('A multimarker layout has to be an array of markers or {markers}')
+  }
+  const config = {
+    markers: markers.map(marker => {
+      const result = { width: marker.width }
+      if (marker.barcodeId !== undefined) {
+        result.barcodeId = marker.barcodeId
+      } else {
+        result.pattern = marker.pattern
+      }
+      result.transform = marker.transform ? marker.transform.map(row => row.slice()) : [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]]
+      return result
+    })
+  }
+  validateMultiMarker(config)
+  return config
+}
+
+/**
+ * Creates a multimarker board of barcode markers arranged in a grid, centred on the origin of the board.
+ * The barcode ids are assigned row by row, starting at the top left marker. The x axis points to the right,
+ * the y axis up, like in Examples/Data/multi-barcode-4x3.dat which equals
+ *
+ *     createGridLayout({ rows: 3, columns: 4, width: 40, spacing: 70 })
+ *
+ * @param {object} options
+ *     rows: {number} number of rows
+ *     columns: {number} number of columns
+ *     width: {number} width of the markers
+ *     spacing: {number} distance between the centres of neighbouring markers, at least the width
+ *     barcodeId: {number} barcode id of the first marker, defaults to 0
+ * @returns {object} The configuration {markers}
+ */
+export const createGridLayout = ({ rows, columns, width, spacing, barcodeId = 0 }) => {
+  if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(columns) || columns < 1) {
+    throw new MultiMarkerError('rows and columns must be positive integers')
+  }
+  if (!(spacing >= width)) {
+    throw new MultiMarkerError('spacing must be at least the marker width')
+  }
+  const markers = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const x = (column - (columns - 1) / 2) * spacing
+      const y = ((rows - 1) / 2 - row) * spacing
+      markers.push({
+        barcodeId: barcodeId + markers.length,
+        width: width,
+        transform: [[1, 0, 0, x], [0, 1, 0, y], [0, 0, 1, 0]]
+      })
+    }
+  }
+  return createMultiMarker(markers)
+}
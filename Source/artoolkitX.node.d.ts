@@ -0,0 +1,27 @@
+/**
+ * Types of the Node.js entry point, see artoolkitX.node.js.
+ */
+import ARController, { RegionOfInterest, TrackerOptions } from './artoolkitX.api.js'
+import { PixelFormat } from './artoolkitX.framesource.js'
+
+export interface NodeARControllerOptions {
+  /** Width of the frames in pixels */
+  width: number
+  /** Height of the frames in pixels */
+  height: number
+  /** Path or file: URL of the camera parameter file or its content */
+  cameraParam: string | URL | Uint8Array
+  /** Pixel format of the frames, defaults to 'RGBA' */
+  pixelFormat?: PixelFormat
+  processingScale?: number
+  regionOfInterest?: RegionOfInterest | null
+  trackerOptions?: TrackerOptions
+}
+
+export function createARController (options: NodeARControllerOptions): Promise<ARController>
+
+export default ARController
+export {
+  artoolkitXjs, FrameSource, BufferFrameSource, OneEuroFilter, ExponentialFilter, PoseFilter, PoseTrack, CameraParam,
+  CameraCalibration
+} from './artoolkitX.api.js'
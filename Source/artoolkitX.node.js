@@ -0,0 +1,91 @@
+/*
+ * Node.js entry point of artoolkitX.js.
+ *
+ * Loads the artoolkitX WASM module without a browser. Camera parameters and trackables are read
+ * from the filesystem (paths relative to the working directory, file: URLs or URL objects) or given as buffers,
+ * frames are supplied as raw RGBA or luma buffers through a BufferFrameSource:
+ *
+ *     import { createARController } from './artoolkitX.node.js'
+ *
+ *     const arController = await createARController({ width: 640, height: 480, cameraParam: 'Data/camera_para.dat' })
+ *     await arController.addTrackable({ trackableType: 'single', url: 'Data/hiro.patt' })
+ *     arController.addEventListener('getMarker', (trackableInfo) => { ... })
+ *     await arController.process(rgbaBuffer)
+ *
+ * Set globalThis.artoolkitX_wasm_url before importing this module to load artoolkitx.wasm from
+ * another location than next to this file.
+ */
+import { readFile } from 'fs/promises'
+import { fileURLToPath } from 'url'
+
+/**
+ * The Emscripten module reads its configuration from window and announces that it is ready
+ * with the artoolkitX-loaded event on it. Node.js has neither, so a minimal window is provided while the
+ * module loads. It is removed again afterwards, other libraries would otherwise take Node.js for a browser.
+ */
+const shim = {}
+if (typeof globalThis.window === 'undefined') {
+  const windowEvents = new EventTarget()
+  shim.window = globalThis
+  shim.addEventListener = windowEvents.addEventListener.bind(windowEvents)
+  shim.removeEventListener = windowEvents.removeEventListener.bind(windowEvents)
+  shim.dispatchEvent = windowEvents.dispatchEvent.bind(windowEvents)
+}
+if (!globalThis.artoolkitX_wasm_url) {
+  shim.artoolkitX_wasm_url = fileURLToPath(new URL('./artoolkitx.wasm', import.meta.url))
+}
+Object.assign(globalThis, shim)
+
+const loaded = new Promise(resolve => globalThis.window.addEventListener('artoolkitX-loaded', resolve, { once: true }))
+let api
+try {
+  api = await import('./artoolkitX.api.js')
+  await loaded
+} finally {
+  Object.keys(shim).forEach(name => delete globalThis[name])
+}
+
+const ARController = api.default
+
+/**
+ * Reads paths and file: URLs from the filesystem. Other URLs are left to the AssetLoader, as is everything if
+ * the application has set a file reader of its own.
+ */
+const readLocalFile = (url) => {
+  if (url.startsWith('file:')) {
+    return readFile(new URL(url))
+  }
+  // Drive letters of Windows paths are no URL schemes
+  return /^[a-z][a-z0-9+.-]+:/i.test(url) ? null : readFile(url)
+}
+if (!ARController.getFileReader()) {
+  ARController.setFileReader(readLocalFile)
+}
+
+/**
+ * Creates and starts an ARController that processes raw frames.
+ *
+ * @param {object} options
+ *     width: {number} width of the frames in pixels
+ *     height: {number} height of the frames in pixels
+ *     cameraParam: {string|URL|Uint8Array} path or file: URL of the camera parameter file or its content
+ *     pixelFormat: {string} pixel format of the frames, see BufferFrameSource. Defaults to 'RGBA'
+ *     processingScale, regionOfInterest, trackerOptions: see the ARController constructor
+ * @returns {Promise<ARController>} The started ARController, pass the frame buffers to its process method.
+ */
+export const createARController = async ({ width, height, cameraParam, pixelFormat = 'RGBA', processingScale, regionOfInterest, trackerOptions }) => {
+  const source = new api.BufferFrameSource(width, height, pixelFormat)
+  const arController = new ARController(source, cameraParam, undefined, undefined, {
+    processingScale: processingScale,
+    regionOfInterest: regionOfInterest,
+    trackerOptions: trackerOptions
+  })
+  await arController.start()
+  return arController
+}
+
+export default ARController
+export const {
+  artoolkitXjs, FrameSource, BufferFrameSource, OneEuroFilter, ExponentialFilter, PoseFilter, PoseTrack, CameraParam,
+  CameraCalibration
+} = api
@@ -0,0 +1,32 @@
+/**
+ * Types of the debug overlay, see artoolkitX.overlay.js.
+ */
+import ARController from './artoolkitX.api.js'
+
+export type OverlayLayer = 'binarized' | 'outlines' | 'axes' | 'stats'
+
+export const OVERLAY_LAYERS: OverlayLayer[]
+
+/** The options of ARController.setDebugOverlay */
+export interface DebugOverlayOptions {
+  /** The layers to show, all are shown by default */
+  layers?: Partial<Record<OverlayLayer, boolean>>
+  /** Length of the axes in millimetres, defaults to half the width of the trackable */
+  axisLength?: number
+  /** Width of the outlines and axes in pixels, defaults to 2 */
+  lineWidth?: number
+  /** Font of the labels and stats, defaults to '12px monospace' */
+  font?: string
+}
+
+/** Renders the state of an ARController into a canvas */
+export class DebugOverlay {
+  constructor (canvas: HTMLCanvasElement | OffscreenCanvas, options?: DebugOverlayOptions)
+  canvas: HTMLCanvasElement | OffscreenCanvas
+  layers: Record<OverlayLayer, boolean>
+  setLayerEnabled (layer: OverlayLayer, enabled: boolean): void
+  isLayerEnabled (layer: OverlayLayer): boolean
+  /** Renders the last frame processed by the ARController */
+  draw (arController: ARController, timing?: { duration?: number }): void
+  dispose (): void
+}
@@ -0,0 +1,259 @@
+/*
+ * Debug overlay of the ARController, see ARController.setDebugOverlay.
+ *
+ * Renders into a canvas supplied by the caller, typically stacked on top of the video, in the orientation of the
+ * displayed frames. Each layer can be toggled:
+ *     binarized: the debug image of the tracker, i.e. the processed frame binarized by the tracker, see
+ *         ARController.getDebugImage. The tracker is in debug mode while the layer is shown.
+ *     outlines: the outlines of the visible trackables (every pattern of a multimarker) with their id and confidence
+ *     axes: the x (red), y (green) and z (blue) axes of the visible trackables, projected with getCameraMatrix
+ *     stats: the frame rate, the processing time, the threshold and the lighting diagnosis
+ */
+import { createCanvas } from './artoolkitX.framesource.js'
+import { now, multiplyGLMat } from './artoolkitX.utils.js'
+
+export const OVERLAY_LAYERS = ['binarized', 'outlines', 'axes', 'stats']
+
+// Weight of the latest frame in the moving average of the frame rate
+const SMOOTHING = 0.1
+const AXIS_COLORS = ['#ff0000', '#00ff00', '#0000ff']
+const CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+
+const _drawBinarized = Symbol('_drawBinarized')
+const _drawOutlines = Symbol('_drawOutlines')
+const _drawAxes = Symbol('_drawAxes')
+const _drawStats = Symbol('_drawStats')
+const _project = Symbol('_project')
+
+/**
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas The canvas to render into, its content is replaced on every draw
+ * @param {object} [options]
+ *     layers: {object} the layers to show, e.g. {binarized: false}. All are shown by default.
+ *     axisLength: {number} length of the axes in millimetres, defaults to half the width of the trackable
+ *     lineWidth: {number} width of the outlines and axes in pixels, defaults to 2
+ *     font: {string} font of the labels and stats, defaults to '12px monospace'
+ */
+export class DebugOverlay {
+  constructor (canvas, options = {}) {
+    if (!canvas || typeof canvas.getContext !== 'function') {
+      throw new Error('The debug overlay needs a canvas to render into, not ' + canvas)
+    }
+    this.canvas = canvas
+    this.ctx = canvas.getContext('2d')
+    this.layers = {}
+    OVERLAY_LAYERS.forEach(layer => { this.layers[layer] = true })
+    Object.keys(options.layers || {}).forEach(layer => this.setLayerEnabled(layer, options.layers[layer]))
+    this.axisLength = options.axisLength || 0
+    this.lineWidth = options.lineWidth || 2
+    this.font = options.font || '12px monospace'
+    // Buffers reused for every frame
+    this._imageCanvas = null
+    this._imageData = null
+    this._patternMatrix = new Float32Array(16)
+    this._mvp = new Float32Array(16)
+    this._lastDraw = null
+    this._fps = null
+  }
+
+  /**
+   * Shows or hides a layer.
+   *
+   * @param {string} layer 'binarized', 'outlines', 'axes' or 'stats'
+   * @param {boolean} enabled
+   */
+  setLayerEnabled (layer, enabled) {
+    if (!OVERLAY_LAYERS.includes(layer)) {
+      throw new Error('Unknown overlay layer: ' + layer + ', expected one of ' + OVERLAY_LAYERS.join(', '))
+    }
+    this.layers[layer] = !!enabled
+  }
+
+  /**
+   * @param {string} layer
+   * @returns {boolean} true if the layer is shown
+   */
+  isLayerEnabled (layer) {
+    return !!this.layers[layer]
+  }
+
+  /**
+   * Renders the last frame processed by the ARController.
+   *
+   * @param {ARController} arController
+   * @param {object} [timing] {duration}, the milliseconds processing the frame took
+   */
+  draw (arController, timing = {}) {
+    const time = now()
+    if (this._lastDraw !== null && time > this._lastDraw) {
+      const fps = 1000 / (time - this._lastDraw)
+      this._fps = this._fps === null ? fps : this._fps + SMOOTHING * (fps - this._fps)
+    }
+    this._lastDraw = time
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    this.ctx.lineWidth = this.lineWidth
+    this.ctx.font = this.font
+    if (this.layers.binarized) {
+      this[_drawBinarized](arController)
+    }
+    // The camera matrix projects into the displayed frames
+    const projection = arController.getCameraMatrix()
+    const visible = arController.trackables.filter(trackable => trackable.enabled && trackable.visible)
+    if (projection) {
+      if (this.layers.outlines) {
+        visible.forEach(trackable => this[_drawOutlines](trackable, projection))
+      }
+      if (this.layers.axes) {
+        visible.forEach(trackable => this[_drawAxes](trackable, projection))
+      }
+    }
+    if (this.layers.stats) {
+      this[_drawStats](arController, timing)
+    }
+  }
+
+  /**
+   * Releases the scratch buffers and clears the overlay.
+   */
+  dispose () {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    this._imageCanvas = null
+    this._imageData = null
+  }
+
+  /**
+   * Draws the debug image of the tracker, rotated into the orientation of the displayed frames.
+   * @private
+   */
+  [_drawBinarized] (arController) {
+    const image = arController.getDebugImage()
+    if (!image) return
+    const width = arController.processingWidth
+    const height = arController.processingHeight
+    if (!this._imageData || this._imageData.width !== width || this._imageData.height !== height) {
+      this._imageCanvas = createCanvas(width, height)
+      this._imageData = new ImageData(width, height)
+      // Opaque, only the grey values change from frame to frame
+      for (let j = 3; j < this._imageData.data.length; j += 4) this._imageData.data[j] = 255
+    }
+    const rgba = this._imageData.data
+    for (let i = 0, j = 0; i < image.length; i++, j += 4) {
+      rgba[j] = rgba[j + 1] = rgba[j + 2] = image[i]
+    }
+    this._imageCanvas.getContext('2d').putImageData(this._imageData, 0, 0)
+    // The processed frames are the displayed ones rotated clockwise, rotate them back
+    const degrees = (360 - arController.getOrientation().rotation) % 360
+    const swap = degrees === 90 || degrees === 270
+    const { width: canvasWidth, height: canvasHeight } = this.canvas
+    this.ctx.save()
+    this.ctx.translate(canvasWidth / 2, canvasHeight / 2)
+    this.ctx.rotate(degrees * Math.PI / 180)
+    const drawWidth = swap ? canvasHeight : canvasWidth
+    const drawHeight = swap ? canvasWidth : canvasHeight
+    this.ctx.drawImage(this._imageCanvas, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight)
+    this.ctx.restore()
+  }
+
+  /**
+   * Draws the outline of a square trackable or of every pattern of a multimarker, labelled with the trackable id and
+   * the confidence, the patterns of a multimarker with their barcode id.
+   * @private
+   */
+  [_drawOutlines] (trackable, projection) {
+    const transformation = trackable.rawTransformation || trackable.transformation
+    let patterns
+    if (trackable.trackableType === 'multi') {
+      patterns = trackable.patterns || []
+    } else if (trackable.width > 0) {
+      patterns = [{ matrix: null, width: trackable.width, height: trackable.width }]
+    } else {
+      return
+    }
+    this.ctx.strokeStyle = '#ff0000'
+    this.ctx.fillStyle = '#ff0000'
+    patterns.forEach(pattern => {
+      const matrix = pattern.matrix ? multiplyGLMat(transformation, pattern.matrix, this._patternMatrix) : transformation
+      const mvp = multiplyGLMat(projection, matrix, this._mvp)
+      const corners = CORNERS.map(([cx, cy]) => this[_project](mvp, [cx * pattern.width / 2, cy * pattern.height / 2, 0]))
+      if (corners.some(corner => !corner)) return
+      this.ctx.beginPath()
+      corners.forEach(([x, y], i) => i ? this.ctx.lineTo(x, y) : this.ctx.moveTo(x, y))
+      this.ctx.closePath()
+      this.ctx.stroke()
+      if (pattern.barcodeId >= 0) {
+        const centre = this[_project](mvp, [0, 0, 0])
+        if (centre) this.ctx.fillText(String(pattern.barcodeId), centre[0], centre[1])
+      }
+    })
+    const centre = this[_project](multiplyGLMat(projection, transformation, this._mvp), [0, 0, 0])
+    if (centre) {
+      let label = '#' + trackable.trackableId
+      if (typeof trackable.confidence === 'number') label += ' ' + Math.round(trackable.confidence * 100) + '%'
+      this.ctx.fillText(label, centre[0], centre[1])
+    }
+  }
+
+  /**
+   * Draws the axes of a trackable.
+   * @private
+   */
+  [_drawAxes] (trackable, projection) {
+    const length = this.axisLength || (trackable.width || 80) / 2
+    const mvp = multiplyGLMat(projection, trackable.transformation, this._mvp)
+    const origin = this[_project](mvp, [0, 0, 0])
+    if (!origin) return
+    ;[[length, 0, 0], [0, length, 0], [0, 0, length]].forEach((axis, i) => {
+      const end = this[_project](mvp, axis)
+      if (!end) return
+      this.ctx.strokeStyle = AXIS_COLORS[i]
+      this.ctx.beginPath()
+      this.ctx.moveTo(origin[0], origin[1])
+      this.ctx.lineTo(end[0], end[1])
+      this.ctx.stroke()
+    })
+  }
+
+  /**
+   * Draws the frame rate, the processing time, the threshold and the lighting diagnosis.
+   * @private
+   */
+  [_drawStats] (arController, timing) {
+    const frameStats = arController.getFrameStats()
+    const fps = frameStats ? frameStats.fps : this._fps
+    const duration = timing.duration !== undefined ? timing.duration : frameStats && frameStats.duration
+    const lines = [
+      'fps ' + (fps ? fps.toFixed(1) : '-'),
+      'processing ' + (duration !== undefined && duration !== null ? duration.toFixed(1) + ' ms' : '-'),
+      'threshold ' + arController.getThreshold() + ' ' + arController.getTrackerOptions().thresholdMode
+    ]
+    if (frameStats) {
+      lines.push('skipped ' + frameStats.skippedFrames)
+    }
+    const diagnostics = arController.getLightingDiagnostics()
+    if (diagnostics) {
+      lines.push('lighting ' + diagnostics.lighting)
+    }
+    const lineHeight = parseInt(this.font, 10) * 1.25 || 15
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    this.ctx.fillRect(0, 0, 180, lines.length * lineHeight + 8)
+    this.ctx.fillStyle = '#ffffff'
+    this.ctx.textBaseline = 'top'
+    lines.forEach((line, i) => this.ctx.fillText(line, 4, 4 + i * lineHeight))
+    this.ctx.textBaseline = 'alphabetic'
+  }
+
+  /**
+   * Projects a point given in the coordinates of a trackable into the overlay.
+   *
+   * @param {Float32Array} mvp The camera matrix multiplied with the transformation of the trackable
+   * @returns {Array} [x, y] in canvas pixels, null if the point is behind the camera
+   * @private
+   */
+  [_project] (mvp, [x, y, z]) {
+    const w = mvp[3] * x + mvp[7] * y + mvp[11] * z + mvp[15]
+    if (w <= 0) return null
+    const ndcX = (mvp[0] * x + mvp[4] * y + mvp[8] * z + mvp[12]) / w
+    const ndcY = (mvp[1] * x + mvp[5] * y + mvp[9] * z + mvp[13]) / w
+    // Normalized device coordinates point up, pixel rows down
+    return [(ndcX + 1) / 2 * this.canvas.width, (1 - ndcY) / 2 * this.canvas.height]
+  }
+}
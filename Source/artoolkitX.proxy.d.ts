@@ -0,0 +1,65 @@
+/**
+ * Types of the ARControllerProxy, see artoolkitX.proxy.js.
+ */
+import { ARControllerEventTarget, FrameStatsEventData } from './artoolkitX.events.js'
+import ARController, {
+  ARControllerOptions, CameraParamSource, DebugOverlayOptions, UserMediaARControllerConfig, Webcam, WebcamFrameSource
+} from './artoolkitX.api.js'
+import { RunOptions } from './artoolkitX.scheduler.js'
+
+export type ProxiedMethod =
+  | 'start' | 'addTrackable' | 'removeTrackable' | 'removeAllTrackables' | 'setTrackableEnabled' | 'isTrackableEnabled'
+  | 'getTransMatSquare' | 'getCameraMatrix' | 'getCameraParam' | 'getOrientation' | 'setOrientation'
+  | 'setRegionOfInterest' | 'getRegionOfInterest' | 'setLostGracePeriod' | 'getLostGracePeriod'
+  | 'startRecording' | 'stopRecording' | 'isRecording'
+  | 'setThresholdMode' | 'getThresholdMode' | 'setThreshold' | 'getThreshold'
+  | 'setPatternDetectionMode' | 'getPatternDetectionMode' | 'setMatrixCodeType' | 'getMatrixCodeType'
+  | 'setLabelingMode' | 'getLabelingMode' | 'setPattRatio' | 'getPattRatio' | 'setImageProcMode' | 'getImageProcMode'
+  | 'setTrackerOptions' | 'getTrackerOptions' | 'setAutoThreshold' | 'isAutoThreshold' | 'getLightingDiagnostics'
+  | 'setDebugOverlayLayer' | 'setLogLevel' | 'getLogLevel'
+
+/** Methods of the ARController which are forwarded to the worker */
+export const PROXIED_METHODS: ProxiedMethod[]
+
+/** The ARController methods as called through the worker, all of them return a Promise. start is the proxy's own */
+export type ProxiedARController = {
+  [Method in Exclude<ProxiedMethod, 'start'>]: (...args: Parameters<ARController[Method]>) => Promise<Awaited<ReturnType<ARController[Method]>>>
+}
+
+export interface ARControllerProxyOptions extends ARControllerOptions {
+  /** URL of artoolkitX.worker.js, defaults to the one next to artoolkitX.proxy.js */
+  workerUrl?: string | URL
+  /** URL of artoolkitx.wasm */
+  wasmUrl?: string
+}
+
+export type ARControllerProxyImage = HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | Webcam | WebcamFrameSource
+
+/** Runs an ARController inside a Web Worker */
+declare class ARControllerProxy extends ARControllerEventTarget {
+  constructor (image: ARControllerProxyImage | null | undefined, cameraPara: CameraParamSource,
+    confWidth?: number, confHeight?: number, options?: ARControllerProxyOptions)
+  /** Opens the device camera on the main thread */
+  static getUserMediaARController (configuration: UserMediaARControllerConfig & Pick<ARControllerProxyOptions, 'workerUrl' | 'wasmUrl'>): Promise<ARControllerProxy>
+  /** The video of a Webcam */
+  image: HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | null | undefined
+  /** The Webcam started by start() */
+  webcam: Webcam | null
+  videoWidth: number
+  videoHeight: number
+  worker: Worker
+  /** Starts the Webcam stream on the main thread and the ARController in the worker */
+  start (): Promise<void>
+  /** Resolves into true once the frame is processed, false if it was dropped */
+  process (image?: HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | ImageBitmap | ArrayBuffer | Uint8ClampedArray): Promise<boolean>
+  run (options?: RunOptions): void
+  stop (): void
+  isRunning (): boolean
+  getFrameStats (): FrameStatsEventData | null
+  /** The canvas is transferred to the worker, the page can't draw on it afterwards */
+  setDebugOverlay (canvas: HTMLCanvasElement | OffscreenCanvas | null, options?: DebugOverlayOptions): Promise<void>
+  dispose (): Promise<void>
+}
+interface ARControllerProxy extends ProxiedARController {}
+
+export default ARControllerProxy
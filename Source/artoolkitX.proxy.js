@@ -0,0 +1,452 @@
+import { CameraParam } from './artoolkitX.cameraparam.js'
+import { FrameScheduler } from './artoolkitX.scheduler.js'
+import { ARControllerEventTarget, FrameStatsEvent, ListenerErrorEvent, createEvent } from './artoolkitX.events.js'
+
+/**
+ * Methods of the ARController which are forwarded to the worker.
+ * All of them return a Promise on the proxy which resolves into the ARController return value.
+ */
+export const PROXIED_METHODS = [
+  'start',
+  'addTrackable',
+  'removeTrackable',
+  'removeAllTrackables',
+  'setTrackableEnabled',
+  'isTrackableEnabled',
+  'getTransMatSquare',
+  'getCameraMatrix',
+  'getCameraParam',
+  'getOrientation',
+  'setOrientation',
+  'setRegionOfInterest',
+  'getRegionOfInterest',
+  'setLostGracePeriod',
+  'getLostGracePeriod',
+  'startRecording',
+  'stopRecording',
+  'isRecording',
+  'setThresholdMode',
+  'getThresholdMode',
+  'setThreshold',
+  'getThreshold',
+  'setPatternDetectionMode',
+  'getPatternDetectionMode',
+  'setMatrixCodeType',
+  'getMatrixCodeType',
+  'setLabelingMode',
+  'getLabelingMode',
+  'setPattRatio',
+  'getPattRatio',
+  'setImageProcMode',
+  'getImageProcMode',
+  'setTrackerOptions',
+  'getTrackerOptions',
+  'setAutoThreshold',
+  'isAutoThreshold',
+  'getLightingDiagnostics',
+  'setDebugOverlayLayer',
+  'setLogLevel',
+  'getLogLevel'
+]
+
+// Events dispatched by the proxy itself rather than forwarded from the worker
+const LOCAL_EVENTS = ['frameStats', 'listenererror']
+
+const _call = Symbol('_call')
+const _reportError = Symbol('_reportError')
+const _startVideo = Symbol('_startVideo')
+const _onMessage = Symbol('_onMessage')
+const _toFrame = Symbol('_toFrame')
+
+/**
+        The ARControllerProxy runs an ARController, including the artoolkitX WASM module, inside a Web Worker.
+
+        Image conversion, copying into the Emscripten heap and marker detection then happen off the main thread.
+        Frames are handed to the worker as transferable ImageBitmap or ArrayBuffer objects and the detection
+        results come back as the same events that ARController dispatches (getMarker, trackableFound, ...).
+
+        The proxy mirrors the public ARController interface. As every call is a message to the worker,
+        all methods (see PROXIED_METHODS) return a Promise.
+
+        A Webcam (see ARController.getUserMedia), a WebcamFrameSource or a video playing a camera stream is started on the
+        main thread, in start(), and its frames are sent to the worker. See also ARControllerProxy.getUserMediaARController.
+
+        Import this module instead of artoolkitX.api.js to keep the WASM module off the main thread:
+
+            import ARControllerProxy from './artoolkitX.proxy.js'
+            const arController = new ARControllerProxy(video, 'Data/camera_para.dat', 640, 480)
+            await arController.start()
+
+        @exports ARControllerProxy
+        @constructor
+
+        @param {HTMLImageElement | HTMLVideoElement | HTMLCanvasElement | Webcam | WebcamFrameSource} image The default
+            image to process.
+        @param {string} cameraPara A string to the camera para to use for image processing.
+        @param {number} [confWidth] Width of the processed frames if it can't be read from image.
+        @param {number} [confHeight] Height of the processed frames if it can't be read from image.
+        @param {object} [options] {workerUrl: URL of artoolkitX.worker.js, wasmUrl: URL of artoolkitx.wasm}, and the
+            processingScale, maxProcessingSize, regionOfInterest and trackerOptions options of the ARController constructor
+    */
+export default class ARControllerProxy extends ARControllerEventTarget {
+  constructor (image, cameraPara, confWidth, confHeight, options = {}) {
+    super()
+    // Event types the worker forwards, see addEventListener
+    this._forwarded = new Set()
+    this.image = image
+    this.webcam = null
+    this.videoWidth = confWidth
+    this.videoHeight = confHeight
+    if (image && image.webcam) { // frame source of a Webcam
+      this.webcam = image.webcam
+    } else if (image && image.video && typeof image.startStream === 'function') { // image is a Webcam
+      this.webcam = image
+    } else if (image && image.srcObject) { // image is a video of a camera stream
+      const videoTrack = image.srcObject.getVideoTracks ? image.srcObject.getVideoTracks()[0] : null
+      const settings = videoTrack && videoTrack.getSettings ? videoTrack.getSettings() : {}
+      this.videoWidth = settings.width || confWidth
+      this.videoHeight = settings.height || confHeight
+    } else if (image) {
+      this.videoWidth = image.videoWidth || image.width || confWidth
+      this.videoHeight = image.videoHeight || image.height || confHeight
+    }
+    if (this.webcam) {
+      this.image = this.webcam.video
+    }
+    // Webcam.startStream sizes the canvas of an ARController, the proxy has none
+    this.canvas = null
+    this.ctx = null
+    this.cameraParaFileURL = cameraPara
+
+    this._pending = new Map()
+    this._nextId = 0
+    this._busy = false
+    // Resolves once the ARController in the worker is started, see start
+    this._started = null
+    // The render loop of run() and the ids of the found trackables it needs for the idle mode
+    this.scheduler = null
+    this._found = null
+
+    const workerUrl = options.workerUrl || new URL('./artoolkitX.worker.js', import.meta.url)
+    this.worker = new Worker(workerUrl, { type: 'module' })
+    this.worker.onmessage = this[_onMessage].bind(this)
+    this[_call]('init', {
+      width: this.videoWidth,
+      height: this.videoHeight,
+      cameraPara: cameraPara,
+      options: {
+        processingScale: options.processingScale,
+        maxProcessingSize: options.maxProcessingSize,
+        regionOfInterest: options.regionOfInterest,
+        trackerOptions: options.trackerOptions
+      },
+      wasmUrl: options.wasmUrl || (typeof window !== 'undefined' ? window.artoolkitX_wasm_url : undefined)
+    }).catch(e => {
+      console.error('Unable to initialise the artoolkitX worker: ' + e.message)
+    })
+
+    // There is no screen in the worker, the orientation is followed here. Nobody awaits these calls, a failure is
+    // reported to the orientationchange listeners
+    this._onScreenOrientationChange = () => {
+      this.setOrientation(screen.orientation.angle).catch(error => this[_reportError](error, 'orientationchange'))
+    }
+    if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.addEventListener) {
+      this._onScreenOrientationChange()
+      screen.orientation.addEventListener('change', this._onScreenOrientationChange)
+    }
+  }
+
+  /**
+        Starts the camera stream of a Webcam on the main thread and the ARController in the worker, see
+        ARController.start. Called by process() if the proxy isn't started yet.
+
+        The size of the frames of a camera stream is only known once it plays, it is passed on to the worker.
+
+        @return {Promise} Resolves once the ARController in the worker is started
+    */
+  start () {
+    this._started = this[_startVideo]().then(() => {
+      return this[_call]('start', { width: this.videoWidth, height: this.videoHeight })
+    })
+    return this._started
+  }
+
+  /**
+        Sends an image to the worker for marker detection.
+        While the worker is still busy with the previous frame the image is dropped, so frames never pile up.
+
+        If no image is given, defaults to this.image.
+        @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ArrayBuffer|Uint8ClampedArray} [image]
+            The image to process. Buffers are taken as RGBA pixels of videoWidth x videoHeight. ImageBitmaps and
+            ArrayBuffers are transferred to the worker and can't be used by the caller afterwards.
+        @return {Promise<boolean>} Resolves into true once the frame is processed, false if it was dropped.
+    */
+  async process (image) {
+    if (!image) { image = this.image }
+    if (this._busy) {
+      return false
+    }
+    this._busy = true
+    try {
+      await (this._started || this.start())
+      if (this.webcam && !this.webcam.isPlaying) {
+        return false
+      }
+      const frame = await this[_toFrame](image)
+      const transfer = frame.data ? [frame.data] : [frame]
+      await this[_call]('frame', { frame: frame }, transfer)
+      return true
+    } finally {
+      this._busy = false
+    }
+  }
+
+  /**
+        Sends the frames of the video to the worker continuously until stop() is called, see ARController.run.
+        The scheduler runs on the main thread, where the video is.
+
+        @param {object} [options] budget, idleInterval and fps, see ARController.run
+    */
+  run (options = {}) {
+    this.stop()
+    if (!this._found) {
+      this._found = new Set()
+      this.addEventListener('trackableFound', event => this._found.add(event.data.trackableId))
+      this.addEventListener('trackableLost', event => this._found.delete(event.data.trackableId))
+    }
+    const video = typeof HTMLVideoElement !== 'undefined' && this.image instanceof HTMLVideoElement ? this.image : null
+    this.scheduler = new FrameScheduler(() => this.process(), Object.assign({}, options, {
+      video: video,
+      isIdle: () => !this._found.size,
+      onStats: stats => this.dispatchEvent(new FrameStatsEvent('frameStats', stats))
+    }))
+    this.scheduler.start()
+  }
+
+  /**
+        Stops sending the frames of the video, see run().
+    */
+  stop () {
+    if (this.scheduler) {
+      this.scheduler.stop()
+      this.scheduler = null
+    }
+  }
+
+  /**
+        @return {boolean} true between run() and stop()
+    */
+  isRunning () {
+    return !!this.scheduler
+  }
+
+  /**
+        @return {object} The timing of the last frame sent by run(), see ARController.getFrameStats.
+            The duration includes the transfer to the worker.
+    */
+  getFrameStats () {
+    return this.scheduler ? this.scheduler.stats : null
+  }
+
+  /**
+        Returns the camera parameters the ARController in the worker was started with.
+
+        @return {Promise<CameraParam>} Resolves into the camera parameters or null, see ARController.getCameraParam.
+    */
+  async getCameraParam () {
+    const param = await this[_call]('call', { method: 'getCameraParam', args: [] })
+    return param ? new CameraParam(param) : null
+  }
+
+  /**
+        Renders the debug overlay of the ARController in the worker into the given canvas, see
+        ARController.setDebugOverlay. The canvas is transferred to the worker with transferControlToOffscreen, so the
+        page can't draw on it afterwards and it can only be given to the proxy once.
+
+        @param {HTMLCanvasElement|OffscreenCanvas} canvas The canvas to render into, null to remove the overlay
+        @param {object} [options] layers, axisLength, lineWidth and font, see ARController.setDebugOverlay
+        @return {Promise} Resolves once the overlay is set up
+    */
+  setDebugOverlay (canvas, options = {}) {
+    const offscreen = canvas && canvas.transferControlToOffscreen ? canvas.transferControlToOffscreen() : canvas
+    return this[_call]('debugOverlay', { canvas: offscreen, options: options }, offscreen ? [offscreen] : [])
+  }
+
+  /**
+        Destroys the ARController inside the worker and terminates the worker.
+    */
+  async dispose () {
+    this.stop()
+    if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.removeEventListener) {
+      screen.orientation.removeEventListener('change', this._onScreenOrientationChange)
+    }
+    if (this.webcam) {
+      this.webcam.stopStream()
+    } else if (this.image && this.image.srcObject) {
+      this.image.srcObject.getTracks().forEach(track => track.stop())
+      this.image.srcObject = null
+    }
+    try {
+      await this[_call]('dispose')
+    } finally {
+      this.worker.terminate()
+      this._pending.forEach(pending => pending.reject(new Error('ARControllerProxy disposed')))
+      this._pending.clear()
+    }
+  }
+
+  /**
+        Add an event listener for the named event. See ARController.addEventListener for the available events.
+        The worker only forwards events which have listeners on the proxy. If it can't, e.g. as the ARController in the
+        worker failed to initialise, a listenererror event is dispatched.
+
+        @param {string} name Name of the event to listen to.
+        @param {function} callback Callback function to call when an event with the given name is dispatched.
+        @param {object} [options] {once, signal}, see EventTarget.addEventListener
+    */
+  addEventListener (name, callback, options) {
+    if (!this._forwarded.has(name) && !LOCAL_EVENTS.includes(name)) {
+      this._forwarded.add(name)
+      this[_call]('listen', { name: name }).catch(error => this[_reportError](error, name))
+    }
+    super.addEventListener(name, callback, options)
+  };
+
+  /**
+        ARControllerProxy.getUserMediaARController opens the device camera on the main thread and returns an
+        ARControllerProxy processing its video in the worker, see ARController.getUserMediaARController.
+
+        @param {object} configuration cameraParam, width, height, facingMode, deviceId, fps, maxARVideoSize,
+            processingScale, regionOfInterest and trackerOptions as for ARController.getUserMediaARController, and
+            workerUrl and wasmUrl, see the constructor
+        @return {Promise<ARControllerProxy>} The proxy, its image is the video of the camera.
+    */
+  static async getUserMediaARController (configuration) {
+    const video = document.createElement('video')
+    video.setAttribute('playsinline', 'playsinline')
+    video.setAttribute('autoplay', 'autoplay')
+    video.srcObject = await navigator.mediaDevices.getUserMedia({
+      audio: false,
+      video: {
+        width: configuration.width,
+        height: configuration.height,
+        facingMode: configuration.facingMode || 'environment',
+        deviceId: configuration.deviceId,
+        frameRate: configuration.fps || 30
+      }
+    })
+    await video.play()
+    return new ARControllerProxy(video, configuration.cameraParam, undefined, undefined, {
+      processingScale: configuration.processingScale,
+      maxProcessingSize: configuration.maxARVideoSize,
+      regionOfInterest: configuration.regionOfInterest,
+      trackerOptions: configuration.trackerOptions,
+      workerUrl: configuration.workerUrl,
+      wasmUrl: configuration.wasmUrl
+    })
+  }
+
+  // private
+
+  /**
+     * Starts the stream of a Webcam and waits for the size of the frames of a camera stream.
+     * @private
+     */
+  async [_startVideo] () {
+    if (this.webcam) {
+      // Sets videoWidth and videoHeight
+      await this.webcam.startStream(this)
+      return
+    }
+    const video = this.image
+    if (!video || !video.srcObject || this.videoWidth) {
+      return
+    }
+    if (!video.videoWidth) {
+      await new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }))
+    }
+    this.videoWidth = video.videoWidth
+    this.videoHeight = video.videoHeight
+  }
+
+  /**
+     * Reports an error of the worker which no caller awaits, e.g. forwarding events or following the screen
+     * orientation, as listenererror event on behalf of the listeners of an event type. The error is logged unless a
+     * listener cancels the event.
+     *
+     * @param {Error} error
+     * @param {string} type The event type
+     * @private
+     */
+  [_reportError] (error, type) {
+    if (this.dispatchEvent(new ListenerErrorEvent({ error: error, type: type }))) {
+      console.error('Error in the artoolkitX worker (' + type + '): ' + (error && error.message ? error.message : error))
+    }
+  }
+
+  /**
+     * Posts a message to the worker and returns a Promise for its answer.
+     *
+     * @param {string} type The message type, see artoolkitX.worker.js
+     * @param {object} [payload] Message content
+     * @param {Array} [transfer] Objects to transfer to the worker
+     * @returns {Promise} Resolves into the result of the call in the worker
+     * @private
+     */
+  [_call] (type, payload = {}, transfer = []) {
+    return new Promise((resolve, reject) => {
+      const id = this._nextId++
+      this._pending.set(id, { resolve: resolve, reject: reject })
+      this.worker.postMessage(Object.assign({ type: type, id: id }, payload), transfer)
+    })
+  }
+
+  /**
+     * Handles results, errors and events sent by the worker.
+     * @private
+     */
+  [_onMessage] (e) {
+    const message = e.data
+    if (message.type === 'event') {
+      this.dispatchEvent(createEvent(message.name, message.data))
+      return
+    }
+    const pending = this._pending.get(message.id)
+    if (!pending) return
+    this._pending.delete(message.id)
+    if (message.type === 'error') {
+      pending.reject(new Error(message.message))
+    } else {
+      pending.resolve(message.result)
+    }
+  }
+
+  /**
+     * Converts the given image into something that can be transferred to the worker.
+     *
+     * @param {*} image See {@link #process}
+     * @returns {Promise<ImageBitmap|object>} An ImageBitmap or {data: ArrayBuffer, width, height}
+     * @private
+     */
+  async [_toFrame] (image) {
+    if (image instanceof ArrayBuffer) {
+      return { data: image, width: this.videoWidth, height: this.videoHeight }
+    }
+    if (ArrayBuffer.isView(image)) {
+      const data = image.buffer.slice(image.byteOffset, image.byteOffset + image.byteLength)
+      return { data: data, width: this.videoWidth, height: this.videoHeight }
+    }
+    if (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap) {
+      return image
+    }
+    return createImageBitmap(image)
+  }
+}
+
+PROXIED_METHODS.forEach(method => {
+  // Methods implemented by the proxy itself convert the result of the call
+  if (ARControllerProxy.prototype[method]) return
+  ARControllerProxy.prototype[method] = function (...args) {
+    return this[_call]('call', { method: method, args: args })
+  }
+})
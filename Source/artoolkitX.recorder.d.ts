@@ -0,0 +1,88 @@
+/**
+ * Types of the session recording, see artoolkitX.recorder.js.
+ */
+import { PoseTrack } from './artoolkitX.analysis.js'
+import { TrackerOptionsState } from './artoolkitX.api.js'
+import { PoseFilterLike, PoseFilterOptions } from './artoolkitX.filters.js'
+import { Region } from './artoolkitX.framesource.js'
+
+export type SessionPixelFormat = 'MONO' | 'RGBA'
+
+export interface SessionRecorderOptions {
+  width: number
+  height: number
+  /** 'MONO' to record the luma or 'RGBA' to record the colour frames, defaults to 'MONO' */
+  pixelFormat?: SessionPixelFormat
+  /** Content of the camera parameter file, null if none is used */
+  cameraParam?: Uint8Array | null
+  /** The tracker options at the start of the recording */
+  trackerOptions?: Partial<TrackerOptionsState>
+  /** Frames after this are not recorded, defaults to no limit */
+  maxFrames?: number
+}
+
+/** A trackable registered before or during the recording */
+export interface SessionTrackable {
+  /** Index of the frame before which the trackable was registered */
+  frame: number
+  trackableId: number
+  trackableType: string
+  /** The configuration string given to artoolkitX */
+  config: string
+  /** 'template' and/or 'barcode' */
+  patternTypes: string[]
+  enabled: boolean
+  /** Custom filters are not recorded */
+  filter: Exclude<PoseFilterOptions, PoseFilterLike> | null
+}
+
+/** A change of a recorded trackable before the frame */
+export type SessionTrackableChange = { frame: number, trackableId: number } & ({ removed: true } | { enabled: boolean })
+
+export interface SessionFrame {
+  /** Time of the frame in milliseconds */
+  timestamp: number
+  /** Luma or RGBA pixels, depending on the pixel format */
+  pixels: Uint8Array
+  /** The tracker options changed before the frame */
+  options?: Partial<TrackerOptionsState>
+  /** The region of interest in pixels if it changed before the frame, null for the full frame */
+  region?: Region | null
+}
+
+/** A decoded session archive */
+export interface Session {
+  width: number
+  height: number
+  pixelFormat: SessionPixelFormat
+  cameraParam: Uint8Array | null
+  /** The files of the trackables, path -> content */
+  files: Map<string, Uint8Array>
+  trackables: SessionTrackable[]
+  changes: SessionTrackableChange[]
+  trackerOptions: Partial<TrackerOptionsState>
+  frames: SessionFrame[]
+  /** The poses recorded with the session */
+  poses: PoseTrack
+}
+
+/** Collects the data of a session while it is recorded and encodes it into an archive */
+export class SessionRecorder {
+  constructor (options: SessionRecorderOptions)
+  readonly width: number
+  readonly height: number
+  readonly pixelFormat: SessionPixelFormat
+  readonly maxFrames: number
+  readonly poses: PoseTrack
+  /** @param files The files the trackable was loaded from as path -> content */
+  addTrackable (trackable: Omit<SessionTrackable, 'frame'>, files: Map<string, Uint8Array>): void
+  changeTrackable (trackableId: number, change: { removed: true } | { enabled: boolean }): void
+  /** @returns false if the frame wasn't recorded as maxFrames is reached */
+  addFrame (pixels: Uint8Array | Uint8ClampedArray, timestamp: number, trackerOptions: Partial<TrackerOptionsState>, region?: Region | null): boolean
+  /** Adds the poses of the trackables after processing the last added frame */
+  addPoses (trackables: Array<{ trackableId: number, visible: boolean, transformation: ArrayLike<number> }>): void
+  /** @param compress gzip the archive, defaults to true where CompressionStream is available */
+  encode (options?: { compress?: boolean }): Promise<Uint8Array>
+}
+
+export function decodeSession (archive: Uint8Array | ArrayBuffer | Blob): Promise<Session>
@@ -0,0 +1,251 @@
+/*
+ * Recording of ARController sessions for deterministic debugging, see ARController.startRecording
+ * and ARController.replay.
+ *
+ * A session archive contains everything the tracker saw: the camera parameters, the files of the
+ * registered trackables, the tracker options and the luma (or RGBA) pixels, timestamps and regions of interest of
+ * every processed frame. Replaying it on another device runs the same frames through artoolkitX again,
+ * the recorded poses are stored with it to compare the result.
+ *
+ * Archive layout:
+ *     bytes 0-3   magic 'ARXS'
+ *     byte  4     format version
+ *     byte  5     flags, bit 0 set if the rest is gzip compressed
+ *     bytes 6-7   reserved
+ *     payload     uint32 (little endian) length of the header, the JSON header (UTF-8), the blobs
+ *
+ * The header references the camera parameters, files and frames by their offset and length in the blobs.
+ */
+/* global CompressionStream, DecompressionStream */
+import { PoseTrack } from './artoolkitX.analysis.js'
+
+const MAGIC = 'ARXS'
+const VERSION = 1
+const FLAG_GZIP = 1
+
+/**
+ * Collects the data of a session while it is recorded and encodes it into an archive.
+ *
+ * @param {object} options
+ *     width: {number} width of the frames
+ *     height: {number} height of the frames
+ *     pixelFormat: {string} 'MONO' to record the luma or 'RGBA' to record the colour frames
+ *     cameraParam: {Uint8Array} content of the camera parameter file, null if none is used
+ *     trackerOptions: {object} the tracker options at the start of the recording
+ *     maxFrames: {number} frames after this are not recorded. Defaults to no limit.
+ */
+export class SessionRecorder {
+  constructor ({ width, height, pixelFormat = 'MONO', cameraParam = null, trackerOptions = {}, maxFrames = Infinity }) {
+    this.width = width
+    this.height = height
+    this.pixelFormat = pixelFormat
+    this.cameraParam = cameraParam ? Uint8Array.from(cameraParam) : null
+    this.trackerOptions = Object.assign({}, trackerOptions)
+    this.maxFrames = maxFrames
+    this.files = new Map()
+    this.trackables = []
+    this.changes = []
+    this.frames = []
+    this.poses = new PoseTrack()
+    this._lastOptions = this.trackerOptions
+    this._lastRegion = null
+  }
+
+  /**
+   * Adds a trackable registered before or during the recording.
+   *
+   * @param {object} trackable {trackableId, config, trackableType, patternTypes, enabled, filter}, config being
+   *     the configuration string given to artoolkitX.
+   * @param {Map} files The files the trackable was loaded from as path -> content
+   */
+  addTrackable (trackable, files) {
+    files.forEach((bytes, path) => {
+      this.files.set(path, Uint8Array.from(bytes))
+    })
+    this.trackables.push({
+      frame: this.frames.length,
+      trackableId: trackable.trackableId,
+      trackableType: trackable.trackableType,
+      config: trackable.config,
+      patternTypes: trackable.patternTypes,
+      enabled: trackable.enabled,
+      filter: trackable.filter || null
+    })
+  }
+
+  /**
+   * Adds a change of a recorded trackable.
+   *
+   * @param {number} trackableId
+   * @param {object} change {removed: true} or {enabled: boolean}
+   */
+  changeTrackable (trackableId, change) {
+    this.changes.push(Object.assign({ frame: this.frames.length, trackableId: trackableId }, change))
+  }
+
+  /**
+   * Adds a frame. The pixels are copied.
+   *
+   * @param {Uint8Array|Uint8ClampedArray} pixels Luma or RGBA pixels, depending on the pixel format
+   * @param {number} timestamp Time of the frame in milliseconds
+   * @param {object} trackerOptions The tracker options the frame is processed with, only changes are stored
+   * @param {object} [region] The region of interest {x, y, width, height} the frame is searched in, null for the full
+   *     frame. Only changes are stored.
+   * @returns {boolean} false if the frame wasn't recorded as maxFrames is reached
+   */
+  addFrame (pixels, timestamp, trackerOptions, region = null) {
+    if (this.frames.length >= this.maxFrames) {
+      return false
+    }
+    const size = this.width * this.height * (this.pixelFormat === 'RGBA' ? 4 : 1)
+    if (!pixels || pixels.length !== size) {
+      throw new Error('Recorded frames must have ' + size + ' bytes of ' + this.pixelFormat + ' pixels')
+    }
+    const frame = { timestamp: timestamp, pixels: Uint8Array.from(pixels) }
+    const changes = {}
+    Object.keys(trackerOptions).forEach(name => {
+      if (trackerOptions[name] !== this._lastOptions[name]) changes[name] = trackerOptions[name]
+    })
+    if (Object.keys(changes).length) {
+      frame.options = changes
+    }
+    this._lastOptions = Object.assign({}, trackerOptions)
+    if (JSON.stringify(region) !== JSON.stringify(this._lastRegion)) {
+      frame.region = region
+      this._lastRegion = region
+    }
+    this.frames.push(frame)
+    return true
+  }
+
+  /**
+   * Adds the poses of the trackables after processing the last added frame.
+   * @param {Array} trackables The trackables of the ARController
+   */
+  addPoses (trackables) {
+    const frame = this.frames[this.frames.length - 1]
+    trackables.forEach(trackable => {
+      this.poses.add(this.frames.length - 1, frame.timestamp, trackable.trackableId, trackable.visible, trackable.transformation)
+    })
+  }
+
+  /**
+   * Encodes the session into an archive.
+   *
+   * @param {object} [options]
+   *     compress: {boolean} gzip the archive, defaults to true where CompressionStream is available
+   * @returns {Promise<Uint8Array>} The archive
+   */
+  async encode ({ compress = typeof CompressionStream !== 'undefined' } = {}) {
+    const blobs = []
+    let offset = 0
+    const addBlob = (bytes) => {
+      const ref = { offset: offset, length: bytes.length }
+      blobs.push(bytes)
+      offset += bytes.length
+      return ref
+    }
+    const header = {
+      width: this.width,
+      height: this.height,
+      pixelFormat: this.pixelFormat,
+      cameraParam: this.cameraParam ? addBlob(this.cameraParam) : null,
+      files: [],
+      trackables: this.trackables,
+      changes: this.changes,
+      trackerOptions: this.trackerOptions,
+      frames: [],
+      poses: this.poses.toJSON()
+    }
+    this.files.forEach((bytes, path) => {
+      header.files.push(Object.assign({ path: path }, addBlob(bytes)))
+    })
+    this.frames.forEach(frame => {
+      const entry = Object.assign({ timestamp: frame.timestamp }, addBlob(frame.pixels))
+      if (frame.options) entry.options = frame.options
+      if (frame.region !== undefined) entry.region = frame.region
+      header.frames.push(entry)
+    })
+
+    const json = new TextEncoder().encode(JSON.stringify(header))
+    let payload = new Uint8Array(4 + json.length + offset)
+    new DataView(payload.buffer).setUint32(0, json.length, true)
+    payload.set(json, 4)
+    let position = 4 + json.length
+    blobs.forEach(bytes => {
+      payload.set(bytes, position)
+      position += bytes.length
+    })
+    if (compress) {
+      payload = await transform(payload, new CompressionStream('gzip'))
+    }
+
+    const archive = new Uint8Array(8 + payload.length)
+    for (let i = 0; i < 4; i++) archive[i] = MAGIC.charCodeAt(i)
+    archive[4] = VERSION
+    archive[5] = compress ? FLAG_GZIP : 0
+    archive.set(payload, 8)
+    return archive
+  }
+}
+
+/**
+ * Decodes a session archive.
+ *
+ * @param {Uint8Array|ArrayBuffer|Blob} archive
+ * @returns {Promise<object>} The session
+ *     {
+ *         width, height, pixelFormat,
+ *         cameraParam: {Uint8Array|null},
+ *         files: {Map} path -> Uint8Array,
+ *         trackables: {Array} [{frame, trackableId, trackableType, config, patternTypes, enabled, filter}],
+ *         changes: {Array} [{frame, trackableId, removed}] or [{frame, trackableId, enabled}],
+ *         trackerOptions: {object},
+ *         frames: {Array} [{timestamp, pixels, options, region}], options and region where they changed,
+ *         poses: {PoseTrack} the poses recorded with the session
+ *     }
+ */
+export const decodeSession = async (archive) => {
+  if (typeof Blob !== 'undefined' && archive instanceof Blob) {
+    archive = await archive.arrayBuffer()
+  }
+  const bytes = archive instanceof ArrayBuffer ? new Uint8Array(archive) : archive
+  if (bytes.length < 8 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== MAGIC) {
+    throw new Error('Not an artoolkitX session archive')
+  }
+  if (bytes[4] !== VERSION) {
+    throw new Error('Unsupported session archive version: ' + bytes[4])
+  }
+  let payload = bytes.subarray(8)
+  if (bytes[5] & FLAG_GZIP) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('The session archive is compressed but DecompressionStream is not available')
+    }
+    payload = await transform(payload, new DecompressionStream('gzip'))
+  }
+
+  const headerLength = new DataView(payload.buffer, payload.byteOffset, payload.byteLength).getUint32(0, true)
+  const header = JSON.parse(new TextDecoder().decode(payload.subarray(4, 4 + headerLength)))
+  const blobs = payload.subarray(4 + headerLength)
+  const blob = (ref) => blobs.subarray(ref.offset, ref.offset + ref.length)
+
+  const files = new Map()
+  header.files.forEach(file => files.set(file.path, blob(file)))
+  return {
+    width: header.width,
+    height: header.height,
+    pixelFormat: header.pixelFormat,
+    cameraParam: header.cameraParam ? blob(header.cameraParam) : null,
+    files: files,
+    trackables: header.trackables,
+    changes: header.changes || [],
+    trackerOptions: header.trackerOptions,
+    frames: header.frames.map(frame => ({ timestamp: frame.timestamp, pixels: blob(frame), options: frame.options, region: frame.region })),
+    poses: PoseTrack.fromJSON(header.poses)
+  }
+}
+
+const transform = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream))
+  return new Uint8Array(await response.arrayBuffer())
+}
@@ -0,0 +1,32 @@
+/**
+ * Types of the frame scheduler, see artoolkitX.scheduler.js.
+ */
+import { FrameStatsEventData } from './artoolkitX.events.js'
+
+/** The options of ARController.run */
+export interface RunOptions {
+  /** Average time in milliseconds processing may take per video frame, defaults to 20 */
+  budget?: number
+  /** Only every n-th frame is processed while no trackable is found, defaults to 1 */
+  idleInterval?: number
+  /** Polling rate where there is no requestAnimationFrame, defaults to 30 */
+  fps?: number
+}
+
+export interface FrameSchedulerOptions extends RunOptions {
+  /** The video the frames are taken from, without video every poll is processed */
+  video?: HTMLVideoElement | null
+  /** Returns true while nothing is tracked */
+  isIdle?: () => boolean
+  onStats?: ((stats: FrameStatsEventData) => void) | null
+}
+
+/** Schedules the processing of video frames */
+export class FrameScheduler {
+  constructor (process: () => unknown, options?: FrameSchedulerOptions)
+  running: boolean
+  /** Timing of the last processed frame, null before the first one */
+  stats: FrameStatsEventData | null
+  start (): void
+  stop (): void
+}
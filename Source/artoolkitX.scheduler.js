@@ -0,0 +1,172 @@
+/*
+ * Schedules the processing of video frames, see ARController.run.
+ *
+ * Where the video supports requestVideoFrameCallback it calls back once per new video frame. Otherwise the video
+ * is polled with requestAnimationFrame (or a timer outside of the browser) and polls without new video data are
+ * skipped. The next frame is only requested once the previous one is processed, so frames never pile up.
+ *
+ * The processing rate adapts to a budget: if processing takes longer than the budget on average, the following
+ * video frames are skipped so the average processing time per video frame stays within it. While idle, i.e.
+ * nothing is tracked, only every idleInterval-th frame is processed to save power.
+ */
+import { now } from './artoolkitX.utils.js'
+
+// Weight of the latest frame in the moving averages of the timing stats
+const SMOOTHING = 0.1
+// readyState of a video which has the data of the current frame, HTMLMediaElement.HAVE_CURRENT_DATA
+const HAVE_CURRENT_DATA = 2
+
+const _schedule = Symbol('_schedule')
+const _onFrame = Symbol('_onFrame')
+
+/**
+ * @param {function} process Processes the current frame, may return a Promise
+ * @param {object} [options]
+ *     video: {HTMLVideoElement} the video the frames are taken from. Without video every poll is processed.
+ *     budget: {number} average time in milliseconds processing may take per video frame, defaults to 20
+ *     idleInterval: {number} only process every n-th frame while idle, defaults to 1 (every frame)
+ *     isIdle: {function} returns true while nothing is tracked
+ *     fps: {number} polling rate where there is no requestAnimationFrame, defaults to 30
+ *     onStats: {function} called with the timing stats (see stats) after every processed frame
+ */
+export class FrameScheduler {
+  constructor (process, options = {}) {
+    const { video = null, budget = 20, idleInterval = 1, isIdle = () => false, fps = 30, onStats = null } = options
+    if (!(budget > 0)) {
+      throw new Error('The processing budget has to be a positive number of milliseconds, not ' + budget)
+    }
+    if (!Number.isInteger(idleInterval) || idleInterval < 1) {
+      throw new Error('idleInterval has to be a positive integer, not ' + idleInterval)
+    }
+    this.process = process
+    this.video = video
+    this.budget = budget
+    this.idleInterval = idleInterval
+    this.isIdle = isIdle
+    this.fps = fps
+    this.onStats = onStats
+    this.running = false
+    /**
+     * Timing of the last processed frame, null before the first one:
+     *     {
+     *         timestamp: {number} time processing started, see performance.now
+     *         duration: {number} milliseconds processing took
+     *         averageDuration: {number} moving average of duration
+     *         interval: {number} milliseconds since the previous processed frame, null for the first one
+     *         fps: {number} moving average of the processed frames per second
+     *         skippedFrames: {number} new frames skipped since the previous processed frame, for the budget or while idle
+     *         idle: {boolean} whether nothing was tracked before the frame
+     *     }
+     */
+    this.stats = null
+    this._cancel = null
+    this._generation = 0
+    this._mediaTime = undefined
+    this._skip = 0
+    this._skipped = 0
+    this._idleFrames = 0
+    this._lastStart = null
+    this._averageInterval = null
+  }
+
+  /**
+   * Starts requesting frames.
+   */
+  start () {
+    if (this.running) return
+    this.running = true
+    this._generation++
+    this[_schedule]()
+  }
+
+  /**
+   * Stops requesting frames, a frame currently processed is completed.
+   */
+  stop () {
+    this.running = false
+    if (this._cancel) {
+      this._cancel()
+      this._cancel = null
+    }
+  }
+
+  /**
+   * Requests the next frame.
+   * @private
+   */
+  [_schedule] () {
+    const video = this.video
+    const generation = this._generation
+    if (video && video.requestVideoFrameCallback) {
+      const handle = video.requestVideoFrameCallback((time, metadata) => this[_onFrame](generation, metadata.mediaTime))
+      this._cancel = () => video.cancelVideoFrameCallback(handle)
+    } else if (typeof requestAnimationFrame !== 'undefined') {
+      const handle = requestAnimationFrame(() => this[_onFrame](generation, video ? video.currentTime : undefined))
+      this._cancel = () => cancelAnimationFrame(handle)
+    } else {
+      const handle = setTimeout(() => this[_onFrame](generation, video ? video.currentTime : undefined), 1000 / this.fps)
+      this._cancel = () => clearTimeout(handle)
+    }
+  }
+
+  /**
+   * Processes a frame unless it has no new video data or is skipped, then requests the next one.
+   *
+   * @param {number} generation Frames requested before a restart are ignored
+   * @param {number} [mediaTime] Position of the frame in the video, undefined without video
+   * @private
+   */
+  async [_onFrame] (generation, mediaTime) {
+    if (!this.running || generation !== this._generation) return
+    this._cancel = null
+    if (this.video && (mediaTime === this._mediaTime || this.video.readyState < HAVE_CURRENT_DATA)) {
+      this[_schedule]()
+      return
+    }
+    this._mediaTime = mediaTime
+    const idle = !!this.isIdle()
+    if (!idle) this._idleFrames = 0
+    if (this._skip > 0 || (idle && this._idleFrames++ % this.idleInterval !== 0)) {
+      if (this._skip > 0) this._skip--
+      this._skipped++
+      this[_schedule]()
+      return
+    }
+
+    const start = now()
+    try {
+      await this.process()
+    } catch (e) {
+      console.error('Error while processing a frame: ' + e)
+    }
+    // Stopped or restarted while processing
+    if (!this.running || generation !== this._generation) return
+    const duration = now() - start
+    const interval = this._lastStart === null ? null : start - this._lastStart
+    this._lastStart = start
+    const averageDuration = this.stats ? this.stats.averageDuration + SMOOTHING * (duration - this.stats.averageDuration) : duration
+    if (interval !== null) {
+      this._averageInterval = this._averageInterval === null ? interval : this._averageInterval + SMOOTHING * (interval - this._averageInterval)
+    }
+    // Skip as many frames as needed to keep the processing time per video frame within the budget
+    this._skip = Math.max(0, Math.ceil(averageDuration / this.budget) - 1)
+    this.stats = {
+      timestamp: start,
+      duration: duration,
+      averageDuration: averageDuration,
+      interval: interval,
+      fps: this._averageInterval ? 1000 / this._averageInterval : 0,
+      skippedFrames: this._skipped,
+      idle: idle
+    }
+    this._skipped = 0
+    if (this.onStats) {
+      try {
+        this.onStats(this.stats)
+      } catch (e) {
+        console.error('Error during frame stats processing ' + e)
+      }
+    }
+    this[_schedule]()
+  }
+}
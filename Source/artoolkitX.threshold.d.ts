@@ -0,0 +1,89 @@
+/**
+ * Types of the automatic threshold tuning, see artoolkitX.threshold.js.
+ */
+import { ThresholdModeName } from './artoolkitX.api.js'
+import { Region } from './artoolkitX.framesource.js'
+
+export type Lighting = 'too_dark' | 'overexposed' | 'low_contrast' | 'ok'
+
+export const THRESHOLD_MODES: ThresholdModeName[]
+
+/** Statistics of a luma histogram, see histogramStats */
+export interface HistogramStats {
+  /** Number of pixels counted */
+  readonly count: number
+  readonly mean: number
+  readonly stdDev: number
+  /** Luma of the darkest 5% of the pixels */
+  readonly low: number
+  /** Luma of the brightest 5% of the pixels */
+  readonly high: number
+  /** high - low */
+  readonly contrast: number
+  /** Fraction of overexposed pixels, luma 250 and above */
+  readonly clipped: number
+  /** Threshold separating dark and bright pixels, see Otsu's method */
+  readonly otsu: number
+}
+
+/** The lighting of the frames of a tuning interval, see ARController.getLightingDiagnostics */
+export interface LightingDiagnostics extends HistogramStats {
+  /** The luma histogram of the interval, 256 bins */
+  readonly histogram: Uint32Array
+  readonly lighting: Lighting
+  /** Fraction of the frames with trackables in which one was found, null if there were no trackables */
+  readonly successRate: number | null
+}
+
+export interface LightingOptions {
+  /** Too dark if even the brightest pixels are darker, defaults to 80 */
+  darkLevel?: number
+  /** Overexposed if even the darkest pixels are brighter, defaults to 175 */
+  brightLevel?: number
+  /** Overexposed if a larger fraction of the pixels is clipped, defaults to 0.25 */
+  maxClipped?: number
+  /** Low contrast below this difference between the brightest and the darkest pixels, defaults to 50 */
+  minContrast?: number
+}
+
+/** The options of ARController.setAutoThreshold */
+export interface AutoThresholdOptions extends LightingOptions {
+  /** Number of frames the lighting is diagnosed and the threshold tuned over, defaults to 30 */
+  interval?: number
+  /** The threshold is tuned if the trackables were found in a smaller fraction of the frames, defaults to 0.5 */
+  minSuccessRate?: number
+  /** The threshold modes to try in this order, defaults to ['otsu', 'adaptive', 'bracketing', 'manual'] */
+  modes?: ThresholdModeName[]
+  /** Only every step-th pixel of every step-th row is counted in the histogram, defaults to 2 */
+  step?: number
+}
+
+export function lumaHistogram (luma: Uint8Array | Uint8ClampedArray, width: number, region?: Region | null, step?: number,
+  histogram?: Uint32Array): Uint32Array
+export function histogramStats (histogram: Uint32Array): HistogramStats
+export function diagnoseLighting (stats: HistogramStats, options?: LightingOptions): Lighting
+
+export interface ThresholdTunerFrame {
+  luma: Uint8Array | Uint8ClampedArray
+  width: number
+  /** The region searched for trackables, null for the full frame */
+  region: Region | null
+  /** Whether a trackable was visible, null if there were no trackables to find */
+  found: boolean | null
+}
+
+export interface ThresholdSettings {
+  thresholdMode: ThresholdModeName | number | undefined
+  threshold: number
+}
+
+/** Diagnoses the lighting and tunes the threshold over intervals of frames */
+export class ThresholdTuner {
+  constructor (options?: AutoThresholdOptions)
+  readonly options: Required<Pick<AutoThresholdOptions, 'interval' | 'minSuccessRate' | 'modes' | 'step'>> & LightingOptions
+  /** null before the end of an interval */
+  update (frame: ThresholdTunerFrame, current: ThresholdSettings): {
+    diagnostics: LightingDiagnostics
+    change: { thresholdMode: ThresholdModeName, threshold?: number } | null
+  } | null
+}
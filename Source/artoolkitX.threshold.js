@@ -0,0 +1,268 @@
+/*
+ * Automatic threshold tuning and lighting diagnostics, see ARController.setAutoThreshold.
+ *
+ * The tuner collects the luma histogram of the processed frames and whether a trackable was visible in them. After
+ * every interval of frames it diagnoses the lighting from the histogram and, if the trackables were found in too few
+ * frames, switches to the next threshold mode. Once every mode was tried without success it settles on the one which
+ * did best and waits until tracking works again or the lighting changes before it tries the others again.
+ */
+
+// Luma values counted as clipped, i.e. overexposed pixels
+const CLIPPED_LUMA = 250
+// Percentiles taken as the darkest and brightest parts of the image, robust against noise and specular highlights
+const LOW_PERCENTILE = 0.05
+const HIGH_PERCENTILE = 0.95
+
+// The manual threshold is only moved if it is further off than this
+const MANUAL_THRESHOLD_TOLERANCE = 4
+
+const _tune = Symbol('_tune')
+
+export const THRESHOLD_MODES = ['manual', 'median', 'otsu', 'adaptive', 'bracketing']
+
+/**
+ * Adds the luma values of a frame to a histogram. Only every step-th pixel of every step-th row is counted.
+ *
+ * @param {Uint8Array|Uint8ClampedArray} luma The luma of the frame
+ * @param {number} width The width of the frame in pixels
+ * @param {object} [region] Only count the pixels inside {x, y, width, height}, in whole pixels
+ * @param {number} [step] Distance of the counted pixels, defaults to 2
+ * @param {Uint32Array} [histogram] The histogram to add to, a new one by default
+ * @returns {Uint32Array} The histogram, 256 bins
+ */
+export const lumaHistogram = (luma, width, region = null, step = 2, histogram = new Uint32Array(256)) => {
+  const height = Math.floor(luma.length / width)
+  const { x = 0, y = 0, width: regionWidth = width, height: regionHeight = height } = region || {}
+  for (let row = y; row < y + regionHeight; row += step) {
+    for (let i = row * width + x, end = row * width + x + regionWidth; i < end; i += step) {
+      histogram[luma[i]]++
+    }
+  }
+  return histogram
+}
+
+/**
+ * Threshold separating the histogram into two classes with the largest variance between them (Otsu's method).
+ *
+ * @param {Uint32Array} histogram
+ * @returns {number}
+ */
+const otsuThreshold = (histogram) => {
+  let count = 0
+  let sum = 0
+  for (let i = 0; i < 256; i++) {
+    count += histogram[i]
+    sum += i * histogram[i]
+  }
+  let best = 0
+  let bestVariance = -1
+  let darkCount = 0
+  let darkSum = 0
+  for (let i = 0; i < 256; i++) {
+    darkCount += histogram[i]
+    darkSum += i * histogram[i]
+    const brightCount = count - darkCount
+    if (darkCount === 0 || brightCount === 0) continue
+    const difference = darkSum / darkCount - (sum - darkSum) / brightCount
+    const variance = darkCount * brightCount * difference * difference
+    if (variance > bestVariance) {
+      bestVariance = variance
+      best = i
+    }
+  }
+  return best
+}
+
+/**
+ * Statistics of a luma histogram.
+ *
+ * @param {Uint32Array} histogram See lumaHistogram
+ * @returns {object}
+ *     {
+ *         count: {number} number of pixels counted
+ *         mean: {number} average luma
+ *         stdDev: {number} standard deviation of the luma
+ *         low: {number} luma of the darkest 5% of the pixels
+ *         high: {number} luma of the brightest 5% of the pixels
+ *         contrast: {number} high - low
+ *         clipped: {number} fraction of overexposed pixels, luma 250 and above
+ *         otsu: {number} threshold separating dark and bright pixels, see Otsu's method
+ *     }
+ */
+export const histogramStats = (histogram) => {
+  let count = 0
+  let sum = 0
+  let squares = 0
+  for (let i = 0; i < 256; i++) {
+    count += histogram[i]
+    sum += i * histogram[i]
+    squares += i * i * histogram[i]
+  }
+  if (count === 0) {
+    return { count: 0, mean: 0, stdDev: 0, low: 0, high: 0, contrast: 0, clipped: 0, otsu: 0 }
+  }
+  const percentile = (fraction) => {
+    let cumulated = 0
+    for (let i = 0; i < 256; i++) {
+      cumulated += histogram[i]
+      if (cumulated >= fraction * count) return i
+    }
+    return 255
+  }
+  let clipped = 0
+  for (let i = CLIPPED_LUMA; i < 256; i++) {
+    clipped += histogram[i]
+  }
+  const mean = sum / count
+  const low = percentile(LOW_PERCENTILE)
+  const high = percentile(HIGH_PERCENTILE)
+  return {
+    count: count,
+    mean: mean,
+    stdDev: Math.sqrt(Math.max(0, squares / count - mean * mean)),
+    low: low,
+    high: high,
+    contrast: high - low,
+    clipped: clipped / count,
+    otsu: otsuThreshold(histogram)
+  }
+}
+
+/**
+ * Diagnoses the lighting from the histogram statistics.
+ *
+ * @param {object} stats See histogramStats
+ * @param {object} [options]
+ *     darkLevel: {number} too dark if even the brightest pixels (high) are darker, defaults to 80
+ *     brightLevel: {number} overexposed if even the darkest pixels (low) are brighter, defaults to 175
+ *     maxClipped: {number} overexposed if a larger fraction of the pixels is clipped, defaults to 0.25
+ *     minContrast: {number} low contrast below this difference between the brightest and the darkest pixels, defaults to 50
+ * @returns {string} 'too_dark', 'overexposed', 'low_contrast' or 'ok'
+ */
+export const diagnoseLighting = (stats, options = {}) => {
+  const { darkLevel = 80, brightLevel = 175, maxClipped = 0.25, minContrast = 50 } = options
+  if (stats.high < darkLevel) {
+    return 'too_dark'
+  }
+  if (stats.low > brightLevel || stats.clipped > maxClipped) {
+    return 'overexposed'
+  }
+  if (stats.contrast < minContrast) {
+    return 'low_contrast'
+  }
+  return 'ok'
+}
+
+/**
+ * @param {object} [options]
+ *     interval: {number} number of frames the lighting is diagnosed and the threshold tuned over, defaults to 30
+ *     minSuccessRate: {number} the threshold is tuned if the trackables were found in a smaller fraction of the
+ *         frames, defaults to 0.5
+ *     modes: {string[]} the threshold modes to try in this order, defaults to ['otsu', 'adaptive', 'bracketing', 'manual'].
+ *         In manual mode the threshold is set halfway between the darkest and the brightest pixels.
+ *     step: {number} only every step-th pixel of every step-th row is counted in the histogram, defaults to 2
+ *     darkLevel, brightLevel, maxClipped, minContrast: see diagnoseLighting
+ */
+export class ThresholdTuner {
+  constructor (options = {}) {
+    const { interval = 30, minSuccessRate = 0.5, modes = ['otsu', 'adaptive', 'bracketing', 'manual'], step = 2 } = options
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('The tuning interval has to be a positive integer, not ' + interval)
+    }
+    if (!(minSuccessRate >= 0 && minSuccessRate <= 1)) {
+      throw new Error('minSuccessRate has to be between 0 and 1, not ' + minSuccessRate)
+    }
+    if (!Array.isArray(modes) || modes.length === 0 || modes.some(mode => !THRESHOLD_MODES.includes(mode))) {
+      throw new Error('The threshold modes have to be some of ' + THRESHOLD_MODES.join(', ') + ', not ' + modes)
+    }
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error('The histogram step has to be a positive integer, not ' + step)
+    }
+    this.options = Object.assign({}, options, { interval: interval, minSuccessRate: minSuccessRate, modes: modes.slice(), step: step })
+    this.histogram = new Uint32Array(256)
+    this._frames = 0
+    this._trackedFrames = 0
+    this._foundFrames = 0
+    this._lighting = null
+    // Success rate of each mode tried since tracking last worked
+    this._tried = new Map()
+    this._settled = false
+  }
+
+  /**
+   * Adds a processed frame and, at the end of an interval, evaluates it.
+   *
+   * @param {object} frame
+   *     luma: {Uint8Array|Uint8ClampedArray} the luma of the frame
+   *     width: {number} the width of the frame
+   *     region: {object} the region searched for trackables {x, y, width, height}, null for the full frame
+   *     found: {boolean} whether a trackable was visible, null if there were no trackables to find
+   * @param {object} current The current {thresholdMode, threshold}, thresholdMode as alias
+   * @returns {object} null before the end of the interval, then
+   *     {
+   *         diagnostics: {object} the histogram statistics (see histogramStats) with histogram, lighting (see
+   *             diagnoseLighting) and successRate, the fraction of the frames with trackables in which one was found
+   *             (null if there were no trackables)
+   *         change: {object} the {thresholdMode, threshold} to set, null to keep the current ones
+   *     }
+   */
+  update (frame, current) {
+    lumaHistogram(frame.luma, frame.width, frame.region, this.options.step, this.histogram)
+    this._frames++
+    if (frame.found !== null) {
+      this._trackedFrames++
+      if (frame.found) this._foundFrames++
+    }
+    if (this._frames < this.options.interval) {
+      return null
+    }
+    const stats = histogramStats(this.histogram)
+    const lighting = diagnoseLighting(stats, this.options)
+    const successRate = this._trackedFrames ? this._foundFrames / this._trackedFrames : null
+    const diagnostics = Object.assign(stats, { histogram: this.histogram, lighting: lighting, successRate: successRate })
+    const lightingChanged = this._lighting !== null && lighting !== this._lighting
+    this._lighting = lighting
+    this.histogram = new Uint32Array(256)
+    this._frames = 0
+    this._trackedFrames = 0
+    this._foundFrames = 0
+    return { diagnostics: diagnostics, change: this[_tune](stats, successRate, lightingChanged, current) }
+  }
+
+  /**
+   * @returns {object} The {thresholdMode, threshold} to switch to, null to keep the current ones
+   * @private
+   */
+  [_tune] (stats, successRate, lightingChanged, current) {
+    if (successRate === null) {
+      return null
+    }
+    if (successRate >= this.options.minSuccessRate || lightingChanged) {
+      this._tried.clear()
+      this._settled = false
+      if (successRate >= this.options.minSuccessRate) {
+        return null
+      }
+    }
+    const manualThreshold = Math.round((stats.low + stats.high) / 2)
+    const modes = this.options.modes
+    let mode = current.thresholdMode
+    if (!this._settled) {
+      this._tried.set(mode, successRate)
+      const untried = modes.slice(modes.indexOf(mode) + 1).concat(modes).find(candidate => !this._tried.has(candidate))
+      if (untried) {
+        mode = untried
+      } else {
+        // Every mode failed, keep the best one until tracking works again or the lighting changes
+        this._settled = true
+        mode = modes.reduce((best, candidate) => this._tried.get(candidate) > this._tried.get(best) ? candidate : best, mode)
+      }
+    }
+    if (mode === 'manual') {
+      // The manual threshold follows the lighting
+      const moved = Math.abs(manualThreshold - current.threshold) > MANUAL_THRESHOLD_TOLERANCE
+      return mode !== current.thresholdMode || moved ? { thresholdMode: mode, threshold: manualThreshold } : null
+    }
+    return mode !== current.thresholdMode ? { thresholdMode: mode } : null
+  }
+}
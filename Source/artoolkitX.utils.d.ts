@@ -0,0 +1,9 @@
+/**
+ * Types of the shared helpers, see artoolkitX.utils.js.
+ */
+
+/** The current time in milliseconds, from performance.now where available */
+export function now (): number
+
+/** Multiplies two column-major 4x4 GL matrices, a * b, into out (a new Float32Array by default) */
+export function multiplyGLMat (a: ArrayLike<number>, b: ArrayLike<number>, out?: Float32Array): Float32Array
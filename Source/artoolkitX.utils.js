@@ -0,0 +1,26 @@
+/*
+ * Helpers shared by the modules of artoolkitX.js.
+ */
+
+/**
+ * @returns {number} The current time in milliseconds, from performance.now where available
+ */
+export const now = () => typeof performance !== 'undefined' ? performance.now() : Date.now()
+
+/**
+ * Multiplies two column-major 4x4 GL matrices, a * b.
+ *
+ * @param {Float32Array|Array} a The left hand 4x4 matrix
+ * @param {Float32Array|Array} b The right hand 4x4 matrix
+ * @param {Float32Array} [out] Receives the product so it can be reused, must be neither a nor b.
+ *     Defaults to a new Float32Array.
+ * @returns {Float32Array} out
+ */
+export const multiplyGLMat = (a, b, out = new Float32Array(16)) => {
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      out[row + col * 4] = a[row] * b[col * 4] + a[row + 4] * b[col * 4 + 1] + a[row + 8] * b[col * 4 + 2] + a[row + 12] * b[col * 4 + 3]
+    }
+  }
+  return out
+}
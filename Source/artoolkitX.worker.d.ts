@@ -0,0 +1,5 @@
+/**
+ * artoolkitX.worker.js is the Web Worker script started by ARControllerProxy (see artoolkitX.proxy.d.ts) and
+ * exports nothing. Its messages are internal to the proxy.
+ */
+export {}
@@ -0,0 +1,134 @@
+/*
+ * Web Worker side of the ARControllerProxy (see artoolkitX.proxy.js).
+ *
+ * Loads the artoolkitX WASM module, runs an ARController on the frames posted by the proxy
+ * and posts the detection events back to it.
+ *
+ * Messages from the proxy are {type, id, ...}. Each message is answered with
+ * {type: 'result', id, result} or {type: 'error', id, message}.
+ * Events are posted as {type: 'event', name, data}.
+ */
+import { PROXIED_METHODS } from './artoolkitX.proxy.js'
+
+let arController = null
+let ready = null
+const forwardedEvents = {}
+
+/**
+ * The Emscripten module reads its configuration from window and announces that it is ready
+ * with the artoolkitX-loaded event. Inside the worker self takes the role of window.
+ */
+const loadARController = async (wasmUrl) => {
+  self.window = self
+  if (wasmUrl) {
+    self.artoolkitX_wasm_url = wasmUrl
+  }
+  const loaded = new Promise(resolve => self.addEventListener('artoolkitX-loaded', resolve, { once: true }))
+  const api = await import('./artoolkitX.api.js')
+  await loaded
+  return api.default
+}
+
+/**
+ * Copies event data into plain objects that can be posted to the proxy.
+ * Typed arrays are copied as they may be views into the Emscripten heap, which would
+ * otherwise be cloned as a whole.
+ */
+const toMessageData = (value) => {
+  if (ArrayBuffer.isView(value)) {
+    return value.slice()
+  }
+  if (Array.isArray(value)) {
+    return value.map(toMessageData)
+  }
+  // Errors, e.g. of recordingerror, can be cloned as they are
+  if (value instanceof Error) {
+    return value
+  }
+  if (value && typeof value === 'object') {
+    const data = {}
+    Object.keys(value).forEach(key => {
+      // The pose filter state of a trackable is of no interest outside the worker
+      if (key !== 'target' && key !== 'filter' && key !== 'filterOptions' && typeof value[key] !== 'function') {
+        data[key] = toMessageData(value[key])
+      }
+    })
+    return data
+  }
+  return value
+}
+
+const handlers = {
+  init ({ width, height, cameraPara, options, wasmUrl }) {
+    ready = loadARController(wasmUrl).then(ARController => {
+      arController = new ARController(null, cameraPara, width, height, options)
+    })
+    return ready
+  },
+
+  async start ({ width, height }) {
+    await ready
+    if (width && height) {
+      // The size of a camera stream is only known once it plays on the main thread
+      arController.videoWidth = width
+      arController.videoHeight = height
+      arController.videoSize = width * height
+    }
+    await arController.start()
+  },
+
+  async call ({ method, args }) {
+    await ready
+    if (!PROXIED_METHODS.includes(method)) {
+      throw new Error('ARController method not available in the worker: ' + method)
+    }
+    return toMessageData(await arController[method](...args))
+  },
+
+  async listen ({ name }) {
+    await ready
+    if (forwardedEvents[name]) return
+    forwardedEvents[name] = true
+    arController.addEventListener(name, event => {
+      self.postMessage({ type: 'event', name: name, data: toMessageData(event.data) })
+    })
+  },
+
+  async debugOverlay ({ canvas, options }) {
+    await ready
+    arController.setDebugOverlay(canvas, options)
+  },
+
+  async frame ({ frame }) {
+    await ready
+    let image = frame
+    if (frame.data) {
+      image = new ImageData(new Uint8ClampedArray(frame.data), frame.width, frame.height)
+    }
+    try {
+      await arController.process(image)
+    } finally {
+      if (image.close) image.close()
+    }
+  },
+
+  async dispose () {
+    await ready
+    arController.dispose()
+    arController = null
+  }
+}
+
+self.onmessage = async (e) => {
+  const message = e.data
+  try {
+    const handler = handlers[message.type]
+    if (!handler) {
+      throw new Error('Unknown message type: ' + message.type)
+    }
+    const result = await handler(message)
+    self.postMessage({ type: 'result', id: message.id, result: result })
+  } catch (error) {
+    self.postMessage({ type: 'error', id: message.id, message: error.message || String(error) })
+  }
+}
@@ -86,8 +86,9 @@ else
     rm $ARTOOLKITXJS_HOME/SDK/lib/plugin.zip
 fi
 
-# Also copy the artoolkitX.api.js into SDK/lib for now without minification
+# Also copy the artoolkitX.api.js and its companion modules, with their type definitions, into SDK/lib for now without minification
 # TODO: Minify and optimize artoolkitX.api.js
-cp $ARTOOLKITXJS_HOME/Source/artoolkitX.api.js $ARTOOLKITXJS_HOME/SDK/lib/
+cp $ARTOOLKITXJS_HOME/Source/artoolkitX.*.js $ARTOOLKITXJS_HOME/SDK/lib/
+cp $ARTOOLKITXJS_HOME/Source/artoolkitX.*.d.ts $ARTOOLKITXJS_HOME/SDK/lib/
 
 echo "Build complete."
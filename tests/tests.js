@@ -1,4 +1,5 @@
-import ARController from "../SDK/lib/artoolkitX.api.js";
+import ARController, { artoolkitXjs, OneEuroFilter, ExponentialFilter, BufferFrameSource, PoseTrack, AssetLoadError, parseMultiMarker, serializeMultiMarker, createGridLayout, MultiMarkerError, CameraParam, CameraCalibration, OrientationChangeEvent, ListenerErrorEvent, FrameSource } from "../SDK/lib/artoolkitX.api.js";
+import ARControllerProxy from "../SDK/lib/artoolkitX.proxy.js";
 
 window.addEventListener("artoolkitX-loaded", () => {
     QUnit.module("ARController creation test", hooks => {
@@ -70,10 +71,9 @@ window.addEventListener("artoolkitX-loaded", () => {
                     "landscape",
                     "Check the default values: landscape"
                 );
-                assert.deepEqual(
-                    arController.listeners,
-                    {},
-                    "Check the default values: listeners"
+                assert.ok(
+                    arController instanceof EventTarget,
+                    "Check the default values: ARController is an EventTarget"
                 );
                 assert.deepEqual(
                     arController.defaultMarkerWidth,
@@ -104,7 +104,8 @@ window.addEventListener("artoolkitX-loaded", () => {
             };
         },
         afterEach: function (assert) {
-            window.arController.dispose();
+            if (window.arController) window.arController.dispose();
+            window.arController = undefined;
         }
     });
 
@@ -221,6 +222,178 @@ window.addEventListener("artoolkitX-loaded", () => {
             });
     });
 
+    QUnit.test("Heap usage stays flat while processing", assert => {
+        assert.timeout(30000);
+        const arController = new ARController(v1, window.cParaUrl);
+        window.arController = arController;
+        let hiroId, before;
+        return arController.start().then(() => {
+            assert.equal(arController.getHeapUsage().allocatedBytes, 0, "Nothing allocated before the first query");
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(trackableId => {
+            hiroId = trackableId;
+            return arController.addTrackable({ trackableType: "multi", layout: createGridLayout({ rows: 2, columns: 2, width: 40, spacing: 60, barcodeId: 0 }) });
+        }).then(() => {
+            assert.equal(arController.getHeapUsage().allocatedBytes, 0, "Buffer of the multimarker pattern configurations freed");
+            return arController.process(v1);
+        }).then(() => {
+            arController.getTransMatSquare(hiroId);
+            arController.getCameraMatrix();
+            before = arController.getHeapUsage();
+            assert.equal(before.allocatedBytes, 2 * 16 * Float32Array.BYTES_PER_ELEMENT, "Scratch matrices of the transformation and the projection");
+            let frames = Promise.resolve();
+            for (let i = 0; i < 100; i++) {
+                frames = frames.then(() => arController.process(v1)).then(() => {
+                    arController.getTransMatSquare(hiroId);
+                    arController.getCameraMatrix();
+                });
+            }
+            return frames;
+        }).then(() => {
+            const after = arController.getHeapUsage();
+            assert.equal(after.allocatedBytes, before.allocatedBytes, "No new allocations: " + after.allocatedBytes);
+            assert.equal(after.heapSize, before.heapSize, "Heap didn't grow: " + after.heapSize);
+        });
+    });
+
+    QUnit.test("Lost grace period", assert => {
+        const arController = new ARController(new Image(640, 480), window.cParaUrl);
+        window.arController = arController;
+        assert.deepEqual(
+            arController.getLostGracePeriod(),
+            { period: 0, unit: "frames" },
+            "Default lost grace period is 0 frames"
+        );
+        arController.setLostGracePeriod(250, "ms");
+        assert.deepEqual(
+            arController.getLostGracePeriod(),
+            { period: 250, unit: "ms" },
+            "Lost grace period set in milliseconds"
+        );
+        assert.throws(
+            () => arController.setLostGracePeriod(2, "seconds"),
+            "Unknown grace period unit is rejected"
+        );
+        [NaN, Infinity, "2", undefined].forEach(period => {
+            assert.throws(() => arController.setLostGracePeriod(period), TypeError, "Grace period " + period + " is rejected");
+        });
+        assert.deepEqual(arController.getLostGracePeriod(), { period: 250, unit: "ms" }, "Invalid grace periods change nothing");
+    });
+
+    QUnit.test("Trackable lost after the grace period", assert => {
+        assert.timeout(10000);
+        const arController = new ARController(v1, window.cParaUrl);
+        window.arController = arController;
+        const blank = new ImageData(v1.width, v1.height);
+        const frames = [v1, blank, blank, v1, blank, blank, blank];
+        const events = [];
+        let frame;
+        arController.setLostGracePeriod(2);
+        ["trackableFound", "trackableUpdate", "trackableLost"].forEach(name => {
+            arController.addEventListener(name, () => events.push([name, frame]));
+        });
+        return arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(() => {
+            return frames.reduce((previous, image, i) => previous.then(() => {
+                frame = i;
+                return arController.process(image);
+            }), Promise.resolve());
+        }).then(() => {
+            assert.deepEqual(events, [
+                ["trackableFound", 0],
+                ["trackableUpdate", 0],
+                ["trackableUpdate", 3],
+                ["trackableLost", 6]
+            ], "Found once, not lost while missing for up to 2 frames, lost in the third frame without the marker");
+        });
+    });
+
+    QUnit.test("Tracker option aliases", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), window.cParaUrl);
+        window.arController = arController;
+        arController.start().then(() => {
+            arController.setThresholdMode("otsu");
+            assert.equal(arController.getThresholdMode(), artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_OTSU.value, "Threshold mode alias");
+            arController.setThresholdMode(artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_MANUAL);
+            assert.equal(arController.getThresholdMode(), artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_MANUAL.value, "Enum values are accepted");
+            arController.setPatternDetectionMode("MATRIX");
+            assert.equal(arController.getPatternDetectionMode(), artoolkitXjs.AR_MATRIX_CODE_DETECTION, "Aliases are case insensitive");
+            arController.setPatternDetectionMode(artoolkitXjs.AR_TEMPLATE_MATCHING_MONO);
+            assert.equal(arController.getPatternDetectionMode(), artoolkitXjs.AR_TEMPLATE_MATCHING_MONO, "Constants are still accepted");
+            arController.setMatrixCodeType("4x4_bch_13_9_3");
+            assert.equal(arController.getMatrixCodeType(), artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_4x4_BCH_13_9_3.value, "Matrix code type alias");
+            arController.setLabelingMode("white");
+            assert.equal(arController.getLabelingMode(), artoolkitXjs.AR_LABELING_WHITE_REGION, "Labeling mode alias");
+            arController.setImageProcMode("field");
+            assert.equal(arController.getImageProcMode(), artoolkitXjs.AR_IMAGE_PROC_FIELD_IMAGE, "Image processing mode alias");
+            assert.throws(() => arController.setThresholdMode("darkest"), /expected one of manual, median/, "Unknown aliases are rejected");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    QUnit.test("Tracker options", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        assert.throws(
+            () => new ARController(new BufferFrameSource(640, 480, "MONO"), window.cParaUrl, undefined, undefined, { trackerOptions: { treshold: 100 } }),
+            /Unknown tracker option: treshold/,
+            "Unknown options are rejected by the constructor"
+        );
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), window.cParaUrl, undefined, undefined, {
+            trackerOptions: { thresholdMode: "manual", threshold: 120, labelingMode: "white" }
+        });
+        window.arController = arController;
+        assert.deepEqual(arController.getTrackerOptions(), { thresholdMode: "manual", threshold: 120, labelingMode: "white" }, "Options set before start");
+        arController.start().then(() => {
+            assert.equal(arController.getThreshold(), 120, "Threshold applied on start");
+            assert.equal(arController.getLabelingMode(), artoolkitXjs.AR_LABELING_WHITE_REGION, "Labeling mode applied on start");
+            const options = arController.getTrackerOptions();
+            assert.equal(options.thresholdMode, "manual", "Modes are returned as aliases");
+            assert.deepEqual(JSON.parse(JSON.stringify(options)), options, "Options can be stored as JSON");
+            arController.setTrackerOptions({ threshold: 90, imageProcMode: "field" });
+            assert.equal(arController.getThreshold(), 90, "Threshold set");
+            assert.equal(arController.getImageProcMode(), artoolkitXjs.AR_IMAGE_PROC_FIELD_IMAGE, "Image processing mode set");
+            assert.throws(() => arController.setTrackerOptions({ labelingMode: "black", threshold: 300 }), /threshold/, "Threshold out of range");
+            assert.throws(() => arController.setTrackerOptions({ pattRatio: 1 }), /pattRatio/, "Pattern ratio out of range");
+            assert.throws(() => arController.setTrackerOptions({ matrixCodeType: 7 }), /Invalid matrixCodeType/, "Unknown constant");
+            assert.equal(arController.getLabelingMode(), artoolkitXjs.AR_LABELING_WHITE_REGION, "Invalid options change nothing");
+            assert.throws(() => arController.setThreshold(256), /threshold/, "The setters validate the threshold");
+            assert.throws(() => arController.setPattRatio(0), /pattRatio/, "The setters validate the pattern ratio");
+            assert.throws(() => arController.setImageProcMode(7), /Invalid imageProcMode/, "The setters validate the modes");
+            assert.equal(arController.getThreshold(), 90, "Invalid threshold not set");
+            arController.setTrackerOptions({ matrixCodeType: artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_5x5.value });
+            assert.equal(arController.getTrackerOptions().matrixCodeType, artoolkitXjs.ARMatrixCodeType.AR_MATRIX_CODE_5x5.value, "Enum value without alias");
+            arController.setTrackerOptions(options);
+            assert.deepEqual(arController.getTrackerOptions(), options, "Stored options restored");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    QUnit.test("multiplyGLMat", assert => {
+        const identity = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+        const translation = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 100, -100, 0, 1]);
+        const pose = new Float32Array([0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 10, 20, -300, 1]);
+        assert.deepEqual(
+            ARController.multiplyGLMat(identity, translation),
+            translation,
+            "Identity leaves the matrix unchanged"
+        );
+        assert.deepEqual(
+            Array.from(ARController.multiplyGLMat(pose, translation).slice(12)),
+            [110, 120, -300, 1],
+            "Sub-marker offset is rotated into the multimarker pose"
+        );
+    });
+
     // /* #### ARController.getUserMedia module #### */
     QUnit.module("ARController getUserMedia", {
         afterEach: assert => {
@@ -572,6 +745,1025 @@ window.addEventListener("artoolkitX-loaded", () => {
         });
     });
 
+    QUnit.test("Trackable loading reports progress and errors", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        window.arController = arController;
+        const progress = [];
+        arController.addEventListener("loadProgress", event => progress.push(event.data));
+        const trackable = { trackableType: "single", url: "./hiro_error.patt" };
+        arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(() => {
+            assert.ok(progress.length > 0, "loadProgress dispatched");
+            const last = progress[progress.length - 1];
+            assert.equal(last.url, "./Data/hiro.patt", "Progress of the trackable file");
+            assert.ok(last.loaded > 0, "Loaded bytes reported");
+            return arController.addTrackable(trackable);
+        }).then(() => {
+            assert.ok(false, "Missing file rejects");
+        }).catch(e => {
+            assert.ok(e instanceof AssetLoadError, "Rejects with AssetLoadError");
+            assert.equal(e.url, "./hiro_error.patt", "Error has the URL");
+            assert.equal(e.status, 404, "Error has the HTTP status");
+            assert.equal(e.trackable, trackable, "Error has the trackable");
+        }).finally(() => {
+            done();
+        });
+    });
+
+    QUnit.test("Remove and disable trackables", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(v1, "./camera_para.dat");
+        window.arController = arController;
+        const lost = [];
+        arController.addEventListener("trackableLost", event => lost.push(event.data.trackableId));
+        let hiroId, barcodeId;
+        arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(trackableId => {
+            hiroId = trackableId;
+            return arController.addTrackable({ trackableType: "single_barcode", barcodeId: 5 });
+        }).then(trackableId => {
+            barcodeId = trackableId;
+            assert.equal(arController.getPatternDetectionMode(), artoolkitXjs.AR_TEMPLATE_MATCHING_COLOR_AND_MATRIX, "Template and matrix detection");
+            return arController.process(v1);
+        }).then(() => {
+            const hiroFile = arController.trackables[0].files[0];
+            assert.ok(arController.trackables[0].found, "Trackable found");
+            arController.setTrackableEnabled(barcodeId, false);
+            assert.notOk(arController.isTrackableEnabled(barcodeId), "Trackable disabled");
+            lost.length = 0;
+            assert.ok(arController.removeTrackable(hiroId), "Trackable removed");
+            assert.deepEqual(lost, [hiroId], "trackableLost for the removed trackable");
+            assert.notOk(arController.removeTrackable(hiroId), "Unknown trackable");
+            assert.throws(() => artoolkitXjs.FS.readFile(hiroFile), "Trackable file deleted");
+            assert.equal(arController.getPatternDetectionMode(), artoolkitXjs.AR_MATRIX_CODE_DETECTION, "Matrix detection only");
+            lost.length = 0;
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(trackableId => {
+            hiroId = trackableId;
+            return arController.process(v1);
+        }).then(() => {
+            arController.removeAllTrackables();
+            assert.equal(arController.trackables.length, 0, "All trackables removed");
+            assert.deepEqual(lost, [hiroId], "trackableLost for the found one of the removed trackables");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    QUnit.test("Register trackable and camera parameters from buffers", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        Promise.all([
+            fetch("./camera_para.dat").then(response => response.arrayBuffer()),
+            fetch("./Data/hiro.patt").then(response => response.blob())
+        ]).then(([cameraParam, pattern]) => {
+            const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), cameraParam);
+            window.arController = arController;
+            return arController.start().then(() => {
+                return arController.addTrackable({ trackableType: "single", url: new File([pattern], "hiro.patt") });
+            }).then(trackableId => {
+                assert.ok(trackableId >= 0, "Trackable from a File");
+                return pattern.arrayBuffer();
+            }).then(buffer => {
+                return arController.addTrackable({ trackableType: "single", url: new Uint8Array(buffer) });
+            }).then(trackableId => {
+                assert.ok(trackableId >= 0, "Trackable from an Uint8Array");
+            });
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    /* #### Pose filter module #### */
+    QUnit.module("Pose filters");
+    const poseMatrix = (angle, x) => new Float32Array([
+        Math.cos(angle), Math.sin(angle), 0, 0,
+        -Math.sin(angle), Math.cos(angle), 0, 0,
+        0, 0, 1, 0,
+        x, 0, -300, 1
+    ]);
+    QUnit.test("OneEuroFilter smooths jitter", assert => {
+        const filter = new OneEuroFilter({ minCutoff: 0.5, beta: 0 });
+        let filtered;
+        for (let i = 0; i < 100; i++) {
+            filtered = filter.filter(poseMatrix(0.5, i % 2 ? 102 : 98), i * 33);
+        }
+        assert.ok(Math.abs(filtered[12] - 100) < 1, "Translation jitter is reduced: " + filtered[12]);
+        assert.ok(Math.abs(filtered[0] - Math.cos(0.5)) < 1e-4, "Rotation is preserved");
+        filter.reset();
+        filtered = filter.filter(poseMatrix(1, 10), 0);
+        assert.ok(Math.abs(filtered[12] - 10) < 1e-4, "Reset forgets the previous poses");
+    });
+    QUnit.test("ExponentialFilter interpolates rotation", assert => {
+        const filter = new ExponentialFilter({ alpha: 0.5 });
+        filter.filter(poseMatrix(0, 0), 0);
+        const filtered = filter.filter(poseMatrix(1, 100), 33);
+        assert.ok(Math.abs(filtered[0] - Math.cos(0.5)) < 1e-4, "Rotation is halfway: " + filtered[0]);
+        assert.ok(Math.abs(filtered[12] - 50) < 1e-4, "Translation is halfway: " + filtered[12]);
+        assert.throws(() => new ExponentialFilter({ alpha: 0 }), "alpha must be > 0");
+    });
+    QUnit.test("Custom filters need a reset method", assert => {
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt", filter: { filter: matrix => matrix } }).then(() => {
+            assert.ok(false, "Filter without reset accepted");
+        }, error => {
+            assert.ok(error instanceof TypeError && /reset/.test(error.message), "Rejected before loading: " + error.message);
+        }).finally(() => {
+            arController.dispose();
+        });
+    });
+
+    /* #### Multimarker configuration module #### */
+    QUnit.module("Multimarker configuration");
+    QUnit.test("Parse and serialize multimarker files", assert => {
+        const done = assert.async();
+        Promise.all([
+            fetch("./Data/multi/marker.dat").then(response => response.text()),
+            fetch("./Data/multi-barcode-4x3.dat").then(response => response.arrayBuffer())
+        ]).then(([patterns, barcodes]) => {
+            const patternConfig = parseMultiMarker(patterns);
+            assert.equal(patternConfig.markers.length, 6, "Six pattern markers");
+            assert.equal(patternConfig.markers[1].pattern, "patt.b", "Pattern file");
+            assert.deepEqual(patternConfig.markers[1].transform[0], [1, 0, 0, 100], "Transformation row");
+            const barcodeConfig = parseMultiMarker(new Uint8Array(barcodes));
+            assert.equal(barcodeConfig.markers.length, 12, "Twelve barcode markers");
+            assert.equal(barcodeConfig.markers[11].barcodeId, 11, "Barcode id");
+            const copy = parseMultiMarker(serializeMultiMarker(barcodeConfig));
+            assert.deepEqual(copy.markers.map(marker => marker.transform), barcodeConfig.markers.map(marker => marker.transform), "Serialized config parses to the same transformations");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+    QUnit.test("Multimarker errors have line numbers", assert => {
+        const parseError = text => {
+            try {
+                parseMultiMarker(text);
+            } catch (e) {
+                return e;
+            }
+        };
+        let error = parseError("1\npatt.a\nwide\n1 0 0 0\n0 1 0 0\n0 0 1 0\n");
+        assert.ok(error instanceof MultiMarkerError, "MultiMarkerError");
+        assert.equal(error.line, 3, "Invalid width");
+        error = parseError("# two markers\n2\n\n5\n40\n1 0 0 0\n0 1 0 0\n0 0 1 0\n5\n40\n1 0 0 0\n0 1 0 0\n0 0 1 0\n");
+        assert.equal(error.line, 9, "Duplicate barcode id");
+        error = parseError("1\n5\n40\n1 0 0 0\n0 1 0 0\n");
+        assert.equal(error.line, 5, "Missing transformation row");
+        error = parseError("2\npatt.a\n40\n1 0 0 0\n0 1 0 0\n0 0 1 0\n../../patt.b\n40\n1 0 0 0\n0 1 0 0\n0 0 1 0\n");
+        assert.equal(error.line, 7, "Pattern file outside of the directory of the configuration");
+        error = parseError("1\n/patt.a\n40\n1 0 0 0\n0 1 0 0\n0 0 1 0\n");
+        assert.equal(error.line, 2, "Absolute pattern file");
+        assert.equal(parseMultiMarker("1\npatterns/patt.a\n40\n1 0 0 0\n0 1 0 0\n0 0 1 0\n").markers[0].pattern, "patterns/patt.a", "Pattern file in a subdirectory");
+    });
+
+    QUnit.test("Grid layout matches multi-barcode-4x3.dat", assert => {
+        const done = assert.async();
+        fetch("./Data/multi-barcode-4x3.dat").then(response => response.text()).then(text => {
+            const file = parseMultiMarker(text);
+            const grid = createGridLayout({ rows: 3, columns: 4, width: 40, spacing: 70 });
+            assert.deepEqual(grid.markers.map(marker => marker.barcodeId), file.markers.map(marker => marker.barcodeId), "Barcode ids");
+            assert.deepEqual(grid.markers.map(marker => marker.transform), file.markers.map(marker => marker.transform), "Transformations");
+            assert.throws(() => createGridLayout({ rows: 3, columns: 4, width: 40, spacing: 20 }), MultiMarkerError, "Overlapping markers");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+    QUnit.test("Register a multimarker layout", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "multi", layout: createGridLayout({ rows: 2, columns: 2, width: 40, spacing: 60 }) });
+        }).then(trackableId => {
+            assert.ok(trackableId >= 0, "Multimarker registered without a file");
+            assert.equal(arController.trackables[0].patterns.length, 4, "Four patterns");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            arController.dispose();
+            done();
+        });
+    });
+    QUnit.test("Register a multimarker from buffers", assert => {
+        assert.timeout(5000);
+        const load = file => fetch("./Data/multi/" + file).then(response => response.arrayBuffer());
+        const names = ["patt.a", "patt.b", "patt.c", "patt.d", "patt.f", "patt.g"];
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        let config, dependencies;
+        return Promise.all([load("marker.dat"), Promise.all(names.map(load)), arController.start()]).then(([configBuffer, patterns]) => {
+            config = configBuffer;
+            dependencies = new Map(names.map((name, i) => [name, patterns[i]]));
+            const incomplete = new Map(dependencies);
+            incomplete.delete("patt.f");
+            return arController.addTrackable({ trackableType: "multi", url: config, dependencies: incomplete }).then(() => {
+                assert.ok(false, "Missing pattern file accepted");
+            }, error => {
+                assert.ok(/patt\.f/.test(error.message), "Missing pattern file is named: " + error.message);
+            });
+        }).then(() => {
+            return arController.addTrackable({ trackableType: "multi", url: config, dependencies: dependencies });
+        }).then(trackableId => {
+            const trackable = arController.trackables.find(trackable => trackable.trackableId === trackableId);
+            assert.equal(trackable.trackableType, "multi", "Multimarker registered from buffers");
+            assert.equal(trackable.patterns.length, 6, "Six patterns");
+        }).finally(() => {
+            arController.dispose();
+        });
+    });
+
+    QUnit.module("Camera parameters");
+    QUnit.test("Decode, scale and encode camera parameter files", assert => {
+        const done = assert.async();
+        Promise.all([
+            fetch("./camera_para.dat").then(response => response.arrayBuffer()),
+            fetch("./Data/camera_para-iPhone 5 rear 640x480 1.0m.dat").then(response => response.arrayBuffer())
+        ]).then(([webcam, iPhone]) => {
+            const param = CameraParam.decode(webcam);
+            assert.equal(param.width, 1280, "Width");
+            assert.equal(param.height, 1024, "Height");
+            assert.equal(param.version, 4, "Distortion function version");
+            assert.ok(param.fov.y > 0 && param.fov.y < 180, "Field of view");
+            assert.deepEqual(Array.from(param.encode()), Array.from(new Uint8Array(webcam)), "Encodes to the same file");
+            const half = param.changeSize(640, 512);
+            assert.equal(half.principalPoint.x, param.principalPoint.x / 2, "Scaled principal point");
+            assert.ok(Math.abs(half.fov.x - param.fov.x) < 1e-9, "Scaling keeps the field of view");
+            const phone = CameraParam.decode(new Uint8Array(iPhone));
+            assert.equal(phone.width + "x" + phone.height, "640x480", "iPhone parameters are for 640x480");
+            assert.ok(phone.hasAspectRatio(1280, 960), "Same aspect ratio");
+            assert.notOk(phone.hasAspectRatio(1280, 720), "Different aspect ratio");
+            assert.throws(() => CameraParam.decode(new Uint8Array(100)), /Not a camera parameter file/, "Invalid size");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+    QUnit.test("getCameraParam", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./Data/camera_para-iPhone 5 rear 640x480 1.0m.dat");
+        assert.equal(arController.getCameraParam(), null, "Not started");
+        arController.start().then(() => {
+            const param = arController.getCameraParam();
+            assert.ok(param instanceof CameraParam, "Camera parameters decoded on start");
+            assert.ok(param.hasAspectRatio(arController.videoWidth, arController.videoHeight), "Matches the frame size");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            arController.dispose();
+            done();
+        });
+    });
+
+    QUnit.test("Camera parameters from the field of view", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const param = CameraParam.fromDescription({ fovY: 48, width: 640, height: 480 });
+        assert.ok(Math.abs(param.fov.y - 48) < 1e-9, "Vertical field of view");
+        assert.deepEqual(param.principalPoint, { x: 320, y: 240 }, "Principal point in the centre");
+        assert.throws(() => CameraParam.fromDescription({ width: 640, height: 480 }), /fovY, fovX or focalLength35mm/, "Needs a field of view");
+        const arController = new ARController(new BufferFrameSource(1280, 720, "MONO"), { fovY: 48, width: 640, height: 480 });
+        arController.start().then(() => {
+            const scaled = arController.getCameraParam();
+            assert.equal(scaled.width + "x" + scaled.height, "1280x720", "Scaled to the frame size");
+            assert.ok(Math.abs(scaled.fov.x - param.fov.x) < 1e-9, "Cropped to 16:9 keeping the horizontal field of view");
+            assert.ok(scaled.hasAspectRatio(arController.videoWidth, arController.videoHeight), "Matches the frame size");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            arController.dispose();
+            done();
+        });
+    });
+
+    // Intrinsics of the camera rendering the chessboard views
+    const width = 640, height = 480, fx = 700, fy = 705, cx = 330, cy = 235;
+    // Renders a chessboard of 10x7 squares with 25mm edges, rotated around x by a and y by b, 450mm in front of the camera
+    const renderChessboard = (a, b) => {
+        const R = [[Math.cos(b), Math.sin(a) * Math.sin(b), Math.cos(a) * Math.sin(b)], [0, Math.cos(a), -Math.sin(a)], [-Math.sin(b), Math.sin(a) * Math.cos(b), Math.cos(a) * Math.cos(b)]];
+        const t = R.map((row, k) => [0, 0, 450][k] - row[0] * 100 - row[1] * 62.5);
+        const H = [0, 1, 2].map(k => [R[k][0], R[k][1], t[k]]);
+        const P = [[fx * H[0][0] + cx * H[2][0], fx * H[0][1] + cx * H[2][1], fx * H[0][2] + cx * H[2][2]], [fy * H[1][0] + cy * H[2][0], fy * H[1][1] + cy * H[2][1], fy * H[1][2] + cy * H[2][2]], H[2]];
+        const inverse = [
+            [P[1][1] * P[2][2] - P[1][2] * P[2][1], P[0][2] * P[2][1] - P[0][1] * P[2][2], P[0][1] * P[1][2] - P[0][2] * P[1][1]],
+            [P[1][2] * P[2][0] - P[1][0] * P[2][2], P[0][0] * P[2][2] - P[0][2] * P[2][0], P[0][2] * P[1][0] - P[0][0] * P[1][2]],
+            [P[1][0] * P[2][1] - P[1][1] * P[2][0], P[0][1] * P[2][0] - P[0][0] * P[2][1], P[0][0] * P[1][1] - P[0][1] * P[1][0]]
+        ];
+        const luma = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let s = 0; s < 4; s++) {
+                    const px = x + (s % 2) * 0.5 - 0.25, py = y + (s >> 1) * 0.5 - 0.25;
+                    const w = inverse[2][0] * px + inverse[2][1] * py + inverse[2][2];
+                    const u = (inverse[0][0] * px + inverse[0][1] * py + inverse[0][2]) / w / 25 + 1;
+                    const v = (inverse[1][0] * px + inverse[1][1] * py + inverse[1][2]) / w / 25 + 1;
+                    const onBoard = u >= 0 && u < 10 && v >= 0 && v < 7;
+                    sum += onBoard && (Math.floor(u) + Math.floor(v)) % 2 === 0 ? 20 : 230;
+                }
+                luma[y * width + x] = sum / 4;
+            }
+        }
+        return luma;
+    };
+
+    QUnit.test("Calibrate a camera from chessboard views", assert => {
+        const done = assert.async();
+        assert.timeout(30000);
+        const calibration = new CameraCalibration({ columns: 9, rows: 6, squareSize: 25 });
+        [[0.4, 0.1], [-0.4, 0.2], [0.1, -0.45], [0.3, 0.4], [-0.3, -0.3]].forEach(([a, b], i) => {
+            assert.ok(calibration.addView(renderChessboard(a, b), width, height), "Chessboard found in view " + i);
+        });
+        assert.notOk(calibration.addView(renderChessboard(-0.3, -0.3), width, height), "Same view not added twice");
+        const result = calibration.calibrate();
+        assert.ok(result.rms < 0.5, "Reprojection error " + result.rms);
+        assert.ok(Math.abs(result.cameraParam.focalLength.x - fx) < 0.02 * fx, "Focal length");
+        assert.ok(Math.hypot(result.cameraParam.principalPoint.x - cx, result.cameraParam.principalPoint.y - cy) < 5, "Principal point");
+        const arController = new ARController(new BufferFrameSource(width, height, "MONO"), result.cameraParam.encode());
+        arController.start().then(() => {
+            assert.equal(arController.getCameraParam().focalLength.x, result.cameraParam.focalLength.x, "Calibration used by a new ARController");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            arController.dispose();
+            done();
+        });
+    });
+
+    QUnit.test("Capture the views processed by an ARController", assert => {
+        const done = assert.async();
+        assert.timeout(30000);
+        const calibration = new CameraCalibration({ columns: 9, rows: 6, squareSize: 25 });
+        const arController = new ARController(new BufferFrameSource(width, height, "MONO"), "./Data/camera_para.dat");
+        assert.equal(calibration.captureView(arController), null, "Nothing captured before the first frame");
+        const views = [[0.4, 0.1], [-0.4, 0.2], [0.1, -0.45], [0.3, 0.4], [-0.3, -0.3]];
+        views.reduce((previous, [a, b], i) => previous.then(() => arController.process(renderChessboard(a, b))).then(() => {
+            assert.ok(calibration.captureView(arController), "Chessboard captured in view " + i);
+        }), Promise.resolve()).then(() => {
+            assert.equal(calibration.viewCount, views.length, "All views captured");
+            assert.deepEqual([calibration.width, calibration.height], [arController.processingWidth, arController.processingHeight], "Views have the processing size");
+            const result = calibration.calibrate();
+            assert.ok(Math.abs(result.cameraParam.focalLength.x - fx) < 0.02 * fx, "Focal length");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            arController.dispose();
+            done();
+        });
+    });
+
+    QUnit.test("Add the views of a recorded session", assert => {
+        const done = assert.async();
+        assert.timeout(30000);
+        const arController = new ARController(new BufferFrameSource(width, height, "MONO"), "./Data/camera_para.dat");
+        const views = [[0.4, 0.1], [-0.4, 0.2], [0.1, -0.45], [0.3, 0.4], [-0.3, -0.3], [-0.3, -0.3]];
+        arController.start().then(() => {
+            arController.startRecording();
+            return views.reduce((previous, [a, b]) => previous.then(() => arController.process(renderChessboard(a, b))), Promise.resolve());
+        }).then(() => arController.stopRecording()).then(archive => {
+            const calibration = new CameraCalibration({ columns: 9, rows: 6, squareSize: 25 });
+            return calibration.addSession(archive).then(added => {
+                assert.equal(added, 5, "Recorded views added, the repeated view only once");
+                const result = calibration.calibrate();
+                assert.ok(result.rms < 0.5, "Reprojection error " + result.rms);
+                assert.ok(Math.abs(result.cameraParam.focalLength.x - fx) < 0.02 * fx, "Focal length");
+                assert.ok(Math.hypot(result.cameraParam.principalPoint.x - cx, result.cameraParam.principalPoint.y - cy) < 5, "Principal point");
+            });
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            arController.dispose();
+            done();
+        });
+    });
+
+    // Hooks of the modules below, dispose the ARController a test left in window.arController
+    const disposeController = {
+        afterEach: assert => {
+            if (window.arController) window.arController.dispose();
+            window.arController = undefined;
+        }
+    };
+
+    /* #### Frame source module #### */
+    QUnit.module("Frame sources", disposeController);
+    QUnit.test("BufferFrameSource pixel formats", assert => {
+        const rgb = new BufferFrameSource(2, 1, "RGB", new Uint8Array([255, 0, 0, 0, 0, 255]));
+        assert.deepEqual(
+            Array.from(rgb.getFrame().rgba),
+            [255, 0, 0, 255, 0, 0, 255, 255],
+            "RGB is expanded to RGBA"
+        );
+        const bgra = new BufferFrameSource(1, 1, "BGRA", new Uint8Array([1, 2, 3, 4]));
+        assert.deepEqual(Array.from(bgra.getFrame().rgba), [3, 2, 1, 4], "BGRA is swapped to RGBA");
+        const nv12 = new BufferFrameSource(2, 2, "NV12", new Uint8Array([10, 20, 30, 40, 128, 128]));
+        assert.deepEqual(Array.from(nv12.getFrame().luma), [10, 20, 30, 40], "Y plane is used as luma");
+        assert.throws(() => new BufferFrameSource(2, 2, "YUYV"), "Unsupported pixel format");
+        assert.throws(() => new BufferFrameSource(2, 2, "MONO").getFrame(new Uint8Array(3)), "Buffer too small");
+    });
+    QUnit.test("Process luma buffers without DOM element", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const source = new BufferFrameSource(640, 480, "MONO");
+        const arController = new ARController(source, "./camera_para.dat");
+        window.arController = arController;
+        assert.deepEqual(arController.videoWidth, 640, "Width taken from the frame source");
+        const luma = new Uint8Array(640 * 480).fill(200);
+        arController.process(luma).then(() => {
+            assert.deepEqual(arController.videoLuma, luma, "Luma buffer is processed as it is");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+
+    /* #### Orientation module #### */
+    QUnit.module("Orientation", disposeController);
+    QUnit.test("Orientation changes", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const source = new BufferFrameSource(640, 480, "MONO");
+        const arController = new ARController(source, "./camera_para.dat");
+        window.arController = arController;
+        const events = [];
+        arController.addEventListener("orientationchange", event => events.push(event.data));
+        arController.start().then(() => {
+            const start = arController.getOrientation().angle;
+            const landscape = arController.getCameraMatrix();
+            arController.setOrientation(start + 90);
+            assert.deepEqual(events, [{ orientation: "portrait", angle: (start + 90) % 360, rotation: 90 }], "orientationchange event");
+            const portrait = arController.getCameraMatrix();
+            assert.deepEqual([portrait[0], portrait[1], portrait[4], portrait[5]], [-landscape[1], landscape[0], -landscape[5], landscape[4]], "Projection rotated with the screen");
+            // The stream rotated with the screen
+            source.width = 480;
+            source.height = 640;
+            const luma = new Uint8Array(480 * 640);
+            luma[0] = 255;
+            return arController.process(luma);
+        }).then(() => {
+            assert.equal(arController.videoLuma[639], 255, "Frame rotated back into the orientation of the tracker");
+            arController.setOrientation(arController.getOrientation().angle - 90);
+            assert.equal(arController.getOrientation().rotation, 0, "Back in the start orientation");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+    QUnit.test("Upside down image", assert => {
+        assert.timeout(5000);
+        const arController = new ARController(v1, window.cParaUrl);
+        window.arController = arController;
+        // v1 as seen by the camera of a device turned upside down
+        const canvas = document.createElement("canvas");
+        canvas.width = v1.width;
+        canvas.height = v1.height;
+        const ctx = canvas.getContext("2d");
+        ctx.translate(canvas.width, canvas.height);
+        ctx.rotate(Math.PI);
+        ctx.drawImage(v1, 0, 0);
+        let trackable, upright, uprightLuma;
+        return arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt", width: 80 });
+        }).then(trackableId => {
+            trackable = arController.trackables.find(trackable => trackable.trackableId === trackableId);
+            return arController.process(v1);
+        }).then(() => {
+            assert.ok(trackable.visible, "Marker found in the upright image");
+            upright = Array.from(trackable.transformation);
+            uprightLuma = arController.videoLuma.slice();
+            arController.setOrientation(arController.getOrientation().angle + 180);
+            assert.equal(arController.getOrientation().rotation, 180, "Screen turned upside down");
+            return arController.process(canvas);
+        }).then(() => {
+            let difference = 0;
+            arController.videoLuma.forEach((luma, i) => { difference += Math.abs(luma - uprightLuma[i]); });
+            assert.ok(difference / uprightLuma.length < 2, "Image rotated back into the orientation of the tracker");
+            assert.ok(trackable.visible, "Marker found in the rotated image");
+            const distance = Math.abs(upright[14]);
+            assert.ok(Array.from(trackable.transformation).every((value, i) => Math.abs(value - upright[i]) < (i < 12 ? 0.05 : 0.02 * distance)), "Same pose as in the upright image: " + Array.from(trackable.transformation));
+        });
+    });
+
+    /* #### Region of interest module #### */
+    QUnit.module("Region of interest", disposeController);
+    QUnit.test("Downscaled processing and region of interest", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        assert.throws(() => new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat", 0, 0, { processingScale: 0 }), "Invalid processing scale");
+        const source = new BufferFrameSource(640, 480, "MONO");
+        const arController = new ARController(source, "./camera_para.dat", 0, 0, { processingScale: 0.5 });
+        window.arController = arController;
+        arController.start().then(() => {
+            assert.deepEqual([arController.processingWidth, arController.processingHeight], [320, 240], "Processing size");
+            assert.deepEqual([arController.videoWidth, arController.videoHeight], [640, 480], "Video size unchanged");
+            arController.setRegionOfInterest({ x: 320, y: 240, width: 400, height: 100 });
+            assert.deepEqual(arController.getRegionOfInterest(), { x: 320, y: 240, width: 320, height: 100 }, "Region clipped to the frame");
+            const luma = new Uint8Array(640 * 480).fill(20);
+            return arController.process(luma);
+        }).then(() => {
+            assert.equal(arController.videoLuma.length, 320 * 240, "Frame downscaled");
+            assert.equal(arController.videoLuma[0], 255, "Outside of the region filled with the background");
+            assert.equal(arController.videoLuma[130 * 320 + 200], 20, "Region processed");
+            assert.throws(() => arController.setRegionOfInterest({ x: 0, y: 0, width: 0, height: 10 }), "Empty region");
+            arController.setRegionOfInterest({ follow: true });
+            assert.equal(arController.getRegionOfInterest(), null, "Full frame searched until a trackable is found");
+            assert.equal(arController.regionOfInterest.fullFrameInterval, 30, "Full frame searched every 30 frames by default");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+    QUnit.test("Poses of downscaled and cropped frames in full resolution", assert => {
+        assert.timeout(15000);
+        // Finds the Hiro marker in v1, only one ARController can run at a time
+        const findMarker = (options, region) => {
+            const arController = new ARController(v1, window.cParaUrl, 0, 0, options);
+            window.arController = arController;
+            return arController.start().then(() => {
+                return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt", width: 80 });
+            }).then(trackableId => {
+                if (region) arController.setRegionOfInterest(region);
+                return arController.process(v1).then(() => {
+                    const trackable = arController.trackables.find(trackable => trackable.trackableId === trackableId);
+                    const centre = ARController.multiplyGLMat(arController.getCameraMatrix(), trackable.transformation);
+                    return {
+                        visible: trackable.visible,
+                        translation: Array.from(trackable.transformation.slice(12, 15)),
+                        // The centre of the marker in normalized device coordinates of the video
+                        centre: [centre[12] / centre[15], centre[13] / centre[15]]
+                    };
+                });
+            }).finally(() => {
+                arController.dispose();
+                window.arController = undefined;
+            });
+        };
+        // Around the marker held up on the left of the image
+        const crop = { x: 10, y: 90, width: 150, height: 140 };
+        let full;
+        return findMarker({}).then(result => {
+            full = result;
+            assert.ok(full.visible, "Marker found in the full resolution frame");
+            return findMarker({ processingScale: 0.5 });
+        }).then(downscaled => {
+            const distance = Math.abs(full.translation[2]);
+            assert.ok(downscaled.visible, "Marker found in the downscaled frame");
+            assert.ok(downscaled.translation.every((value, i) => Math.abs(value - full.translation[i]) < 0.05 * distance), "Same translation as in full resolution: " + downscaled.translation);
+            assert.ok(downscaled.centre.every((value, i) => Math.abs(value - full.centre[i]) < 0.02), "Same position in the video: " + downscaled.centre);
+            return findMarker({}, crop);
+        }).then(cropped => {
+            assert.ok(cropped.visible, "Marker found in the cropped frame");
+            assert.ok(cropped.translation.every((value, i) => Math.abs(value - full.translation[i]) < 0.01 * Math.abs(full.translation[2])), "Same translation as in the full frame: " + cropped.translation);
+            assert.ok(cropped.centre.every((value, i) => Math.abs(value - full.centre[i]) < 0.005), "Same position in the video: " + cropped.centre);
+        });
+    });
+
+    /* #### Render loop module #### */
+    QUnit.module("Render loop", disposeController);
+    QUnit.test("Render loop", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const source = new BufferFrameSource(640, 480, "MONO", new Uint8Array(640 * 480).fill(20));
+        const arController = new ARController(source, "./camera_para.dat");
+        window.arController = arController;
+        assert.throws(() => arController.run({ budget: 0 }), "Invalid budget");
+        const stats = [];
+        arController.addEventListener("frameStats", event => {
+            stats.push(event.data);
+            if (stats.length < 3) return;
+            arController.stop();
+            assert.notOk(arController.isRunning(), "Stopped");
+            assert.equal(stats[0].interval, null, "No interval before the first frame");
+            assert.ok(stats[2].interval > 0 && stats[2].duration >= 0, "Timing of the frames");
+            assert.ok(stats[2].idle, "Idle without trackables");
+            assert.equal(stats[2].skippedFrames, 2, "Only every third frame processed while idle");
+            done();
+        });
+        arController.start().then(() => {
+            arController.run({ idleInterval: 3, budget: 1000 });
+            assert.ok(arController.isRunning(), "Running");
+        }).catch(e => {
+            assert.notOk(e);
+            done();
+        });
+    });
+
+    /* #### Automatic threshold module #### */
+    QUnit.module("Automatic threshold", disposeController);
+    QUnit.test("Automatic threshold", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        window.arController = arController;
+        assert.throws(() => arController.setAutoThreshold({ modes: ["darkest"] }), "Unknown threshold mode");
+        const lighting = [];
+        const changes = [];
+        arController.addEventListener("lightingChange", event => lighting.push(event.data));
+        arController.addEventListener("thresholdChange", event => changes.push(event.data));
+        const dark = new Uint8Array(640 * 480).fill(20);
+        const gradient = new Uint8Array(640 * 480).map((value, i) => i % 256);
+        const processFrames = async (luma, count) => {
+            for (let i = 0; i < count; i++) {
+                await arController.process(luma);
+            }
+        };
+        arController.start().then(() => {
+            arController.setThresholdMode("otsu");
+            arController.setAutoThreshold({ interval: 2, modes: ["otsu", "manual"] });
+            assert.ok(arController.isAutoThreshold(), "Tuning enabled");
+            return processFrames(dark, 2);
+        }).then(() => {
+            assert.equal(lighting.length, 1, "Lighting diagnosed after an interval");
+            assert.equal(lighting[0].lighting, "too_dark", "Dark frames diagnosed");
+            assert.equal(lighting[0].previousLighting, null, "First diagnosis");
+            assert.equal(lighting[0].histogram[20], lighting[0].count, "Luma histogram");
+            assert.equal(arController.getLightingDiagnostics().successRate, null, "No success rate without trackables");
+            assert.equal(changes.length, 0, "Nothing tuned without trackables");
+            return arController.addTrackable({ trackableType: "single_barcode", barcodeId: 20, width: 80 });
+        }).then(() => processFrames(dark, 2)).then(() => {
+            assert.deepEqual(
+                [changes[0].thresholdMode, changes[0].threshold, changes[0].previousThresholdMode, changes[0].successRate],
+                ["manual", 20, "otsu", 0],
+                "Next mode tried while the trackable isn't found"
+            );
+            assert.equal(arController.getThreshold(), 20, "Manual threshold between the darkest and the brightest pixels");
+            return processFrames(dark, 4);
+        }).then(() => {
+            assert.equal(changes.length, 1, "Settled once every mode failed");
+            return processFrames(gradient, 2);
+        }).then(() => {
+            assert.deepEqual(lighting.map(diagnostics => diagnostics.lighting), ["too_dark", "ok"], "Lighting change dispatched");
+            assert.equal(changes.length, 2, "Tuned again after the lighting changed");
+            assert.equal(arController.getThresholdMode(), artoolkitXjs.LabelingThresholdMode.AR_LABELING_THRESH_MODE_AUTO_OTSU.value, "Back to the first mode");
+            arController.setAutoThreshold(false);
+            assert.notOk(arController.isAutoThreshold(), "Tuning disabled");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    /* #### Debug overlay module #### */
+    QUnit.module("Debug overlay", disposeController);
+    QUnit.test("Debug overlay", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const canvas = document.createElement("canvas");
+        canvas.width = 640;
+        canvas.height = 480;
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        window.arController = arController;
+        const children = document.body.children.length;
+        arController.setLogLevel(arController.getLogLevel());
+        assert.equal(document.body.children.length, children, "setLogLevel doesn't add debug canvases");
+        arController.setDebugOverlay(canvas, { layers: { stats: false } });
+        assert.throws(() => arController.setDebugOverlayLayer("heatmap", true), /Unknown overlay layer/, "Unknown layer");
+        const luma = new Uint8Array(640 * 480).map((value, i) => i % 640 < 320 ? 20 : 220);
+        arController.start().then(() => {
+            assert.ok(arController.isDebugMode(), "Tracker in debug mode for the binarized layer");
+            arController.setThresholdMode("manual");
+            arController.setThreshold(100);
+            return arController.process(luma);
+        }).then(() => {
+            const ctx = canvas.getContext("2d");
+            const dark = Array.from(ctx.getImageData(100, 240, 1, 1).data);
+            const bright = Array.from(ctx.getImageData(500, 240, 1, 1).data);
+            assert.ok([dark, bright].every(pixel => pixel[3] === 255 && (pixel[0] === 0 || pixel[0] === 255)), "Debug image drawn in black and white");
+            assert.notEqual(dark[0], bright[0], "Dark and bright pixels binarized apart");
+            assert.equal(arController.getDebugImage().length, 640 * 480, "Debug image in the processing size");
+            arController.setDebugOverlayLayer("binarized", false);
+            assert.notOk(arController.isDebugMode(), "Debug mode disabled with the layer");
+            return arController.process(luma);
+        }).then(() => {
+            assert.equal(canvas.getContext("2d").getImageData(500, 240, 1, 1).data[3], 0, "Layer hidden");
+            assert.equal(arController.getDebugImage(), null, "No debug image outside debug mode");
+            assert.equal(arController.threshold, 100, "Deprecated threshold property");
+            arController.threshold = 90;
+            assert.equal(arController.getThreshold(), 90, "Threshold set through the deprecated property");
+            arController.debug = true;
+            assert.ok(arController.isDebugMode(), "Debug mode set through the deprecated property");
+            arController.debug = false;
+            assert.notOk(arController.isDebugMode(), "Debug mode reset through the deprecated property");
+            arController.setDebugOverlay(null);
+            assert.equal(arController.debugOverlay, null, "Overlay removed");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    /* #### Event listener module #### */
+    QUnit.module("Event listeners", disposeController);
+    QUnit.test("Event listeners", assert => {
+        const arController = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        window.arController = arController;
+        const received = [];
+        const errors = [];
+        const controller = new AbortController();
+        arController.addEventListener("orientationchange", () => { throw new Error("listener failed"); });
+        arController.addEventListener("orientationchange", event => received.push(event));
+        arController.addEventListener("orientationchange", () => received.push("once"), { once: true });
+        arController.addEventListener("orientationchange", () => received.push("aborted"), { signal: controller.signal });
+        arController.addEventListener("listenererror", event => {
+            errors.push(event);
+            event.preventDefault();
+        });
+        controller.abort();
+        arController.setOrientation(90);
+        arController.setOrientation(180);
+        const events = received.filter(event => typeof event !== "string");
+        assert.equal(events.length, 2, "Listeners after a failing one are called");
+        assert.equal(received.filter(event => event === "once").length, 1, "once option");
+        assert.notOk(received.includes("aborted"), "Listener removed with an AbortSignal");
+        assert.ok(events[0] instanceof OrientationChangeEvent && events[0] instanceof CustomEvent, "Typed event");
+        assert.equal(events[0].type, "orientationchange", "Event type");
+        assert.equal(events[0].target, arController, "Event target");
+        assert.equal(events[0].data, events[0].detail, "data is the detail");
+        assert.equal(events[0].data.angle, 90, "Payload");
+        assert.ok(Object.isFrozen(events[0].data), "Payload is frozen");
+        assert.equal(errors.length, 2, "Listener errors dispatched");
+        assert.ok(errors[0] instanceof ListenerErrorEvent, "Typed error event");
+        assert.equal(errors[0].data.error.message, "listener failed", "Error of the listener");
+        assert.equal(errors[0].data.type, "orientationchange", "Type of the failed event");
+    });
+
+    /* #### Web Worker module #### */
+    // The worker resolves relative URLs against its own location
+    const absoluteUrl = url => new URL(url, location.href).href;
+    const proxyOptions = { wasmUrl: absoluteUrl("../SDK/lib/artoolkitx.wasm") };
+    QUnit.module("ARControllerProxy", {
+        afterEach: assert => {
+            const proxy = window.arController;
+            window.arController = undefined;
+            return proxy ? proxy.dispose().catch(() => {}) : undefined;
+        }
+    });
+    QUnit.test("Start, process and forward events", assert => {
+        assert.timeout(10000);
+        const proxy = new ARControllerProxy(null, absoluteUrl("./camera_para.dat"), 640, 480, proxyOptions);
+        window.arController = proxy;
+        const events = [];
+        proxy.addEventListener("orientationchange", event => events.push(event));
+        // The proxy passes the screen orientation on to the worker
+        const angle = typeof screen !== "undefined" && screen.orientation ? screen.orientation.angle : 0;
+        return proxy.start().then(() => {
+            return proxy.process(new Uint8ClampedArray(640 * 480 * 4).fill(200));
+        }).then(processed => {
+            assert.ok(processed, "Frame processed in the worker");
+            return proxy.setOrientation(angle + 90);
+        }).then(() => {
+            assert.equal(events.length, 1, "Event forwarded from the worker");
+            assert.ok(events[0] instanceof OrientationChangeEvent, "Typed event");
+            assert.equal(events[0].data.angle, (angle + 90) % 360, "Payload");
+            return proxy.getCameraParam();
+        }).then(cameraParam => {
+            assert.ok(cameraParam instanceof CameraParam, "Camera parameters of the worker");
+        });
+    });
+    QUnit.test("Start a Webcam on the main thread", assert => {
+        assert.timeout(10000);
+        const canvas = document.createElement("canvas");
+        canvas.width = 320;
+        canvas.height = 240;
+        const calls = [];
+        const webcam = {
+            video: canvas,
+            isPlaying: false,
+            startStream (arController) {
+                calls.push("startStream");
+                arController.videoWidth = 320;
+                arController.videoHeight = 240;
+                this.isPlaying = true;
+                return Promise.resolve();
+            },
+            stopStream () {
+                calls.push("stopStream");
+            }
+        };
+        const proxy = new ARControllerProxy(webcam, absoluteUrl("./camera_para.dat"), undefined, undefined, proxyOptions);
+        window.arController = proxy;
+        assert.equal(proxy.image, canvas, "The video of the webcam is processed");
+        return proxy.process().then(processed => {
+            assert.deepEqual(calls, ["startStream"], "Stream started by process()");
+            assert.ok(processed, "Frame of the webcam processed in the worker");
+            assert.equal(proxy.videoWidth, 320, "Size of the stream");
+            window.arController = undefined;
+            return proxy.dispose();
+        }).then(() => {
+            assert.deepEqual(calls, ["startStream", "stopStream"], "Stream stopped on dispose");
+        });
+    });
+    QUnit.test("Initialisation failure", assert => {
+        assert.timeout(10000);
+        const proxy = new ARControllerProxy(null, absoluteUrl("./camera_para.dat"), 640, 480, Object.assign({ processingScale: 0 }, proxyOptions));
+        window.arController = proxy;
+        const errors = [];
+        proxy.addEventListener("listenererror", event => {
+            errors.push(event);
+            event.preventDefault();
+        });
+        proxy.addEventListener("trackableFound", () => {});
+        return proxy.start().then(() => {
+            assert.ok(false, "Started");
+        }, error => {
+            assert.ok(/processingScale/.test(error.message), "start() rejects with the error of the worker");
+            const forwarding = errors.filter(event => event.data.type === "trackableFound");
+            assert.equal(forwarding.length, 1, "listenererror for the events the worker can't forward");
+            assert.ok(forwarding[0] instanceof ListenerErrorEvent, "Typed error event");
+            if (typeof screen !== "undefined" && screen.orientation && screen.orientation.addEventListener) {
+                const orientation = errors.filter(event => event.data.type === "orientationchange");
+                assert.equal(orientation.length, 1, "listenererror for the screen orientation the worker can't follow");
+            }
+        });
+    });
+
+    /* #### Offline analysis module #### */
+    QUnit.module("Offline analysis", {
+        afterEach: assert => {
+            if (window.arController) window.arController.dispose();
+            window.arController = undefined;
+        }
+    });
+    QUnit.test("PoseTrack export and diff", assert => {
+        const track = new PoseTrack();
+        const matrix = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 10, 20, -300, 1]);
+        track.add(0, 0, 0, true, matrix);
+        track.add(1, 33, 0, false, matrix);
+        const lines = track.toCSV().trim().split("\n");
+        assert.equal(lines.length, 3, "Header and one row per entry");
+        assert.equal(lines[1], "0,0,0,1,1,0,0,0,0,1,0,0,0,0,1,0,10,20,-300,1", "Matrix columns of a visible trackable");
+        assert.equal(lines[2], "1,33,0,0,,,,,,,,,,,,,,,,", "Empty matrix columns of an invisible trackable");
+        const copy = PoseTrack.fromJSON(JSON.stringify(track));
+        assert.deepEqual(copy.diff(track), [], "JSON round trip is identical");
+        copy.entries[0].matrix[12] = 10.5;
+        assert.equal(copy.diff(track).length, 1, "Changed matrix is reported");
+        assert.deepEqual(copy.diff(track, 1), [], "Difference within tolerance");
+    });
+    QUnit.test("Analyze image sequence", assert => {
+        const done = assert.async();
+        assert.timeout(5000);
+        const arController = new ARController(v1, "./camera_para.dat");
+        window.arController = arController;
+        const blank = new ImageData(v1.width, v1.height);
+        const progress = [];
+        let trackableId;
+        arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(id => {
+            trackableId = id;
+            return arController.analyze([v1, blank, v1], { fps: 10, onProgress: (index, count) => progress.push([index, count]) });
+        }).then(track => {
+            assert.ok(track instanceof PoseTrack, "Resolves with a PoseTrack");
+            assert.deepEqual(progress, [[0, 3], [1, 3], [2, 3]], "Progress per frame");
+            assert.deepEqual(
+                track.entries.map(entry => [entry.frame, entry.timestamp, entry.trackableId, entry.visible]),
+                [[0, 0, trackableId, true], [1, 100, trackableId, false], [2, 200, trackableId, true]],
+                "Pose of every frame with the timestamp of its position"
+            );
+            assert.equal(track.entries[1].matrix, null, "No pose where the marker isn't visible");
+            assert.deepEqual(track.entries[2].matrix, track.entries[0].matrix, "Same pose in the same image");
+            // A frame of another size can't be processed
+            const broken = { width: 1, height: 1, luma: new Uint8Array(1) };
+            return arController.analyze([v1, broken], { fps: 10 }).then(() => {
+                assert.ok(false, "Analysis of a broken frame resolved");
+            }, error => {
+                assert.ok(/frame 1 at 100 ms/.test(error.message), "Rejects with the failed frame: " + error.message);
+            });
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+
+    /* #### Session recording module #### */
+    QUnit.module("Session recording", {
+        afterEach: assert => {
+            if (window.arController) window.arController.dispose();
+            window.arController = undefined;
+        }
+    });
+    QUnit.test("Record and replay a session", assert => {
+        const done = assert.async();
+        assert.timeout(10000);
+        const source = new BufferFrameSource(640, 480, "MONO");
+        const arController = new ARController(source, "./camera_para.dat");
+        const frames = [new Uint8Array(640 * 480).fill(200), new Uint8Array(640 * 480).fill(20)];
+        arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(() => {
+            arController.startRecording();
+            assert.ok(arController.isRecording(), "Recording");
+            return frames.reduce((previous, frame) => previous.then(() => arController.process(frame)), Promise.resolve());
+        }).then(() => {
+            return arController.stopRecording();
+        }).then(archive => {
+            assert.notOk(arController.isRecording(), "Recording stopped");
+            assert.equal(String.fromCharCode(archive[0], archive[1], archive[2], archive[3]), "ARXS", "Session archive");
+            arController.dispose();
+            return ARController.replay(archive);
+        }).then(({ arController, track, differences }) => {
+            window.arController = arController;
+            assert.equal(track.entries.length, 2, "Every recorded frame is replayed");
+            assert.deepEqual(differences, [], "Replayed poses are identical");
+        }).catch(e => {
+            assert.notOk(e);
+        }).finally(() => {
+            done();
+        });
+    });
+    QUnit.test("Replay a colour recording with a region of interest", assert => {
+        assert.timeout(10000);
+        const arController = new ARController(v1, "./camera_para.dat");
+        window.arController = arController;
+        const regions = [];
+        let trackable;
+        return arController.start().then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(trackableId => {
+            trackable = arController.trackables.find(trackable => trackable.trackableId === trackableId);
+            arController.startRecording({ color: true });
+            // The right half of the image, the marker is held up on the left
+            arController.setRegionOfInterest({ x: 250, y: 0, width: 179, height: 317 });
+            return arController.process(v1);
+        }).then(() => {
+            assert.notOk(trackable.visible, "Marker outside of the region of interest");
+            arController.setRegionOfInterest(null);
+            return arController.process(v1);
+        }).then(() => {
+            assert.ok(trackable.visible, "Marker found in the full frame");
+            return arController.stopRecording();
+        }).then(archive => {
+            arController.dispose();
+            window.arController = undefined;
+            return ARController.replay(archive, { onFrame: arController => regions.push(arController.getRegionOfInterest()) });
+        }).then(({ arController, track, differences }) => {
+            window.arController = arController;
+            assert.deepEqual(regions, [{ x: 250, y: 0, width: 179, height: 317 }, null], "Region of interest of every frame");
+            assert.deepEqual(track.entries.map(entry => entry.visible), [false, true], "Marker found in the full frame only");
+            assert.deepEqual(differences, [], "Replayed poses are identical");
+        });
+    });
+    QUnit.test("Colour recording of frames without colour", assert => {
+        assert.timeout(10000);
+        const mono = new ARController(new BufferFrameSource(640, 480, "MONO"), "./camera_para.dat");
+        window.arController = mono;
+        let arController;
+        return mono.start().then(() => {
+            assert.throws(() => mono.startRecording({ color: true }), /no colour/, "Frame source without colour");
+            assert.notOk(mono.isRecording(), "Not recording");
+            mono.dispose();
+            // Frames in a YUV format only carry the luma, which isn't known before they arrive
+            const canvas = document.createElement("canvas");
+            canvas.width = v1.width;
+            canvas.height = v1.height;
+            const ctx = canvas.getContext("2d");
+            ctx.drawImage(v1, 0, 0);
+            const rgba = ctx.getImageData(0, 0, v1.width, v1.height).data;
+            const luma = new Uint8Array(v1.width * v1.height);
+            luma.forEach((value, i) => { luma[i] = (rgba[i * 4] * 77 + rgba[i * 4 + 1] * 150 + rgba[i * 4 + 2] * 29) >> 8; });
+            class LumaFrameSource extends FrameSource {
+                getFrame () {
+                    return { width: this.width, height: this.height, luma: luma };
+                }
+            }
+            arController = new ARController(new LumaFrameSource(v1.width, v1.height), "./camera_para.dat");
+            window.arController = arController;
+            return arController.start();
+        }).then(() => {
+            return arController.addTrackable({ trackableType: "single", url: "./Data/hiro.patt" });
+        }).then(trackableId => {
+            const errors = [];
+            arController.addEventListener("recordingerror", event => errors.push(event.data.error));
+            arController.startRecording({ color: true });
+            return arController.process().then(() => {
+                assert.equal(errors.length, 1, "recordingerror dispatched");
+                assert.notOk(arController.isRecording(), "Recording stopped");
+                const trackable = arController.trackables.find(trackable => trackable.trackableId === trackableId);
+                assert.ok(trackable.visible, "Frame tracked all the same");
+            });
+        });
+    });
+
     // /* #### Full setup test #### */
     QUnit.module("Performance test", {
         beforeEach: assert => {
@@ -0,0 +1,130 @@
+/*
+ * Tests of the Node.js entry point, run with `npm test` after building SDK/lib.
+ */
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+
+const path = file => fileURLToPath(new URL(file, import.meta.url));
+const cameraParam = path("./Data/camera_para.dat");
+const hiro = path("./Data/hiro.patt");
+
+// Renders the pattern of a pattern file as a fronto-parallel marker of the given size in the middle of a white RGBA frame.
+// The 16x16 template (first orientation) fills the inner half of the marker, the black border the outer quarters.
+const renderMarker = (patt, width, height, size) => {
+    const template = patt.trim().split(/\s+/).slice(0, 256).map(Number);
+    const frame = new Uint8Array(width * height * 4).fill(255);
+    const left = Math.round((width - size) / 2);
+    const top = Math.round((height - size) / 2);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = (x / size - 0.25) * 2;
+            const v = (y / size - 0.25) * 2;
+            const luma = u < 0 || u >= 1 || v < 0 || v >= 1 ? 0 : template[Math.floor(v * 16) * 16 + Math.floor(u * 16)];
+            const i = ((top + y) * width + left + x) * 4;
+            frame[i] = frame[i + 1] = frame[i + 2] = luma;
+        }
+    }
+    return frame;
+};
+
+// artoolkitX.node.js waits for the WASM module with a top-level await, so QUnit can't require it and it is imported
+// by the module hook instead
+let ARController, createARController, BufferFrameSource, CameraParam, PoseTrack;
+
+QUnit.module("Node.js", {
+    before: () => import("../SDK/lib/artoolkitX.node.js").then(api => {
+        ({ default: ARController, createARController, BufferFrameSource, CameraParam, PoseTrack } = api);
+    }),
+    afterEach: () => {
+        if (globalThis.arController) globalThis.arController.dispose();
+        globalThis.arController = undefined;
+    }
+});
+QUnit.test("Create an ARController from files", assert => {
+    return createARController({ width: 640, height: 480, cameraParam: cameraParam }).then(arController => {
+        globalThis.arController = arController;
+        assert.ok(arController.frameSource instanceof BufferFrameSource, "Frames are given as buffers");
+        assert.equal(arController.videoWidth, 640, "Width of the frames");
+        assert.equal(arController.getCameraParam().width, 640, "Camera parameters read from the filesystem");
+        return arController.addTrackable({ trackableType: "single", url: hiro });
+    }).then(trackableId => {
+        assert.equal(typeof trackableId, "number", "Pattern file read from the filesystem");
+    });
+});
+QUnit.test("Load from URL objects without a window", assert => {
+    assert.equal(typeof globalThis.window, "undefined", "The window of the WASM module is removed after loading");
+    assert.equal(typeof globalThis.dispatchEvent, "undefined", "Its events are removed as well");
+    return createARController({ width: 640, height: 480, cameraParam: new URL("./Data/camera_para.dat", import.meta.url) }).then(arController => {
+        globalThis.arController = arController;
+        assert.equal(arController.getCameraParam().width, 640, "Camera parameters read from a file: URL");
+        return arController.addTrackable({ trackableType: "single", url: new URL("./Data/hiro.patt", import.meta.url) });
+    }).then(trackableId => {
+        assert.equal(typeof trackableId, "number", "Pattern file read from a file: URL");
+    });
+});
+QUnit.test("Create an ARController from buffers", assert => {
+    return Promise.all([readFile(cameraParam), readFile(hiro)]).then(([cameraParamBuffer, pattBuffer]) => {
+        assert.equal(CameraParam.decode(cameraParamBuffer).width, 640, "Camera parameters decoded");
+        return createARController({ width: 320, height: 240, cameraParam: cameraParamBuffer, pixelFormat: "MONO" }).then(arController => {
+            globalThis.arController = arController;
+            return arController.addTrackable({ trackableType: "single", url: pattBuffer });
+        });
+    }).then(trackableId => {
+        assert.equal(typeof trackableId, "number", "Pattern given as buffer");
+        assert.throws(() => globalThis.arController.startRecording({ color: true }), /no colour/, "Luma frames can't be recorded in colour");
+    });
+});
+QUnit.test("Find and lose a marker in RGBA frames", assert => {
+    const events = [];
+    return Promise.all([createARController({ width: 640, height: 480, cameraParam: cameraParam }), readFile(hiro, "utf8")]).then(([arController, patt]) => {
+        globalThis.arController = arController;
+        ["trackableFound", "trackableUpdate", "trackableLost"].forEach(name => {
+            arController.addEventListener(name, event => events.push([name, event.data.trackableId]));
+        });
+        return arController.addTrackable({ trackableType: "single", url: hiro, width: 80 }).then(trackableId => {
+            return arController.process(renderMarker(patt, 640, 480, 200)).then(() => {
+                const trackable = arController.trackables.find(trackable => trackable.trackableId === trackableId);
+                assert.ok(trackable.visible, "Rendered marker is found");
+                assert.ok(trackable.transformation[14] < 0, "Marker in front of the camera");
+                return arController.process(new Uint8Array(640 * 480 * 4));
+            }).then(() => {
+                assert.deepEqual(events, [
+                    ["trackableFound", trackableId],
+                    ["trackableUpdate", trackableId],
+                    ["trackableLost", trackableId]
+                ], "Events of the found and lost marker");
+            });
+        });
+    });
+});
+QUnit.test("Analyze a sequence of buffers", assert => {
+    const progress = [];
+    return createARController({ width: 640, height: 480, cameraParam: cameraParam, pixelFormat: "MONO" }).then(arController => {
+        globalThis.arController = arController;
+        const frames = [new Uint8Array(640 * 480).fill(200), new Uint8Array(640 * 480).fill(20)];
+        return arController.analyze(frames, { fps: 10, onProgress: (index, count) => progress.push([index, count]) });
+    }).then(track => {
+        assert.ok(track instanceof PoseTrack, "Resolves with a PoseTrack");
+        assert.deepEqual(progress, [[0, 2], [1, 2]], "Progress per frame");
+    });
+});
+QUnit.test("Record and replay a session", assert => {
+    return createARController({ width: 640, height: 480, cameraParam: cameraParam }).then(arController => {
+        globalThis.arController = arController;
+        return readFile(hiro, "utf8").then(patt => {
+            return arController.addTrackable({ trackableType: "single", url: hiro, width: 80 }).then(() => {
+                arController.startRecording({ color: true });
+                return arController.process(renderMarker(patt, 640, 480, 200));
+            });
+        }).then(() => arController.process(new Uint8Array(640 * 480 * 4)))
+            .then(() => arController.stopRecording());
+    }).then(archive => {
+        globalThis.arController.dispose();
+        globalThis.arController = undefined;
+        return ARController.replay(archive);
+    }).then(({ arController, track, differences }) => {
+        globalThis.arController = arController;
+        assert.deepEqual(track.entries.map(entry => entry.visible), [true, false], "Marker found in the first frame only");
+        assert.deepEqual(differences, [], "Replayed poses are identical");
+    });
+});